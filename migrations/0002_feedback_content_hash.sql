@@ -0,0 +1,4 @@
+-- Normalized content hash used to skip near-duplicate feedback on ingest
+ALTER TABLE feedback ADD COLUMN content_hash TEXT;
+
+CREATE UNIQUE INDEX idx_feedback_content_hash ON feedback (content_hash);
@@ -0,0 +1,8 @@
+-- Each digest covers feedback with window_start < created_at <= window_end
+ALTER TABLE daily_digests ADD COLUMN window_start TEXT;
+ALTER TABLE daily_digests ADD COLUMN window_end TEXT;
+
+-- JSON array of the feedback IDs the digest analyzed
+ALTER TABLE daily_digests ADD COLUMN feedback_ids TEXT;
+
+CREATE INDEX idx_feedback_created_at ON feedback (created_at);
@@ -0,0 +1,12 @@
+-- One row per notification delivery attempt
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  digest_id INTEGER REFERENCES daily_digests (id),
+  channel TEXT NOT NULL,
+  status TEXT NOT NULL, -- sent | failed
+  response_status INTEGER,
+  error TEXT,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_notifications_digest_id ON notifications (digest_id);
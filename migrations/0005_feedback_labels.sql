@@ -0,0 +1,7 @@
+-- Per-item labels written by the classification stage
+ALTER TABLE feedback ADD COLUMN sentiment TEXT; -- frustrated | neutral | positive
+ALTER TABLE feedback ADD COLUMN theme TEXT;
+ALTER TABLE feedback ADD COLUMN is_feature_request INTEGER;
+ALTER TABLE feedback ADD COLUMN classified_at TEXT;
+
+CREATE INDEX idx_feedback_theme ON feedback (theme);
@@ -0,0 +1,21 @@
+-- Persistent themes matched by embedding similarity, so a topic keeps one id across digests
+CREATE TABLE themes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  embedding TEXT NOT NULL, -- JSON array: mean embedding of the feedback assigned so far
+  feedback_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+ALTER TABLE feedback ADD COLUMN theme_id INTEGER REFERENCES themes (id);
+CREATE INDEX idx_feedback_theme_id ON feedback (theme_id);
+
+-- One row per theme per digest it appeared in
+CREATE TABLE theme_mentions (
+  theme_id INTEGER NOT NULL REFERENCES themes (id),
+  digest_id INTEGER NOT NULL REFERENCES daily_digests (id),
+  mentions INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (theme_id, digest_id)
+);
@@ -0,0 +1,19 @@
+-- Full-text index over feedback.content for /api/feedback?q=, kept in sync by triggers
+CREATE VIRTUAL TABLE feedback_fts USING fts5(content, content = 'feedback', content_rowid = 'id');
+
+INSERT INTO feedback_fts (feedback_fts) VALUES ('rebuild');
+
+CREATE TRIGGER feedback_fts_insert AFTER INSERT ON feedback BEGIN
+  INSERT INTO feedback_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER feedback_fts_delete AFTER DELETE ON feedback BEGIN
+  INSERT INTO feedback_fts (feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+
+CREATE TRIGGER feedback_fts_update AFTER UPDATE OF content ON feedback BEGIN
+  INSERT INTO feedback_fts (feedback_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  INSERT INTO feedback_fts (rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE INDEX idx_feedback_source ON feedback (source);
@@ -0,0 +1,27 @@
+-- Products the digest runs for; feedback, digests and themes each belong to one
+CREATE TABLE products (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  emoji TEXT NOT NULL DEFAULT '📦',
+  prompt_context TEXT,          -- how prompts describe the product, e.g. "Cloudflare D1 database"
+  notification_targets TEXT,    -- JSON object of channel -> webhook URL; NULL uses the *_WEBHOOK_URL vars
+  schedule TEXT DEFAULT '0 9 * * *', -- cron (one of wrangler.jsonc triggers) that starts its digest; NULL = manual only
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Everything before this migration was D1 feedback; it becomes product 1, the default
+INSERT INTO products (id, slug, name, emoji, prompt_context) VALUES (1, 'd1', 'D1', '🗄️', 'Cloudflare D1 database');
+
+-- No REFERENCES clause: SQLite can't add a foreign key column with a non-NULL default
+ALTER TABLE feedback ADD COLUMN product_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE daily_digests ADD COLUMN product_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE themes ADD COLUMN product_id INTEGER NOT NULL DEFAULT 1;
+
+-- The same text can be feedback for two products
+DROP INDEX idx_feedback_content_hash;
+CREATE UNIQUE INDEX idx_feedback_product_content_hash ON feedback (product_id, content_hash);
+
+CREATE INDEX idx_feedback_product_created_at ON feedback (product_id, created_at);
+CREATE INDEX idx_daily_digests_product_created_at ON daily_digests (product_id, created_at);
+CREATE INDEX idx_themes_product ON themes (product_id);
@@ -0,0 +1,10 @@
+-- API tokens: only the SHA-256 hash of each token is stored, so a leaked table can't be replayed
+CREATE TABLE api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,              -- who or what the token is for, e.g. "ingest-bot"
+  token_hash TEXT NOT NULL UNIQUE, -- hex SHA-256 of the token
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'admin')),
+  created_at TEXT DEFAULT (datetime('now')),
+  last_used_at TEXT,
+  revoked_at TEXT                  -- set to revoke; sessions created with the token stop working too
+);
@@ -0,0 +1,17 @@
+-- One row per digest pipeline run, whether a workflow instance or an inline /run-digest call
+CREATE TABLE digest_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT UNIQUE,          -- DIGEST_WORKFLOW instance id; NULL for inline runs
+  trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'manual', 'http')),
+  product_id INTEGER NOT NULL DEFAULT 1 REFERENCES products (id),
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | running | complete | skipped | errored | terminated (or another workflow status)
+  created_at TEXT DEFAULT (datetime('now')),
+  started_at TEXT,                  -- when the pipeline began
+  finished_at TEXT,
+  feedback_count INTEGER,
+  digest_id INTEGER REFERENCES daily_digests (id),
+  error TEXT
+);
+
+CREATE INDEX idx_digest_runs_created_at ON digest_runs (created_at);
+CREATE INDEX idx_digest_runs_status ON digest_runs (status);
@@ -0,0 +1,6 @@
+-- Which prompt template version and model produced each digest, so quality can be compared across
+-- prompt changes. NULL for digests from before versioning.
+ALTER TABLE daily_digests ADD COLUMN prompt_version TEXT;
+ALTER TABLE daily_digests ADD COLUMN model TEXT;
+
+CREATE INDEX idx_daily_digests_prompt_version ON daily_digests (prompt_version, created_at);
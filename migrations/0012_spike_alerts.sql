@@ -0,0 +1,42 @@
+-- Spike detection between scheduled digests (src/spikes.js)
+
+-- digest_runs gains the 'spike' trigger; SQLite can't change a CHECK constraint in place
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE digest_runs_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT UNIQUE,          -- DIGEST_WORKFLOW instance id; NULL for inline runs
+  trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'manual', 'http', 'spike')),
+  product_id INTEGER NOT NULL DEFAULT 1 REFERENCES products (id),
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | running | complete | skipped | errored | terminated (or another workflow status)
+  created_at TEXT DEFAULT (datetime('now')),
+  started_at TEXT,                  -- when the pipeline began
+  finished_at TEXT,
+  feedback_count INTEGER,
+  digest_id INTEGER REFERENCES daily_digests (id),
+  error TEXT
+);
+
+INSERT INTO digest_runs_new SELECT * FROM digest_runs;
+DROP TABLE digest_runs;
+ALTER TABLE digest_runs_new RENAME TO digest_runs;
+
+CREATE INDEX idx_digest_runs_created_at ON digest_runs (created_at);
+CREATE INDEX idx_digest_runs_status ON digest_runs (status);
+
+-- One row per detected spike; the out-of-band digest run for its window is run_id
+CREATE TABLE spike_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL DEFAULT 1 REFERENCES products (id),
+  window_start TEXT NOT NULL,
+  window_end TEXT NOT NULL,
+  signals TEXT NOT NULL,            -- JSON array of { dimension, key, reasons, count, expected, negative_share, baseline_negative_share }
+  run_id INTEGER REFERENCES digest_runs (id),
+  error TEXT,                       -- why the run could not be started
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_spike_alerts_product_created_at ON spike_alerts (product_id, created_at);
+
+-- Digests of a spike window; they don't move the scheduled window or the sentiment trend
+ALTER TABLE daily_digests ADD COLUMN spike_alert_id INTEGER REFERENCES spike_alerts (id);
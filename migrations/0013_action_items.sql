@@ -0,0 +1,26 @@
+-- Action items: digest pm_actions and feature_signals kept for triage (src/actions.js)
+CREATE TABLE action_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL DEFAULT 1 REFERENCES products (id),
+  kind TEXT NOT NULL CHECK (kind IN ('docs_ux', 'validation', 'tracking', 'feature_signal')),
+  text TEXT NOT NULL,               -- wording from the digest that first suggested it
+  text_key TEXT NOT NULL,           -- normalized text, for deduplication
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'done', 'dismissed')),
+  owner TEXT,
+  theme_id INTEGER REFERENCES themes (id),
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  status_changed_at TEXT,
+  UNIQUE (product_id, kind, text_key)
+);
+
+CREATE INDEX idx_action_items_status ON action_items (product_id, status);
+
+-- Every digest that suggested an item
+CREATE TABLE action_item_digests (
+  action_item_id INTEGER NOT NULL REFERENCES action_items (id),
+  digest_id INTEGER NOT NULL REFERENCES daily_digests (id),
+  PRIMARY KEY (action_item_id, digest_id)
+);
+
+CREATE INDEX idx_action_item_digests_digest_id ON action_item_digests (digest_id);
@@ -0,0 +1,342 @@
+import { normalizeContent } from './feedback.js';
+import { html, htmlWrapper } from './html.js';
+import { HttpError, htmlResponse, jsonResponse, readJsonBody } from './http.js';
+import { DEFAULT_PRODUCT_ID, productFromUrl } from './products.js';
+import { PM_ACTION_KEYS, PM_ACTION_LABELS } from './schema.js';
+
+// Action items: each digest's pm_actions and feature_signals are kept as items PMs can triage, with
+// repeated suggestions across digests folded into one item that links back to every digest
+
+export const ACTION_KINDS = [...PM_ACTION_KEYS, 'feature_signal'];
+export const ACTION_STATUSES = ['open', 'accepted', 'done', 'dismissed'];
+
+// Word overlap (Jaccard) at which two suggestions of the same kind count as one item
+export const DUPLICATE_THRESHOLD = 0.75;
+export const MAX_OWNER_LENGTH = 100;
+const MAX_BODY_BYTES = 4 * 1024;
+
+const KIND_LABELS = { ...PM_ACTION_LABELS, feature_signal: 'Feature signal' };
+
+function wordSet(text) {
+	const normalized = normalizeContent(String(text));
+	return new Set(normalized ? normalized.split(' ') : []);
+}
+
+function overlap(a, b) {
+	const shared = [...a].filter(word => b.has(word)).length;
+	return shared / (a.size + b.size - shared || 1);
+}
+
+// The registry theme an item is most likely about: the one with the largest share (at least half) of its name's words in the text
+function matchTheme(words, themes) {
+	let best = { themeId: null, share: 0 };
+	for (const theme of themes) {
+		const name = wordSet(theme.theme);
+		if (!theme.theme_id || name.size === 0) {
+			continue;
+		}
+		const share = [...name].filter(word => words.has(word)).length / name.size;
+		if (share >= 0.5 && share > best.share) {
+			best = { themeId: theme.theme_id, share };
+		}
+	}
+	return best.themeId;
+}
+
+/**
+ * The digest's suggestions as { kind, text, key, words, theme_id }. A digest whose analysis failed
+ * entirely only carries the fallback's placeholder action, so it has none.
+ */
+export function extractSuggestions(digest) {
+	const { chunks, failed_chunks: failed } = digest.metadata || {};
+	if (chunks && failed === chunks) {
+		return [];
+	}
+	return [
+		...PM_ACTION_KEYS.flatMap(kind => (digest.pm_actions?.[kind] || []).map(text => ({ kind, text }))),
+		...(digest.feature_signals || []).map(text => ({ kind: 'feature_signal', text })),
+	]
+		.map(s => ({ ...s, text: String(s.text).trim(), key: normalizeContent(String(s.text)), words: wordSet(s.text) }))
+		.filter(s => s.key)
+		.map(s => ({ ...s, theme_id: matchTheme(s.words, digest.top_themes || []) }));
+}
+
+// An existing item of the same kind with the same normalized text, or else the most similar one at or above DUPLICATE_THRESHOLD
+export function findDuplicate(items, suggestion) {
+	const sameKind = items.filter(item => item.kind === suggestion.kind);
+	const exact = sameKind.find(item => item.text_key === suggestion.key);
+	if (exact) {
+		return exact;
+	}
+	let best = null;
+	let bestScore = DUPLICATE_THRESHOLD;
+	for (const item of sameKind) {
+		const score = overlap(suggestion.words, item.words || wordSet(item.text_key));
+		if (score >= bestScore) {
+			best = item;
+			bestScore = score;
+		}
+	}
+	return best;
+}
+
+/**
+ * Stores the digest's suggestions: each joins its duplicate among the product's items (whatever its
+ * status, so dismissed suggestions stay dismissed) or becomes a new open item, and is linked to the
+ * digest. Items without a theme pick up the one matched here. Safe to repeat for the same digest.
+ */
+export async function saveActionItems(env, digestId, product, digest) {
+	const suggestions = extractSuggestions(digest);
+	if (suggestions.length === 0) {
+		return { created: 0, linked: 0 };
+	}
+	const productId = product?.id ?? DEFAULT_PRODUCT_ID;
+	const { results: items } = await env.DB.prepare('SELECT id, kind, text_key FROM action_items WHERE product_id = ?').bind(productId).all();
+
+	let created = 0;
+	const links = new Map();
+	for (const suggestion of suggestions) {
+		let item = findDuplicate(items, suggestion);
+		if (!item) {
+			const id = await env.DB.prepare(
+				`INSERT INTO action_items (product_id, kind, text, text_key, theme_id) VALUES (?, ?, ?, ?, ?)
+				 ON CONFLICT (product_id, kind, text_key) DO UPDATE SET text_key = excluded.text_key RETURNING id`
+			)
+				.bind(productId, suggestion.kind, suggestion.text, suggestion.key, suggestion.theme_id)
+				.first('id');
+			item = { id, kind: suggestion.kind, text_key: suggestion.key, words: suggestion.words };
+			items.push(item);
+			created++;
+		}
+		links.set(item.id, links.get(item.id) ?? suggestion.theme_id);
+	}
+
+	await env.DB.batch(
+		[...links].flatMap(([id, themeId]) => [
+			env.DB.prepare('INSERT OR IGNORE INTO action_item_digests (action_item_id, digest_id) VALUES (?, ?)').bind(id, digestId),
+			env.DB.prepare('UPDATE action_items SET theme_id = COALESCE(theme_id, ?) WHERE id = ?').bind(themeId, id),
+		])
+	);
+	return { created, linked: links.size };
+}
+
+const ITEM_SQL = `SELECT a.*, p.slug AS product, t.name AS theme,
+		COUNT(l.digest_id) AS mentions, MIN(l.digest_id) AS first_digest_id, MAX(l.digest_id) AS last_digest_id, MAX(d.created_at) AS last_seen_at
+	 FROM action_items a
+	 LEFT JOIN products p ON p.id = a.product_id
+	 LEFT JOIN themes t ON t.id = a.theme_id
+	 LEFT JOIN action_item_digests l ON l.action_item_id = a.id
+	 LEFT JOIN daily_digests d ON d.id = l.digest_id`;
+
+function toActionItem(row) {
+	return {
+		id: row.id,
+		product: row.product,
+		kind: row.kind,
+		text: row.text,
+		status: row.status,
+		owner: row.owner,
+		theme_id: row.theme_id,
+		theme: row.theme,
+		mentions: row.mentions,
+		first_digest_id: row.first_digest_id,
+		last_digest_id: row.last_digest_id,
+		last_seen_at: row.last_seen_at,
+		created_at: row.created_at,
+		updated_at: row.updated_at,
+		status_changed_at: row.status_changed_at,
+	};
+}
+
+export async function getActionItem(env, id) {
+	const row = await env.DB.prepare(`${ITEM_SQL} WHERE a.id = ? GROUP BY a.id`).bind(id).first();
+	return row ? toActionItem(row) : null;
+}
+
+// Most often suggested first, optionally narrowed by product, status and kind
+export async function listActionItems(env, { product = null, status = null, kind = null } = {}) {
+	const conditions = [
+		[product, 'a.product_id = ?', product?.id],
+		[status, 'a.status = ?', status],
+		[kind, 'a.kind = ?', kind],
+	].filter(([value]) => value);
+	const where = conditions.length > 0 ? `WHERE ${conditions.map(([, clause]) => clause).join(' AND ')}` : '';
+	const { results } = await env.DB.prepare(`${ITEM_SQL} ${where} GROUP BY a.id ORDER BY mentions DESC, last_seen_at DESC, a.id DESC`)
+		.bind(...conditions.map(([, , value]) => value))
+		.all();
+	return results.map(toActionItem);
+}
+
+/**
+ * Items per status for the product (every product when null). `acted_on` counts accepted and done
+ * items, and `acted_on_rate` is their share of the items that were triaged at all.
+ */
+export async function summarizeActionItems(env, product = null) {
+	const { results } = await env.DB.prepare(
+		`SELECT status, COUNT(*) AS count FROM action_items ${product ? 'WHERE product_id = ?' : ''} GROUP BY status`
+	)
+		.bind(...(product ? [product.id] : []))
+		.all();
+	const summary = Object.fromEntries(ACTION_STATUSES.map(status => [status, results.find(r => r.status === status)?.count ?? 0]));
+	const actedOn = summary.accepted + summary.done;
+	const triaged = actedOn + summary.dismissed;
+	return { ...summary, acted_on: actedOn, acted_on_rate: triaged > 0 ? Math.round((actedOn / triaged) * 100) / 100 : null };
+}
+
+// Checks a triage update: { status?, owner? } where an empty owner clears it
+export function validateTriage(body) {
+	const errors = [];
+	if (!body || typeof body !== 'object' || Array.isArray(body)) {
+		return { value: null, errors: ['Request body must be an object'] };
+	}
+	const value = {};
+	if (body.status !== undefined) {
+		if (ACTION_STATUSES.includes(body.status)) {
+			value.status = body.status;
+		} else {
+			errors.push(`status must be one of ${ACTION_STATUSES.join(', ')}`);
+		}
+	}
+	if (body.owner !== undefined) {
+		const owner = typeof body.owner === 'string' ? body.owner.trim() : body.owner;
+		if (owner !== null && typeof owner !== 'string') {
+			errors.push('owner must be a string or null');
+		} else if (owner && owner.length > MAX_OWNER_LENGTH) {
+			errors.push(`owner must be at most ${MAX_OWNER_LENGTH} characters`);
+		} else {
+			value.owner = owner || null;
+		}
+	}
+	if (errors.length === 0 && Object.keys(value).length === 0) {
+		errors.push('Nothing to update: send status and/or owner');
+	}
+	return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+// Applies a validated triage update; throws HttpError(404) for an unknown item
+export async function triageActionItem(env, id, update) {
+	const existing = await getActionItem(env, id);
+	if (!existing) {
+		throw new HttpError(404, 'Action item not found');
+	}
+	const statusChanged = update.status !== undefined && update.status !== existing.status;
+	await env.DB.prepare(
+		`UPDATE action_items SET status = ?, owner = ?, updated_at = datetime('now')${statusChanged ? ", status_changed_at = datetime('now')" : ''}
+		 WHERE id = ?`
+	)
+		.bind(update.status ?? existing.status, update.owner !== undefined ? update.owner : existing.owner, id)
+		.run();
+	return getActionItem(env, id);
+}
+
+function parseActionQuery(url) {
+	const status = url.searchParams.get('status') || null;
+	const kind = url.searchParams.get('kind') || null;
+	if (status && !ACTION_STATUSES.includes(status)) {
+		throw new HttpError(400, `status must be one of ${ACTION_STATUSES.join(', ')}`);
+	}
+	if (kind && !ACTION_KINDS.includes(kind)) {
+		throw new HttpError(400, `kind must be one of ${ACTION_KINDS.join(', ')}`);
+	}
+	return { status, kind };
+}
+
+function renderItem(item, canTriage, back) {
+	const links = [
+		item.theme_id ? html`<a href="/themes/${item.theme_id}">${item.theme}</a>` : null,
+		item.first_digest_id ? html`first in <a href="/digests/${item.first_digest_id}">digest #${item.first_digest_id}</a>` : null,
+		item.last_digest_id && item.last_digest_id !== item.first_digest_id
+			? html`last in <a href="/digests/${item.last_digest_id}">digest #${item.last_digest_id}</a>`
+			: null,
+	].filter(Boolean);
+	const statusOptions = ACTION_STATUSES.map(s => html`<option value="${s}"${item.status === s ? html` selected` : ''}>${s}</option>`);
+
+	return html`
+      <li class="digest-row">
+        <div>
+          <div>${item.text}</div>
+          <div class="theme-meta">${KIND_LABELS[item.kind]} · ${item.product} · suggested in ${item.mentions} ${item.mentions === 1 ? 'digest' : 'digests'}${
+						item.owner ? ` · owner: ${item.owner}` : ''
+					}</div>
+          ${links.length ? html`<div class="theme-meta">${links.map((link, i) => html`${i ? ' · ' : ''}${link}`)}</div>` : ''}
+          ${
+						canTriage
+							? html`<form class="search-form" method="post" action="/actions/${item.id}" style="margin-top: 0.5rem;">
+            <select name="status">${statusOptions}</select>
+            <input name="owner" value="${item.owner ?? ''}" placeholder="owner" maxlength="${MAX_OWNER_LENGTH}">
+            <input type="hidden" name="back" value="${back}">
+            <button type="submit">Save</button>
+          </form>`
+							: ''
+					}
+        </div>
+      </li>`;
+}
+
+function renderBoard(items, summary, product, query, canTriage, back) {
+	const filterLink = status => {
+		const params = new URLSearchParams();
+		for (const [key, value] of [
+			['product', product?.slug],
+			['status', status],
+			['kind', query.kind],
+		]) {
+			if (value) {
+				params.set(key, value);
+			}
+		}
+		const search = params.toString();
+		return `/actions${search ? `?${search}` : ''}`;
+	};
+	const statuses = query.status ? [query.status] : ACTION_STATUSES;
+	const sections = statuses.map(status => {
+		const inStatus = items.filter(item => item.status === status);
+		return html`
+    <div class="section">
+      <div class="section-title">${status[0].toUpperCase()}${status.slice(1)} (${inStatus.length})</div>
+      <ul class="list">${inStatus.length ? inStatus.map(item => renderItem(item, canTriage, back)) : html`<li style="color: #666;">Nothing here.</li>`}</ul>
+    </div>`;
+	});
+
+	return html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Action Items</h1>
+    <p class="subtitle">${summary.open} open · ${summary.acted_on} acted on${
+			summary.acted_on_rate !== null ? ` (${Math.round(summary.acted_on_rate * 100)}% of triaged)` : ''
+		} · ${summary.dismissed} dismissed · <a href="/api/actions">JSON</a></p>
+    <p class="subtitle">${[null, ...ACTION_STATUSES].map((status, i) => html`${i ? ' · ' : ''}<a href="${filterLink(status)}">${status || 'all'}</a>`)}</p>
+    ${canTriage ? '' : html`<p class="theme-meta">Triage needs the admin role.</p>`}
+    ${sections}
+  `;
+}
+
+// GET /actions and /api/actions (`?product=`, `?status=`, `?kind=`); `canTriage` shows the forms
+export async function handleActionList(env, url, { json, canTriage = false }) {
+	const product = await productFromUrl(env, url);
+	const query = parseActionQuery(url);
+	const [items, summary] = await Promise.all([listActionItems(env, { ...query, product }), summarizeActionItems(env, product)]);
+	if (json) {
+		return jsonResponse({ items, summary });
+	}
+	return htmlResponse(htmlWrapper('Action Items', renderBoard(items, summary, product, query, canTriage, url.search)));
+}
+
+// PATCH /api/actions/:id with JSON { status?, owner? }; POST /actions/:id from the board's forms
+export async function handleActionTriage(request, env, id, { form }) {
+	if (request.method !== (form ? 'POST' : 'PATCH')) {
+		return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: form ? 'POST' : 'PATCH' });
+	}
+	const data = form ? await request.formData().catch(() => new FormData()) : null;
+	const body = form ? { status: data.get('status') ?? undefined, owner: data.get('owner') ?? undefined } : await readJsonBody(request, MAX_BODY_BYTES);
+	const { value, errors } = validateTriage(body);
+	if (!value) {
+		throw new HttpError(400, 'Invalid triage update', errors);
+	}
+	const item = await triageActionItem(env, id, value);
+	if (form) {
+		// Back to the board with the filters it was showing
+		const back = new URLSearchParams(String(data.get('back') || '')).toString();
+		return new Response(null, { status: 303, headers: { Location: `/actions${back ? `?${back}` : ''}` } });
+	}
+	return jsonResponse(item);
+}
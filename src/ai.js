@@ -0,0 +1,115 @@
+import { DEFAULT_PROMPT_VERSION, PROMPT_VERSIONS } from './prompts.js';
+import { extractJson } from './schema.js';
+
+// Extra prompts sent after an invalid response before giving up
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+export function buildRepairPrompt(errors) {
+	return `Your JSON did not match the required structure:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix these problems and return the complete corrected JSON object only, with no other text.
+
+JSON response:`;
+}
+
+// Parses a model response and checks it with `validate` (returning { value, errors }); `value` is null when unusable
+export function parseModelJson(text, validate) {
+	const { value, error } = extractJson(text);
+	if (error) {
+		return { value: null, errors: [error] };
+	}
+	return validate(value);
+}
+
+export const AI_PROVIDERS = ['workers-ai', 'openai'];
+export const DEFAULT_MODEL = '@cf/meta/llama-3-8b-instruct';
+export const DEFAULT_MODEL_PARAMS = { max_tokens: 1500 };
+
+export class ModelConfigError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'ModelConfigError';
+	}
+}
+
+/**
+ * The provider, model, parameters and prompt version a run uses, from AI_PROVIDER, AI_MODEL,
+ * AI_PARAMS (a JSON object merged over DEFAULT_MODEL_PARAMS) and PROMPT_VERSION. It holds no
+ * secrets, so it is stored with each digest. Throws ModelConfigError for a configuration that
+ * can't work, rather than quietly running a different model or prompt than the one asked for.
+ */
+export function loadModelConfig(env) {
+	const provider = env.AI_PROVIDER || 'workers-ai';
+	if (!AI_PROVIDERS.includes(provider)) {
+		throw new ModelConfigError(`AI_PROVIDER must be one of ${AI_PROVIDERS.join(', ')}`);
+	}
+	if (provider === 'openai' && (!env.OPENAI_BASE_URL || !env.AI_MODEL)) {
+		throw new ModelConfigError('AI_PROVIDER=openai needs OPENAI_BASE_URL and AI_MODEL');
+	}
+
+	let params = {};
+	if (env.AI_PARAMS) {
+		try {
+			params = JSON.parse(env.AI_PARAMS);
+		} catch {
+			throw new ModelConfigError('AI_PARAMS must be a JSON object');
+		}
+		if (!params || typeof params !== 'object' || Array.isArray(params)) {
+			throw new ModelConfigError('AI_PARAMS must be a JSON object');
+		}
+	}
+
+	const promptVersion = env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+	if (!PROMPT_VERSIONS[promptVersion]) {
+		throw new ModelConfigError(`PROMPT_VERSION must be one of ${Object.keys(PROMPT_VERSIONS).join(', ')}`);
+	}
+
+	return { provider, model: env.AI_MODEL || DEFAULT_MODEL, params: { ...DEFAULT_MODEL_PARAMS, ...params }, prompt_version: promptVersion };
+}
+
+// POST {OPENAI_BASE_URL}/chat/completions, for OpenAI or any server speaking its API (e.g. a local stub)
+async function completeOpenAi(env, config, messages) {
+	const response = await fetch(`${env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...(env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {}) },
+		body: JSON.stringify({ model: config.model, messages, ...config.params }),
+	});
+	if (!response.ok) {
+		throw new Error(`Model provider returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+	}
+	const data = await response.json();
+	return data.choices?.[0]?.message?.content;
+}
+
+// One chat completion with the configured provider; returns the response text
+export async function completeChat(env, config, messages) {
+	if (config.provider === 'openai') {
+		return completeOpenAi(env, config, messages);
+	}
+	const aiResponse = await env.AI.run(config.model, { messages, ...config.params });
+	return aiResponse.response;
+}
+
+/**
+ * Asks the configured model for JSON and validates it. Invalid output gets up to MAX_REPAIR_ATTEMPTS
+ * follow-up prompts listing the validation errors. Returns { value, raw_response, attempts, errors };
+ * `value` is null when every attempt failed.
+ */
+export async function completeJson(env, prompt, validate, config = loadModelConfig(env)) {
+	const messages = [{ role: 'user', content: prompt }];
+	let result;
+	let rawResponse;
+
+	for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+		rawResponse = await completeChat(env, config, [...messages]);
+		result = parseModelJson(rawResponse, validate);
+
+		if (result.value) {
+			return { value: result.value, raw_response: rawResponse, attempts: attempt, errors: [] };
+		}
+		messages.push({ role: 'assistant', content: String(rawResponse ?? '') }, { role: 'user', content: buildRepairPrompt(result.errors) });
+	}
+
+	return { value: null, raw_response: rawResponse, attempts: MAX_REPAIR_ATTEMPTS + 1, errors: result.errors };
+}
@@ -0,0 +1,274 @@
+import { html, htmlWrapper } from './html.js';
+import { HttpError, htmlResponse, jsonResponse, readJsonBody, wantsJson } from './http.js';
+
+// Access control: API clients send `Authorization: Bearer <token>`, browsers log in once with a token
+// and get a signed session cookie. Tokens are stored hashed in api_tokens with a viewer or admin role.
+
+export const ROLES = ['viewer', 'admin'];
+
+export const SESSION_COOKIE = 'session';
+export const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const PUBLIC_ROUTES = ['/', '/login', '/logout'];
+const ADMIN_ROUTES = [/^\/run-digest$/, /^\/trigger-workflow$/, /^\/feedback(\/batch)?$/, /^\/api\/tokens(\/\d+)?$/, /^\/(api\/)?actions\/\d+$/];
+// Feed readers can't send bearer tokens, so these routes also ask for HTTP Basic with the token as password
+const BASIC_AUTH_ROUTES = ['/feed.xml'];
+const MAX_TOKEN_BODY_BYTES = 4 * 1024;
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Hex SHA-256 of a token, as stored in api_tokens.token_hash
+export async function hashToken(token) {
+	const digest = await crypto.subtle.digest('SHA-256', encoder.encode(token));
+	return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function generateToken() {
+	return `fdt_${toBase64Url(crypto.getRandomValues(new Uint8Array(32)))}`;
+}
+
+// The role a path needs: null for public pages, 'admin' for routes that run or change things, 'viewer' otherwise
+export function requiredRole(pathname) {
+	if (PUBLIC_ROUTES.includes(pathname)) {
+		return null;
+	}
+	return ADMIN_ROUTES.some(pattern => pattern.test(pathname)) ? 'admin' : 'viewer';
+}
+
+export function hasRole(principal, role) {
+	return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+function hmacKey(secret) {
+	return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// Session cookie value: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 of the payload part)
+export async function signSession(secret, payload) {
+	const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+	const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret), encoder.encode(body));
+	return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// The payload of a correctly signed, unexpired session value, or null
+export async function verifySession(secret, value, now = Date.now()) {
+	const [body, signature, ...rest] = (value || '').split('.');
+	if (!body || !signature || rest.length > 0) {
+		return null;
+	}
+	try {
+		const valid = await crypto.subtle.verify('HMAC', await hmacKey(secret), fromBase64Url(signature), encoder.encode(body));
+		if (!valid) {
+			return null;
+		}
+		const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+		return Number.isInteger(payload.tid) && payload.exp * 1000 > now ? payload : null;
+	} catch {
+		return null;
+	}
+}
+
+// The password of an `Authorization: Basic` header, where API tokens go for clients that only speak Basic
+function basicPassword(header) {
+	const encoded = header.match(/^Basic\s+(\S+)$/i)?.[1];
+	if (!encoded) {
+		return null;
+	}
+	try {
+		const decoded = atob(encoded);
+		return decoded.slice(decoded.indexOf(':') + 1) || null;
+	} catch {
+		return null;
+	}
+}
+
+function readCookie(request, name) {
+	for (const part of (request.headers.get('Cookie') || '').split(';')) {
+		const [key, ...value] = part.trim().split('=');
+		if (key === name) {
+			return value.join('=');
+		}
+	}
+	return null;
+}
+
+function sessionCookie(value, maxAge) {
+	return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+async function findActiveToken(env, column, value) {
+	return env.DB.prepare(`SELECT id, name, role FROM api_tokens WHERE ${column} = ? AND revoked_at IS NULL`).bind(value).first();
+}
+
+/**
+ * Identifies the caller from a bearer token (or, on BASIC_AUTH_ROUTES only, one sent as the HTTP Basic
+ * password) or, failing that, the session cookie. Returns
+ * { token_id, name, role, via } or null. Sessions are checked against their token on every request,
+ * so revoking a token also ends the sessions created with it.
+ */
+export async function authenticate(request, env, ctx) {
+	const header = request.headers.get('Authorization') || '';
+	const basic = BASIC_AUTH_ROUTES.includes(new URL(request.url).pathname) ? basicPassword(header) : null;
+	const bearer = header.match(/^Bearer\s+(\S+)$/i)?.[1] || basic;
+
+	let row = null;
+	let via = null;
+	if (bearer) {
+		row = await findActiveToken(env, 'token_hash', await hashToken(bearer));
+		via = 'token';
+	} else if (env.SESSION_SECRET) {
+		const session = await verifySession(env.SESSION_SECRET, readCookie(request, SESSION_COOKIE));
+		row = session ? await findActiveToken(env, 'id', session.tid) : null;
+		via = 'session';
+	}
+	if (!row) {
+		return null;
+	}
+
+	const touch = env.DB.prepare("UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?").bind(row.id).run();
+	if (ctx) {
+		ctx.waitUntil(touch);
+	} else {
+		await touch;
+	}
+	return { token_id: row.id, name: row.name, role: row.role, via };
+}
+
+// Where to go after logging in: only same-site paths, never `//host` or `/\host`
+function safeNext(value) {
+	return value && value.startsWith('/') && !/^\/[/\\]/.test(value) ? value : '/';
+}
+
+function renderLoginPage(next, error) {
+	return htmlWrapper(
+		'Log In',
+		html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Log In</h1>
+    <p class="subtitle">Paste an API token to start a browser session.</p>
+    ${error ? html`<div class="section"><p class="error">${error}</p></div>` : ''}
+    <form class="section search-form" method="post" action="/login">
+      <label class="theme-meta">API token<br><input name="token" type="password" autocomplete="off" required></label>
+      <input type="hidden" name="next" value="${next}">
+      <button type="submit">Log in</button>
+    </form>
+  `
+	);
+}
+
+/**
+ * The response for a caller without the role a route needs, or null when access is allowed.
+ * API clients get JSON; browsers get the login page (401) or a forbidden page (403).
+ */
+export function checkAccess(request, url, principal, role) {
+	if (hasRole(principal, role)) {
+		return null;
+	}
+	const basic = BASIC_AUTH_ROUTES.includes(url.pathname);
+	const json = basic || url.pathname.startsWith('/api/') || request.method !== 'GET' || request.headers.has('Authorization') || wantsJson(request);
+
+	if (!principal) {
+		const headers = { 'WWW-Authenticate': `Bearer realm="feedback-digest"${basic ? ', Basic realm="feedback-digest"' : ''}` };
+		return json
+			? jsonResponse({ error: 'Authentication required' }, 401, headers)
+			: htmlResponse(renderLoginPage(`${url.pathname}${url.search}`, 'Log in to see this page.'), 401, headers);
+	}
+
+	const message = `This route requires the ${role} role`;
+	if (json) {
+		return jsonResponse({ error: message }, 403);
+	}
+	return htmlResponse(
+		htmlWrapper(
+			'Forbidden',
+			html`<div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Forbidden</h1>
+    <div class="section"><p class="error">${message}. You are logged in as ${principal.name} (${principal.role}).</p>
+    <p style="color: #888; margin-top: 1rem;"><a href="/logout">Log out</a> to switch tokens.</p></div>`
+		),
+		403
+	);
+}
+
+// GET /login shows the form; POST /login exchanges a token for a session cookie
+export async function handleLogin(request, env, url) {
+	if (request.method !== 'POST') {
+		return htmlResponse(renderLoginPage(safeNext(url.searchParams.get('next'))));
+	}
+
+	const form = await request.formData().catch(() => new FormData());
+	const next = safeNext(form.get('next'));
+	if (!env.SESSION_SECRET) {
+		return htmlResponse(renderLoginPage(next, 'Browser sessions are disabled: SESSION_SECRET is not set.'), 503);
+	}
+	const row = await findActiveToken(env, 'token_hash', await hashToken(String(form.get('token') || '').trim()));
+	if (!row) {
+		return htmlResponse(renderLoginPage(next, 'That token is not valid.'), 401);
+	}
+
+	const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+	const value = await signSession(env.SESSION_SECRET, { tid: row.id, exp });
+	return new Response(null, { status: 303, headers: { Location: next, 'Set-Cookie': sessionCookie(value, SESSION_TTL_SECONDS) } });
+}
+
+export function handleLogout() {
+	return new Response(null, { status: 303, headers: { Location: '/', 'Set-Cookie': sessionCookie('', 0) } });
+}
+
+// GET /api/tokens — never includes hashes
+export async function listTokens(env) {
+	const { results } = await env.DB.prepare('SELECT id, name, role, created_at, last_used_at, revoked_at FROM api_tokens ORDER BY id').all();
+	return results;
+}
+
+// POST /api/tokens { name, role } — the token itself is only ever returned here
+export async function createToken(env, body) {
+	const { name, role } = body || {};
+	if (typeof name !== 'string' || !name.trim()) {
+		throw new HttpError(400, 'name is required');
+	}
+	if (!ROLES.includes(role)) {
+		throw new HttpError(400, `role must be one of ${ROLES.join(', ')}`);
+	}
+	const token = generateToken();
+	const row = await env.DB.prepare('INSERT INTO api_tokens (name, token_hash, role) VALUES (?, ?, ?) RETURNING id, name, role, created_at')
+		.bind(name.trim(), await hashToken(token), role)
+		.first();
+	return { ...row, token };
+}
+
+export async function revokeToken(env, id) {
+	const row = await env.DB.prepare("UPDATE api_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL RETURNING id, revoked_at")
+		.bind(id)
+		.first();
+	if (!row) {
+		throw new HttpError(404, 'Token not found or already revoked');
+	}
+	return row;
+}
+
+// /api/tokens and /api/tokens/:id
+export async function handleTokens(request, env, id) {
+	if (id === null && request.method === 'GET') {
+		return jsonResponse({ tokens: await listTokens(env) });
+	}
+	if (id === null && request.method === 'POST') {
+		return jsonResponse(await createToken(env, await readJsonBody(request, MAX_TOKEN_BODY_BYTES)), 201);
+	}
+	if (id !== null && request.method === 'DELETE') {
+		return jsonResponse(await revokeToken(env, id));
+	}
+	return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: id === null ? 'GET, POST' : 'DELETE' });
+}
@@ -0,0 +1,118 @@
+import { completeJson, loadModelConfig } from './ai.js';
+import { chunkFeedback } from './digest.js';
+import { PROMPT_VERSIONS } from './prompts.js';
+import { SENTIMENTS, normalizeSentiment, validateClassification } from './schema.js';
+
+const MAX_THEMES = 8;
+const MAX_QUOTE_LENGTH = 200;
+
+// Labels one chunk with repair retries; `labels` is empty when every attempt failed
+export async function classifyChunk(env, chunk, product = null, config = loadModelConfig(env)) {
+	const prompt = PROMPT_VERSIONS[config.prompt_version].classification(chunk, product);
+	const result = await completeJson(env, prompt, data => validateClassification(data, chunk.length), config);
+	const labels = (result.value || []).map(label => ({
+		id: chunk[label.index - 1].id,
+		sentiment: label.sentiment,
+		theme: label.theme,
+		is_feature_request: label.feature_request ? 1 : 0,
+	}));
+	return { labels, attempts: result.attempts, errors: result.errors };
+}
+
+export async function saveLabels(env, labels) {
+	if (labels.length === 0) {
+		return;
+	}
+	await env.DB.batch(
+		labels.map(l =>
+			env.DB.prepare("UPDATE feedback SET sentiment = ?, theme = ?, is_feature_request = ?, classified_at = datetime('now') WHERE id = ?").bind(
+				l.sentiment,
+				l.theme,
+				l.is_feature_request,
+				l.id
+			)
+		)
+	);
+}
+
+/**
+ * Pipeline stage: labels every item in the window that isn't labeled yet, stores the labels on the
+ * feedback rows and returns the feedback with labels merged in.
+ */
+export async function classifyStage({ env, product, feedback, runStep }) {
+	const unlabeled = feedback.filter(f => !f.classified_at);
+	const config = loadModelConfig(env);
+	const results = [];
+	for (const [i, chunk] of chunkFeedback(unlabeled).entries()) {
+		results.push(await runStep(`classify-chunk-${i + 1}`, () => classifyChunk(env, chunk, product, config)));
+	}
+
+	const labels = results.flatMap(r => r.labels);
+	await runStep('store-labels', () => saveLabels(env, labels));
+
+	const byId = new Map(labels.map(l => [l.id, l]));
+	const labeled = feedback.map(f => (byId.has(f.id) ? { ...f, ...byId.get(f.id) } : f));
+
+	return {
+		feedback: labeled,
+		classification: {
+			labeled: labeled.filter(f => f.theme).length,
+			newly_labeled: labels.length,
+			failed_chunks: results.filter(r => r.labels.length === 0).length,
+			feature_requests: labeled.filter(f => f.is_feature_request).length,
+		},
+	};
+}
+
+function impactFromShare(share) {
+	return share >= 0.25 ? 'High' : share >= 0.1 ? 'Medium' : 'Low';
+}
+
+/**
+ * Replaces the model's sentiment percentages and theme mention counts with numbers counted from
+ * the per-item labels. Themes come from the label groups (largest first) with the model's quotes,
+ * impact and confidence where the names match; each theme lists the feedback ids behind it.
+ * Items assigned to a registry theme are grouped by `theme_id` under the registry name.
+ * Returns the digest unchanged when nothing is labeled.
+ */
+export function applyLabels(digest, feedback) {
+	const labeled = feedback.filter(f => f.theme);
+	if (labeled.length === 0) {
+		return digest;
+	}
+
+	const counts = Object.fromEntries(SENTIMENTS.map(key => [key, labeled.filter(f => f.sentiment === key).length]));
+
+	const groups = new Map();
+	for (const f of labeled) {
+		const name = (f.theme_name || f.theme).trim();
+		const key = f.theme_id ? `#${f.theme_id}` : name.toLowerCase();
+		if (!groups.has(key)) {
+			groups.set(key, { theme: name, themeId: f.theme_id, items: [] });
+		}
+		groups.get(key).items.push(f);
+	}
+
+	const modelThemes = new Map((digest.top_themes || []).map(t => [String(t.theme).trim().toLowerCase(), t]));
+	const topThemes = [...groups.entries()]
+		.sort((a, b) => b[1].items.length - a[1].items.length)
+		.slice(0, MAX_THEMES)
+		.map(([, group]) => {
+			const model = modelThemes.get(group.theme.toLowerCase());
+			return {
+				...(group.themeId ? { theme_id: group.themeId } : {}),
+				theme: group.theme,
+				mentions: group.items.length,
+				quotes: model?.quotes?.length ? model.quotes : group.items.slice(0, 2).map(f => f.content.slice(0, MAX_QUOTE_LENGTH)),
+				impact: model?.impact || impactFromShare(group.items.length / labeled.length),
+				confidence: model?.confidence || 'Medium',
+				feedback_ids: group.items.map(f => f.id),
+			};
+		});
+
+	return {
+		...digest,
+		top_themes: topThemes,
+		sentiment: { ...digest.sentiment, ...normalizeSentiment(counts) },
+	};
+}
@@ -0,0 +1,125 @@
+// Browser code for the /run-digest loading page, served as /run-digest.js because the CSP blocks inline
+// scripts. runDigestPage is sent as its own source text, so it must not use anything outside its body.
+
+function runDigestPage() {
+	const loader = document.getElementById('loader');
+	const result = document.getElementById('result');
+
+	// Strings passed as children become text nodes, so model output is never parsed as markup
+	function el(tag, className, ...children) {
+		const node = document.createElement(tag);
+		if (className) {
+			node.className = className;
+		}
+		node.append(...children.filter(child => child !== null && child !== undefined && child !== ''));
+		return node;
+	}
+
+	function link(href, className, text) {
+		const node = el('a', className, text);
+		node.href = href;
+		return node;
+	}
+
+	function section(title, ...children) {
+		return el('div', 'section', el('div', 'section-title', title), ...children);
+	}
+
+	function list(items, empty) {
+		return el('ul', 'list', ...(items.length > 0 ? items : [empty]).map(item => el('li', null, String(item))));
+	}
+
+	function quote(text, source) {
+		let badge = null;
+		if (source && source.feedback_id) {
+			badge = link(`/search?id=${encodeURIComponent(source.feedback_id)}`, 'quote-source', `#${source.feedback_id}${source.source ? ` · ${source.source}` : ''}`);
+		} else if (source) {
+			badge = el('span', 'quote-source error', 'unverified');
+		}
+		return el('div', 'quote', `"${text}"`, badge ? ' ' : null, badge);
+	}
+
+	// Same lines as describeActions in schema.js
+	function actions(pmActions) {
+		const labels = [
+			['docs_ux', ''],
+			['validation', 'Validate: '],
+			['tracking', 'Track: '],
+		];
+		return labels.flatMap(([key, prefix]) => ((pmActions && pmActions[key]) || []).map(action => `${prefix}${action}`));
+	}
+
+	function percent(value) {
+		const n = Number(value);
+		return Number.isFinite(n) ? n : 0;
+	}
+
+	function showError(message) {
+		result.replaceChildren(el('div', 'section', el('p', 'error', `Error: ${message}`)));
+	}
+
+	function render(data) {
+		const metadata = data.metadata || {};
+		const sentiment = data.sentiment || {};
+		const themes = (data.top_themes || []).map(t =>
+			el(
+				'div',
+				'theme',
+				el('div', 'theme-name', String(t.theme)),
+				el('div', 'theme-meta', `${t.mentions} mentions · ${t.impact} impact`),
+				...(t.quotes || []).map((q, i) => quote(q, (t.quote_sources || [])[i]))
+			)
+		);
+
+		const bar = el('div', 'sentiment-bar');
+		const labels = el('div', 'sentiment-labels');
+		for (const [key, label] of [
+			['frustrated', '😠 Frustrated'],
+			['neutral', '😐 Neutral'],
+			['positive', '😊 Positive'],
+		]) {
+			const share = el('div', `sentiment-${key}`);
+			share.style.width = `${percent(sentiment[key])}%`;
+			bar.append(share);
+			labels.append(el('span', null, `${label} ${percent(sentiment[key])}%`));
+		}
+
+		const sources = el('p', null, `Sources: ${(metadata.sources || []).join(', ') || 'Unknown'}`);
+		sources.style.cssText = 'color: #666; font-size: 0.9rem; margin: 1rem 0 1.5rem;';
+
+		result.replaceChildren(
+			el('h1', null, 'Generated Digest'),
+			el('p', 'subtitle success', '✓ Digest generated and saved to D1'),
+			el('p', 'subtitle', `${metadata.date || ''} · ${metadata.feedback_count || 0} items analyzed`),
+			sources,
+			section('🔥 Top Themes', ...(themes.length > 0 ? themes : [el('p', null, 'No themes found')])),
+			section('📊 Sentiment', bar, labels),
+			section('💡 Feature Signals', list(data.feature_signals || [], 'No feature signals')),
+			section('✅ Recommended Actions', list(actions(data.pm_actions), 'No actions'))
+		);
+	}
+
+	fetch(result.dataset.src)
+		.then(res => res.json())
+		.then(data => {
+			loader.style.display = 'none';
+			result.style.display = 'block';
+			if (data.error) {
+				showError(data.error);
+			} else {
+				render(data);
+			}
+		})
+		.catch(err => {
+			loader.style.display = 'none';
+			result.style.display = 'block';
+			showError(err.message);
+		});
+}
+
+export const RUN_DIGEST_SCRIPT = `(${runDigestPage})();\n`;
+
+// GET /run-digest.js
+export function handleRunDigestScript() {
+	return new Response(RUN_DIGEST_SCRIPT, { headers: { 'Content-Type': 'text/javascript; charset=utf-8' } });
+}
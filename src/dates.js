@@ -0,0 +1,14 @@
+// Timestamps are stored in D1 as `datetime('now')` text: 'YYYY-MM-DD HH:MM:SS' (UTC)
+
+export function toSqliteDate(value) {
+	return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+export function isValidDate(value) {
+	return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Parses a stored D1 timestamp back into a Date
+export function fromSqliteDate(value) {
+	return new Date(`${value.replace(' ', 'T')}Z`);
+}
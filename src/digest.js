@@ -0,0 +1,227 @@
+import { completeJson, loadModelConfig, parseModelJson } from './ai.js';
+import { isValidDate, toSqliteDate } from './dates.js';
+import { PROMPT_VERSIONS } from './prompts.js';
+import { validateDigest } from './schema.js';
+
+// Start of time for the very first digest, when there is no previous window to continue from
+const EPOCH = '1970-01-01 00:00:00';
+
+// Keep each AI call well inside the model's context window
+export const CHUNK_MAX_ITEMS = 40;
+export const CHUNK_MAX_CHARS = 8000;
+
+const MAX_THEMES = 8;
+const MAX_QUOTES_PER_THEME = 3;
+const LEVEL_ORDER = ['Low', 'Medium', 'High'];
+
+// Theme name of the placeholder digest stored when no chunk could be analyzed
+export const FALLBACK_THEME = 'Unable to parse';
+
+export class DigestWindowError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'DigestWindowError';
+	}
+}
+
+/**
+ * Resolves the (from, to] window a digest covers. Explicit bounds win; otherwise the window starts
+ * at the latest window end among the product's digests (any product's when none is given) and runs
+ * until now, so a backfill of an older range doesn't pull the next window back. Spike digests cover
+ * out-of-band windows, so they don't count.
+ */
+export async function resolveWindow(env, { from, to } = {}, product = null) {
+	for (const [name, value] of [
+		['from', from],
+		['to', to],
+	]) {
+		if (value !== undefined && value !== null && !isValidDate(value)) {
+			throw new DigestWindowError(`${name} must be an ISO 8601 timestamp`);
+		}
+	}
+
+	const end = to ? toSqliteDate(to) : toSqliteDate(Date.now());
+	let start = from ? toSqliteDate(from) : null;
+
+	if (!start) {
+		const last = await env.DB.prepare(
+			`SELECT MAX(COALESCE(window_end, created_at)) AS window_end FROM daily_digests
+			 WHERE spike_alert_id IS NULL ${product ? 'AND product_id = ?' : ''}`
+		)
+			.bind(...(product ? [product.id] : []))
+			.first();
+		start = last?.window_end || EPOCH;
+	}
+
+	if (start >= end) {
+		throw new DigestWindowError('from must be before to');
+	}
+	return { from: start, to: end };
+}
+
+// Workflow step outputs are capped at about 1 MiB; 50 items at MAX_CONTENT_LENGTH (4000 characters) stay well under it
+export const FETCH_PAGE_SIZE = 50;
+
+const FEEDBACK_SQL = `SELECT f.id, f.content, f.source, f.created_at, f.sentiment, f.theme, f.is_feature_request, f.classified_at,
+		f.theme_id, t.name AS theme_name
+	 FROM feedback f LEFT JOIN themes t ON t.id = f.theme_id
+	 WHERE f.created_at > ? AND f.created_at <= ?`;
+
+export async function fetchFeedbackInWindow(env, window, product = null) {
+	const { results } = await env.DB.prepare(`${FEEDBACK_SQL} ${product ? 'AND f.product_id = ?' : ''} ORDER BY f.created_at, f.id`)
+		.bind(window.from, window.to, ...(product ? [product.id] : []))
+		.all();
+	return results;
+}
+
+/**
+ * One page of the window's feedback in the same order, starting after `after` (the previous page's
+ * last item). The pipeline fetches a window page by page so each workflow step's output stays small.
+ */
+export async function fetchFeedbackPage(env, window, product = null, after = null, limit = FETCH_PAGE_SIZE) {
+	const conditions = [
+		...(product ? [['AND f.product_id = ?', product.id]] : []),
+		...(after ? [['AND (f.created_at, f.id) > (?, ?)', after.created_at, after.id]] : []),
+	];
+	const { results } = await env.DB.prepare(
+		`${FEEDBACK_SQL} ${conditions.map(([clause]) => clause).join(' ')} ORDER BY f.created_at, f.id LIMIT ?`
+	)
+		.bind(window.from, window.to, ...conditions.flatMap(([, ...values]) => values), limit)
+		.all();
+	return results;
+}
+
+// Splits feedback into chunks bounded by item count and prompt size
+export function chunkFeedback(feedback, maxItems = CHUNK_MAX_ITEMS, maxChars = CHUNK_MAX_CHARS) {
+	const chunks = [];
+	let current = [];
+	let chars = 0;
+
+	for (const item of feedback) {
+		const size = item.content.length + (item.source || '').length;
+		if (current.length > 0 && (current.length >= maxItems || chars + size > maxChars)) {
+			chunks.push(current);
+			current = [];
+			chars = 0;
+		}
+		current.push(item);
+		chars += size;
+	}
+	if (current.length > 0) {
+		chunks.push(current);
+	}
+	return chunks;
+}
+
+// Parses and validates a model response; `digest` is null and `errors` explains why when it isn't usable
+export function parseDigestResponse(text) {
+	const { value, errors } = parseModelJson(text, validateDigest);
+	return { digest: value, errors };
+}
+
+// Runs one chunk through the model with repair retries (see completeJson); `digest` is null when every attempt failed
+export async function analyzeChunk(env, chunk, product = null, config = loadModelConfig(env)) {
+	const prompt = PROMPT_VERSIONS[config.prompt_version].analysis(chunk, product);
+	const result = await completeJson(env, prompt, validateDigest, config);
+	return { digest: result.value, raw_response: result.raw_response, size: chunk.length, attempts: result.attempts, errors: result.errors };
+}
+
+export function fallbackDigest(rawResponse) {
+	return {
+		top_themes: [{ theme: FALLBACK_THEME, mentions: 0, quotes: [], impact: 'Unknown', confidence: 'Low' }],
+		friction_points: [],
+		sentiment: { frustrated: 0, neutral: 100, positive: 0 },
+		feature_signals: [],
+		pm_actions: { docs_ux: ['Review AI response manually'], validation: [], tracking: [] },
+		...(rawResponse !== undefined ? { raw_response: rawResponse } : {}),
+	};
+}
+
+function higherLevel(a, b) {
+	return LEVEL_ORDER.indexOf(b) > LEVEL_ORDER.indexOf(a) ? b : a;
+}
+
+function uniqueStrings(values) {
+	const seen = new Map();
+	for (const value of values) {
+		if (typeof value === 'string' && value.trim() && !seen.has(value.trim().toLowerCase())) {
+			seen.set(value.trim().toLowerCase(), value.trim());
+		}
+	}
+	return [...seen.values()];
+}
+
+/**
+ * Merges per-chunk analyses into one digest. Themes and friction points with the same name are
+ * combined, sentiment is weighted by chunk size, and lists are de-duplicated. Chunks that failed
+ * to parse are skipped; if none parsed, the fallback digest is returned.
+ */
+export function mergeChunkResults(results) {
+	const parsed = results.filter(r => r.digest);
+	if (parsed.length === 0) {
+		return fallbackDigest(results.map(r => r.raw_response).join('\n\n---\n\n'));
+	}
+	if (parsed.length === 1 && results.length === 1) {
+		return parsed[0].digest;
+	}
+
+	const themes = new Map();
+	const friction = new Map();
+	const weighted = { frustrated: 0, neutral: 0, positive: 0 };
+	let weight = 0;
+
+	for (const { digest, size } of parsed) {
+		for (const t of digest.top_themes || []) {
+			const key = String(t.theme || '').trim().toLowerCase();
+			if (!key) continue;
+			const existing = themes.get(key);
+			if (existing) {
+				existing.mentions += Number(t.mentions) || 0;
+				existing.quotes = uniqueStrings([...existing.quotes, ...(t.quotes || [])]);
+				existing.impact = higherLevel(existing.impact, t.impact);
+				existing.confidence = higherLevel(existing.confidence, t.confidence);
+			} else {
+				themes.set(key, { ...t, mentions: Number(t.mentions) || 0, quotes: uniqueStrings(t.quotes || []) });
+			}
+		}
+
+		for (const f of digest.friction_points || []) {
+			const key = String(f.point || '').trim().toLowerCase();
+			if (!key) continue;
+			const existing = friction.get(key);
+			if (existing) {
+				existing.count += Number(f.count) || 0;
+			} else {
+				friction.set(key, { ...f, count: Number(f.count) || 0 });
+			}
+		}
+
+		if (digest.sentiment) {
+			weighted.frustrated += (Number(digest.sentiment.frustrated) || 0) * size;
+			weighted.neutral += (Number(digest.sentiment.neutral) || 0) * size;
+			weighted.positive += (Number(digest.sentiment.positive) || 0) * size;
+			weight += size;
+		}
+	}
+
+	const sentiment = { frustrated: 0, neutral: 100, positive: 0 };
+	const total = weighted.frustrated + weighted.neutral + weighted.positive;
+	if (weight > 0 && total > 0) {
+		sentiment.frustrated = Math.round((weighted.frustrated / total) * 100);
+		sentiment.neutral = Math.round((weighted.neutral / total) * 100);
+		sentiment.positive = Math.round((weighted.positive / total) * 100);
+	}
+
+	const pmActions = key => uniqueStrings(parsed.flatMap(p => p.digest.pm_actions?.[key] || []));
+
+	return {
+		top_themes: [...themes.values()]
+			.sort((a, b) => b.mentions - a.mentions)
+			.slice(0, MAX_THEMES)
+			.map(t => ({ ...t, quotes: t.quotes.slice(0, MAX_QUOTES_PER_THEME) })),
+		friction_points: [...friction.values()].sort((a, b) => b.count - a.count),
+		sentiment,
+		feature_signals: uniqueStrings(parsed.flatMap(p => p.digest.feature_signals || [])),
+		pm_actions: { docs_ux: pmActions('docs_ux'), validation: pmActions('validation'), tracking: pmActions('tracking') },
+	};
+}
@@ -0,0 +1,167 @@
+import { fromSqliteDate } from './dates.js';
+import { getDigest, toDigest } from './history.js';
+import { escapeHtml } from './html.js';
+import { jsonResponse } from './http.js';
+import { productFromUrl } from './products.js';
+import { describeActions } from './schema.js';
+import { describeTrend } from './trends.js';
+
+// Digest exports for Notion, spreadsheets and feed readers, all rendered from the stored digest JSON
+
+export const FEED_SIZE = 20;
+
+// Model and feedback text must not turn into links, images, headings or HTML when pasted
+function escapeMarkdown(value) {
+	return String(value)
+		.replace(/\s+/g, ' ')
+		.replace(/[\\`*_[\]<>#|!]/g, '\\$&');
+}
+
+function quoteMarkdown(quote, source, origin) {
+	let badge = '';
+	if (source?.feedback_id) {
+		badge = ` ([#${source.feedback_id}${source.source ? ` · ${escapeMarkdown(source.source)}` : ''}](${origin}/search?id=${source.feedback_id}))`;
+	} else if (source && !source.grounded) {
+		badge = ' (unverified)';
+	}
+	return `> "${escapeMarkdown(quote)}"${badge}`;
+}
+
+/**
+ * The sections of renderDigestHtml as Markdown. Links are absolute (`origin` is e.g.
+ * 'https://digest.example.com') so they still work once the text is pasted elsewhere.
+ */
+export function renderDigestMarkdown(digest, origin, title = `Digest #${digest.id}`) {
+	const lines = [
+		`# ${escapeMarkdown(title)}`,
+		'',
+		`${escapeMarkdown(digest.metadata?.date || 'Unknown date')} · ${digest.metadata?.feedback_count || 0} items analyzed`,
+		'',
+		`Sources: ${escapeMarkdown(digest.metadata?.sources?.join(', ') || 'Unknown')}`,
+		'',
+		'## 🔥 Top Themes',
+		'',
+	];
+	if (!digest.top_themes?.length) {
+		lines.push('No themes found', '');
+	}
+	for (const t of digest.top_themes || []) {
+		const name = t.theme_id ? `[${escapeMarkdown(t.theme)}](${origin}/themes/${t.theme_id})` : escapeMarkdown(t.theme);
+		lines.push(`### ${name}`, '', `${t.mentions} mentions · ${escapeMarkdown(t.impact)} impact`, '');
+		for (const [i, quote] of (t.quotes || []).entries()) {
+			lines.push(quoteMarkdown(quote, t.quote_sources?.[i], origin), '');
+		}
+	}
+
+	const sentiment = digest.sentiment || {};
+	const actions = describeActions(digest.pm_actions);
+	lines.push(
+		'## 📊 Sentiment',
+		'',
+		`😠 Frustrated ${sentiment.frustrated || 0}% · 😐 Neutral ${sentiment.neutral || 0}% · 😊 Positive ${sentiment.positive || 0}%`,
+		'',
+		...describeTrend(digest.sentiment_trend).flatMap(line => [`_${escapeMarkdown(line)}_`, '']),
+		'## 💡 Feature Signals',
+		'',
+		...(digest.feature_signals?.length ? digest.feature_signals.map(f => `- ${escapeMarkdown(f)}`) : ['- No feature signals']),
+		'',
+		'## ✅ Recommended Actions',
+		'',
+		...(actions.length ? actions.map(a => `- ${escapeMarkdown(a)}`) : ['- No actions']),
+		''
+	);
+	return lines.join('\n');
+}
+
+export const CSV_COLUMNS = ['section', 'item', 'count', 'impact', 'confidence', 'quotes'];
+
+// RFC 4180 quoting, plus a leading ' on cells a spreadsheet would otherwise run as a formula
+function csvCell(value) {
+	let text = value === null || value === undefined ? '' : String(value);
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// One row per theme, friction point and feature signal, under CSV_COLUMNS
+export function renderDigestCsv(digest) {
+	const rows = [
+		...(digest.top_themes || []).map(t => ['theme', t.theme, t.mentions, t.impact, t.confidence, (t.quotes || []).join('\n')]),
+		...(digest.friction_points || []).map(f => ['friction_point', f.point, f.count, null, null, null]),
+		...(digest.feature_signals || []).map(f => ['feature_signal', f, null, null, null, null]),
+	];
+	return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function digestTitle(digest) {
+	const product = digest.metadata?.product;
+	return `${product ? `${product.name} digest` : 'Digest'} — ${digest.metadata?.date || digest.created_at}`;
+}
+
+function digestSummary(digest) {
+	const themes = (digest.top_themes || []).map(t => `${t.theme} (${t.mentions})`).join(', ');
+	return `${digest.feedback_count || 0} items analyzed${themes ? ` · Top themes: ${themes}` : ''}`;
+}
+
+/**
+ * An Atom feed of `digests` (newest first), each entry linking to its permalink. `feedUrl` is the
+ * feed's own absolute URL, which is also its id.
+ */
+export function renderAtomFeed(digests, { origin, feedUrl, title }) {
+	const updated = digests.length > 0 ? fromSqliteDate(digests[0].created_at).toISOString() : new Date(0).toISOString();
+	const entries = digests.map(
+		d => `
+  <entry>
+    <id>${escapeHtml(`${origin}/digests/${d.id}`)}</id>
+    <title>${escapeHtml(digestTitle(d))}</title>
+    <updated>${fromSqliteDate(d.created_at).toISOString()}</updated>
+    <link rel="alternate" type="text/html" href="${escapeHtml(`${origin}/digests/${d.id}`)}"/>
+    <link rel="alternate" type="text/markdown" href="${escapeHtml(`${origin}/digests/${d.id}.md`)}"/>
+    <summary type="text">${escapeHtml(digestSummary(d))}</summary>
+  </entry>`
+	);
+	return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(feedUrl)}</id>
+  <title>${escapeHtml(title)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" href="${escapeHtml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(`${origin}/digests`)}"/>${entries.join('')}
+</feed>
+`;
+}
+
+export async function listRecentDigests(env, product = null, limit = FEED_SIZE) {
+	const { results } = await env.DB.prepare(
+		`SELECT * FROM daily_digests ${product ? 'WHERE product_id = ?' : ''} ORDER BY created_at DESC, id DESC LIMIT ?`
+	)
+		.bind(...(product ? [product.id] : []), limit)
+		.all();
+	return results.map(toDigest);
+}
+
+// GET /digests/:id.md and /digests/:id.csv
+export async function handleDigestExport(env, id, format, url) {
+	const digest = await getDigest(env, id);
+	if (!digest) {
+		return jsonResponse({ error: 'Digest not found' }, 404);
+	}
+	if (format === 'md') {
+		return new Response(renderDigestMarkdown(digest, url.origin), { headers: { 'Content-Type': 'text/markdown; charset=utf-8' } });
+	}
+	return new Response(renderDigestCsv(digest), {
+		headers: { 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="digest-${digest.id}.csv"` },
+	});
+}
+
+// GET /feed.xml (`?product=` to scope to one product)
+export async function handleFeed(env, url) {
+	const product = await productFromUrl(env, url);
+	const digests = await listRecentDigests(env, product);
+	const feedUrl = `${url.origin}/feed.xml${product ? `?product=${encodeURIComponent(product.slug)}` : ''}`;
+	const title = product ? `${product.name} Feedback Digest` : 'Daily Feedback Digest';
+	return new Response(renderAtomFeed(digests, { origin: url.origin, feedUrl, title }), {
+		headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+	});
+}
@@ -0,0 +1,197 @@
+import { isValidDate, toSqliteDate } from './dates.js';
+import { HttpError, jsonResponse, readJsonBody } from './http.js';
+import { DEFAULT_PRODUCT_ID, listProducts } from './products.js';
+import { loadRedactionRules, redactText } from './redact.js';
+
+// Ingestion limits for POST /feedback and POST /feedback/batch
+export const MAX_CONTENT_LENGTH = 4000;
+export const MAX_SOURCE_LENGTH = 64;
+export const MAX_BODY_BYTES = 16 * 1024;
+export const MAX_BATCH_BODY_BYTES = 1024 * 1024;
+export const MAX_BATCH_SIZE = 100;
+
+// Lowercases and strips punctuation/whitespace differences so trivially reworded reposts hash the same
+export function normalizeContent(content) {
+	return content
+		.normalize('NFKC')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, ' ')
+		.trim();
+}
+
+export async function contentHash(content) {
+	const data = new TextEncoder().encode(normalizeContent(content));
+	const digest = await crypto.subtle.digest('SHA-256', data);
+	return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Returns { value, errors } where value is the cleaned feedback item ready for insert
+export function validateFeedback(item) {
+	const errors = [];
+
+	if (!item || typeof item !== 'object' || Array.isArray(item)) {
+		return { value: null, errors: ['Feedback item must be an object'] };
+	}
+
+	const content = typeof item.content === 'string' ? item.content.trim() : '';
+	if (typeof item.content !== 'string') {
+		errors.push('content is required and must be a string');
+	} else if (!content) {
+		errors.push('content must not be empty');
+	} else if (content.length > MAX_CONTENT_LENGTH) {
+		errors.push(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+	} else if (!normalizeContent(content)) {
+		errors.push('content must contain letters or digits');
+	}
+
+	const source = typeof item.source === 'string' ? item.source.trim() : '';
+	if (typeof item.source !== 'string') {
+		errors.push('source is required and must be a string');
+	} else if (!source) {
+		errors.push('source must not be empty');
+	} else if (source.length > MAX_SOURCE_LENGTH) {
+		errors.push(`source must be at most ${MAX_SOURCE_LENGTH} characters`);
+	}
+
+	let createdAt = null;
+	if (item.created_at !== undefined && item.created_at !== null) {
+		if (!isValidDate(item.created_at)) {
+			errors.push('created_at must be an ISO 8601 timestamp');
+		} else {
+			createdAt = toSqliteDate(item.created_at);
+		}
+	}
+
+	let product = null;
+	if (item.product !== undefined && item.product !== null) {
+		if (typeof item.product !== 'string' || !item.product.trim()) {
+			errors.push('product must be a non-empty string');
+		} else {
+			product = item.product.trim();
+		}
+	}
+
+	if (errors.length > 0) {
+		return { value: null, errors };
+	}
+	return { value: { content, source, created_at: createdAt, product }, errors };
+}
+
+/**
+ * Replaces each validated item's product slug with a product_id (the default product when unset).
+ * Items naming an unknown product come back as { value: null, errors }.
+ */
+export async function resolveProducts(env, validated) {
+	const ids = new Map((await listProducts(env)).map(p => [p.slug, p.id]));
+	return validated.map(v => {
+		if (!v.value) {
+			return v;
+		}
+		const { product, ...item } = v.value;
+		if (product && !ids.has(product)) {
+			return { value: null, errors: [`product "${product}" does not exist`] };
+		}
+		return { value: { ...item, product_id: product ? ids.get(product) : DEFAULT_PRODUCT_ID }, errors: [] };
+	});
+}
+
+/**
+ * Inserts one item, dated no earlier than a second after its product's latest digest window end (the
+ * same bound resolveWindow starts the next window from). Windows are (from, to], so an item backdated
+ * into, or landing on the last second of, an already digested window would otherwise never be read.
+ */
+function insertStatement(env, item, hash) {
+	return env.DB.prepare(
+		`INSERT INTO feedback (content, source, content_hash, created_at, product_id)
+		 VALUES (?1, ?2, ?3, MAX(COALESCE(?4, datetime('now')), COALESCE((
+			SELECT datetime(MAX(COALESCE(window_end, created_at)), '+1 second') FROM daily_digests
+			WHERE spike_alert_id IS NULL AND product_id = ?5
+		 ), '')), ?5)
+		 ON CONFLICT (product_id, content_hash) DO NOTHING
+		 RETURNING id`
+	).bind(item.content, item.source, hash, item.created_at, item.product_id ?? DEFAULT_PRODUCT_ID);
+}
+
+// Takes [product_id, content_hash] pairs and maps `${product_id}:${content_hash}` to ids. Joining on both
+// columns lets each pair be looked up in the (product_id, content_hash) unique index.
+async function findIdsByHash(env, pairs) {
+	if (pairs.length === 0) {
+		return new Map();
+	}
+	const { results } = await env.DB.prepare(
+		`SELECT f.id, f.product_id, f.content_hash FROM json_each(?) k
+		 JOIN feedback f ON f.product_id = json_extract(k.value, '$[0]') AND f.content_hash = json_extract(k.value, '$[1]')`
+	)
+		.bind(JSON.stringify(pairs))
+		.all();
+	return new Map(results.map(r => [`${r.product_id}:${r.content_hash}`, r.id]));
+}
+
+/**
+ * Inserts validated items in one D1 batch; duplicates (same product and content hash) resolve to the existing row's id.
+ * With REDACT_ON_INGEST=true, PII is redacted before the content is hashed and stored.
+ */
+export async function insertFeedback(env, validItems) {
+	const rules = env.REDACT_ON_INGEST === 'true' ? loadRedactionRules(env) : null;
+	const items = rules ? validItems.map(item => ({ ...item, content: redactText(item.content, rules).text })) : validItems;
+	const hashes = await Promise.all(items.map(item => contentHash(item.content)));
+	const inserted = await env.DB.batch(items.map((item, i) => insertStatement(env, item, hashes[i])));
+
+	const pairs = items.map((item, i) => [item.product_id ?? DEFAULT_PRODUCT_ID, hashes[i]]);
+	const keys = pairs.map(pair => pair.join(':'));
+	const existing = await findIdsByHash(env, pairs.filter((pair, i) => inserted[i].results.length === 0));
+
+	return inserted.map((res, i) =>
+		res.results.length > 0 ? { status: 'created', id: res.results[0].id } : { status: 'duplicate', id: existing.get(keys[i]) ?? null }
+	);
+}
+
+// POST /feedback — ingest a single feedback item
+export async function handleFeedbackPost(request, env) {
+	const body = await readJsonBody(request, MAX_BODY_BYTES);
+	const [{ value, errors }] = await resolveProducts(env, [validateFeedback(body)]);
+	if (!value) {
+		throw new HttpError(400, 'Invalid feedback', errors);
+	}
+
+	const [result] = await insertFeedback(env, [value]);
+	return jsonResponse(result, result.status === 'created' ? 201 : 200);
+}
+
+// POST /feedback/batch — ingest up to MAX_BATCH_SIZE items, reporting a result per item
+export async function handleFeedbackBatch(request, env) {
+	const body = await readJsonBody(request, MAX_BATCH_BODY_BYTES);
+	const items = Array.isArray(body) ? body : body?.items;
+
+	if (!Array.isArray(items) || items.length === 0) {
+		throw new HttpError(400, 'Request body must be a non-empty array or { "items": [...] }');
+	}
+	if (items.length > MAX_BATCH_SIZE) {
+		throw new HttpError(413, `Batch exceeds ${MAX_BATCH_SIZE} items`);
+	}
+
+	const validated = await resolveProducts(env, items.map(validateFeedback));
+	const valid = validated.filter(v => v.value);
+	if (valid.length === 0) {
+		throw new HttpError(
+			400,
+			'No valid feedback items',
+			validated.map((v, index) => ({ index, errors: v.errors }))
+		);
+	}
+
+	const inserted = await insertFeedback(
+		env,
+		valid.map(v => v.value)
+	);
+
+	let next = 0;
+	const results = validated.map((v, index) => (v.value ? { index, ...inserted[next++] } : { index, status: 'invalid', errors: v.errors }));
+
+	return jsonResponse({
+		created: results.filter(r => r.status === 'created').length,
+		duplicates: results.filter(r => r.status === 'duplicate').length,
+		invalid: results.filter(r => r.status === 'invalid').length,
+		results,
+	});
+}
@@ -0,0 +1,123 @@
+import { normalizeContent } from './feedback.js';
+import { LEVELS } from './schema.js';
+
+// Quote grounding: the model's "quotes" are checked against the feedback it analyzed, so the digest
+// only presents text customers actually wrote, each linked to the row it came from.
+
+// Share of a quote's word pairs that must appear in one feedback item for the quote to count as grounded
+export const GROUNDING_THRESHOLD = 0.6;
+
+// What happens to quotes that match nothing: 'drop' removes them, 'flag' keeps them marked as unverified
+export const GROUNDING_MODES = ['drop', 'flag'];
+
+function wordPairs(words) {
+	if (words.length === 1) {
+		return new Set(words);
+	}
+	const pairs = new Set();
+	for (let i = 0; i < words.length - 1; i++) {
+		pairs.add(`${words[i]} ${words[i + 1]}`);
+	}
+	return pairs;
+}
+
+function prepare(text) {
+	const normalized = normalizeContent(String(text));
+	const words = normalized ? normalized.split(' ') : [];
+	return { normalized, pairs: wordPairs(words) };
+}
+
+/**
+ * How well `quote` is supported by `content`, from 0 to 1: 1 when the quote appears verbatim
+ * (ignoring case, punctuation and spacing), otherwise the share of its adjacent word pairs found in
+ * the content, so trimmed or lightly edited quotes still match and paraphrases don't.
+ */
+export function quoteScore(quote, content) {
+	const q = typeof quote === 'string' ? prepare(quote) : quote;
+	const c = typeof content === 'string' ? prepare(content) : content;
+	if (!q.normalized || q.pairs.size === 0) {
+		return 0;
+	}
+	if (` ${c.normalized} `.includes(` ${q.normalized} `)) {
+		return 1;
+	}
+	let found = 0;
+	for (const pair of q.pairs) {
+		if (c.pairs.has(pair)) {
+			found++;
+		}
+	}
+	return found / q.pairs.size;
+}
+
+// The item that best supports `quote`, preferring the theme's own items on ties: { item, score }
+function bestMatch(quote, candidates) {
+	const q = prepare(quote);
+	let best = { item: null, score: 0 };
+	for (const candidate of candidates) {
+		const score = quoteScore(q, candidate.prepared);
+		if (score > best.score) {
+			best = { item: candidate.item, score };
+		}
+	}
+	return best;
+}
+
+// One level lower when some quotes were hallucinated, Low when none of them were grounded
+function adjustConfidence(confidence, grounded, total) {
+	if (total === 0 || grounded === total) {
+		return confidence;
+	}
+	if (grounded === 0) {
+		return 'Low';
+	}
+	const index = LEVELS.indexOf(confidence);
+	return LEVELS[Math.min(index === -1 ? LEVELS.length - 1 : index + 1, LEVELS.length - 1)];
+}
+
+/**
+ * Matches every theme quote against `feedback`. Grounded quotes get a `quote_sources` entry
+ * { feedback_id, source, score, grounded: true } at the same index; the rest are dropped, or with
+ * mode 'flag' kept with { feedback_id: null, source: null, score, grounded: false }. Each theme's
+ * confidence is lowered when quotes didn't hold up. Returns { digest, report }.
+ */
+export function groundDigest(digest, feedback, mode = 'drop') {
+	const prepared = feedback.map(item => ({ item, prepared: prepare(item.content) }));
+	const report = { mode, quotes: 0, grounded: 0, hallucinated: 0 };
+
+	const topThemes = (digest.top_themes || []).map(theme => {
+		const own = new Set(theme.feedback_ids || []);
+		const candidates = [...prepared.filter(p => own.has(p.item.id)), ...prepared.filter(p => !own.has(p.item.id))];
+
+		const quotes = [];
+		const sources = [];
+		let grounded = 0;
+		for (const quote of theme.quotes || []) {
+			const { item, score } = bestMatch(quote, candidates);
+			const rounded = Math.round(score * 100) / 100;
+			if (item && score >= GROUNDING_THRESHOLD) {
+				grounded++;
+				quotes.push(quote);
+				sources.push({ feedback_id: item.id, source: item.source || null, score: rounded, grounded: true });
+			} else if (mode === 'flag') {
+				quotes.push(quote);
+				sources.push({ feedback_id: null, source: null, score: rounded, grounded: false });
+			}
+		}
+
+		const total = (theme.quotes || []).length;
+		report.quotes += total;
+		report.grounded += grounded;
+		report.hallucinated += total - grounded;
+		return { ...theme, quotes, quote_sources: sources, confidence: adjustConfidence(theme.confidence, grounded, total) };
+	});
+
+	return { digest: { ...digest, top_themes: topThemes }, report };
+}
+
+// Pipeline stage: grounds the analyzed digest's quotes in the window's (redacted) feedback
+export async function groundStage({ env, feedback, digest }) {
+	const mode = GROUNDING_MODES.includes(env.QUOTE_GROUNDING_MODE) ? env.QUOTE_GROUNDING_MODE : 'drop';
+	const { digest: grounded, report } = groundDigest(digest, feedback, mode);
+	return { ...grounded, metadata: { ...grounded.metadata, grounding: report } };
+}
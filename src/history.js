@@ -0,0 +1,187 @@
+import { html, htmlWrapper, renderDigestHtml } from './html.js';
+import { htmlResponse, jsonResponse } from './http.js';
+import { productFromUrl } from './products.js';
+import { loadRedactionRules, redactFeedback } from './redact.js';
+
+export const DIGESTS_PER_PAGE = 20;
+
+// Shape a daily_digests row the way /latest-digest always has: the stored JSON plus row columns
+export function toDigest(row) {
+	return { id: row.id, ...JSON.parse(row.summary), feedback_count: row.feedback_count, created_at: row.created_at };
+}
+
+export async function getDigest(env, id) {
+	const row = await env.DB.prepare('SELECT * FROM daily_digests WHERE id = ?').bind(id).first();
+	return row ? toDigest(row) : null;
+}
+
+// The newest digest overall, or the newest for `product`
+export async function getLatestDigest(env, product = null) {
+	const row = await env.DB.prepare(`SELECT * FROM daily_digests ${product ? 'WHERE product_id = ?' : ''} ORDER BY created_at DESC, id DESC LIMIT 1`)
+		.bind(...(product ? [product.id] : []))
+		.first();
+	return row ? toDigest(row) : null;
+}
+
+// Ids of the same product's digests immediately before and after this one, for prev/next links
+async function getNeighbours(env, digest) {
+	const sameProduct = 'product_id = (SELECT product_id FROM daily_digests WHERE id = ?2)';
+	const [older, newer] = await env.DB.batch([
+		env.DB.prepare(
+			`SELECT id FROM daily_digests WHERE ${sameProduct} AND (created_at < ?1 OR (created_at = ?1 AND id < ?2))
+			 ORDER BY created_at DESC, id DESC LIMIT 1`
+		).bind(digest.created_at, digest.id),
+		env.DB.prepare(
+			`SELECT id FROM daily_digests WHERE ${sameProduct} AND (created_at > ?1 OR (created_at = ?1 AND id > ?2))
+			 ORDER BY created_at ASC, id ASC LIMIT 1`
+		).bind(digest.created_at, digest.id),
+	]);
+	return { older: older.results[0]?.id ?? null, newer: newer.results[0]?.id ?? null };
+}
+
+export async function listDigests(env, page = 1, perPage = DIGESTS_PER_PAGE, product = null) {
+	const where = product ? 'WHERE d.product_id = ?' : '';
+	const binds = product ? [product.id] : [];
+	const [rows, count] = await env.DB.batch([
+		env.DB.prepare(
+			`SELECT d.id, d.created_at, d.feedback_count, d.window_start, d.window_end, d.prompt_version, d.model, p.slug AS product,
+				json_extract(d.summary, '$.metadata.date') AS date,
+				json_extract(d.summary, '$.sentiment.frustrated') AS frustrated,
+				json_extract(d.summary, '$.sentiment.neutral') AS neutral,
+				json_extract(d.summary, '$.sentiment.positive') AS positive
+			 FROM daily_digests d LEFT JOIN products p ON p.id = d.product_id
+			 ${where} ORDER BY d.created_at DESC, d.id DESC LIMIT ? OFFSET ?`
+		).bind(...binds, perPage, (page - 1) * perPage),
+		env.DB.prepare(`SELECT COUNT(*) AS total FROM daily_digests d ${where}`).bind(...binds),
+	]);
+
+	const total = count.results[0].total;
+	return {
+		digests: rows.results.map(r => ({
+			id: r.id,
+			product: r.product,
+			date: r.date,
+			created_at: r.created_at,
+			feedback_count: r.feedback_count,
+			window: r.window_start ? { from: r.window_start, to: r.window_end } : null,
+			sentiment: { frustrated: r.frustrated || 0, neutral: r.neutral || 0, positive: r.positive || 0 },
+			prompt_version: r.prompt_version,
+			model: r.model,
+			url: `/digests/${r.id}`,
+		})),
+		page,
+		per_page: perPage,
+		total,
+		next_page: page * perPage < total ? page + 1 : null,
+		prev_page: page > 1 ? page - 1 : null,
+	};
+}
+
+function parsePage(url) {
+	const page = Number.parseInt(url.searchParams.get('page'), 10);
+	return Number.isInteger(page) && page > 0 ? page : 1;
+}
+
+function renderDigestList(list, product) {
+	const productParam = product ? `&product=${encodeURIComponent(product.slug)}` : '';
+	const rows = list.digests.length
+		? list.digests.map(
+				d => html`
+      <li class="digest-row">
+        <div>
+          <a href="${d.url}">${d.date || d.created_at}</a>
+          <div class="theme-meta">${product ? '' : `${d.product} · `}${d.feedback_count || 0} items · ${d.created_at}</div>
+        </div>
+        <div class="sentiment-bar mini" title="😠 ${d.sentiment.frustrated}% · 😐 ${d.sentiment.neutral}% · 😊 ${d.sentiment.positive}%">
+          <div class="sentiment-frustrated" style="width: ${d.sentiment.frustrated}%"></div>
+          <div class="sentiment-neutral" style="width: ${d.sentiment.neutral}%"></div>
+          <div class="sentiment-positive" style="width: ${d.sentiment.positive}%"></div>
+        </div>
+      </li>`
+			)
+		: html`<li style="color: #666;">No digests yet. Run <a href="/run-digest">/run-digest</a> to generate one.</li>`;
+
+	return html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>${product ? `${product.emoji} ${product.name} ` : ''}Digest History</h1>
+    <p class="subtitle">${list.total} digests · page ${list.page} · <a href="/feed.xml${product ? `?product=${product.slug}` : ''}">Atom feed</a></p>
+    <div class="section">
+      <ul class="list">${rows}</ul>
+    </div>
+    <div class="pagination">
+      <span>${list.prev_page ? html`<a href="/digests?page=${list.prev_page}${productParam}">← Newer</a>` : ''}</span>
+      <span>${list.next_page ? html`<a href="/digests?page=${list.next_page}${productParam}">Older →</a>` : ''}</span>
+    </div>
+  `;
+}
+
+// GET /digests and /api/digests (`?product=` to scope to one product)
+export async function handleDigestList(env, url, { json }) {
+	const product = await productFromUrl(env, url);
+	const list = await listDigests(env, parsePage(url), DIGESTS_PER_PAGE, product);
+	if (json) {
+		return jsonResponse(list);
+	}
+	return htmlResponse(htmlWrapper('Digest History', renderDigestList(list, product)));
+}
+
+// GET /digests/:id and /api/digests/:id
+export async function handleDigestDetail(env, id, { json }) {
+	const digest = await getDigest(env, id);
+
+	if (!digest) {
+		if (json) {
+			return jsonResponse({ error: 'Digest not found' }, 404);
+		}
+		const errorHtml = htmlWrapper('Digest Not Found', html`
+      <div class="back-link"><a href="/digests">← All digests</a></div>
+      <h1>Digest Not Found</h1>
+      <div class="section">
+        <p class="error">There is no digest #${id}.</p>
+      </div>
+    `);
+		return htmlResponse(errorHtml, 404);
+	}
+
+	if (json) {
+		return jsonResponse(digest);
+	}
+
+	const { older, newer } = await getNeighbours(env, digest);
+	const content = html`${renderDigestHtml(digest, `Digest #${digest.id}`)}
+    <div class="pagination" style="margin-bottom: 1.5rem;">
+      <span>${older ? html`<a href="/digests/${older}">← Previous digest</a>` : ''}</span>
+      <span><a href="/digests">All digests</a> · <a href="/api/digests/${digest.id}">JSON</a> · <a href="/digests/${digest.id}.md">Markdown</a> · <a href="/digests/${digest.id}.csv">CSV</a></span>
+      <span>${newer ? html`<a href="/digests/${newer}">Next digest →</a>` : ''}</span>
+    </div>
+  `;
+	return htmlResponse(htmlWrapper(`Digest #${digest.id}`, content));
+}
+
+// GET /api/digests/:id/feedback — the feedback rows a digest covered, or with ?theme= only those behind that theme,
+// redacted the same way the digest saw them
+export async function handleDigestFeedback(env, id, url) {
+	const row = await env.DB.prepare('SELECT id, summary, feedback_ids FROM daily_digests WHERE id = ?').bind(id).first();
+	if (!row) {
+		return jsonResponse({ error: 'Digest not found' }, 404);
+	}
+
+	let ids = JSON.parse(row.feedback_ids || '[]');
+	const themeName = url.searchParams.get('theme');
+	if (themeName) {
+		const theme = (JSON.parse(row.summary).top_themes || []).find(t => String(t.theme).toLowerCase() === themeName.toLowerCase());
+		if (!theme) {
+			return jsonResponse({ error: 'Theme not found in this digest' }, 404);
+		}
+		ids = theme.feedback_ids || [];
+	}
+
+	const { results } = await env.DB.prepare(
+		`SELECT id, content, source, created_at, sentiment, theme, is_feature_request
+		 FROM feedback WHERE id IN (SELECT value FROM json_each(?)) ORDER BY created_at, id`
+	)
+		.bind(JSON.stringify(ids))
+		.all();
+	const { feedback } = redactFeedback(results, loadRedactionRules(env));
+	return jsonResponse({ digest_id: row.id, theme: themeName, feedback });
+}
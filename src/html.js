@@ -0,0 +1,205 @@
+import { describeActions } from './schema.js';
+import { describeTrend } from './trends.js';
+
+// Page chrome and digest rendering shared by every HTML route
+
+// Shared styles for all pages
+export const baseStyles = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Inter', sans-serif; background: #0a0a0a; color: #e5e5e5; line-height: 1.6; padding: 2rem; }
+  .container { max-width: 800px; margin: 0 auto; }
+  h1 { font-size: 2rem; font-weight: 700; margin-bottom: 0.5rem; color: #fff; }
+  .subtitle { color: #888; font-size: 1rem; margin-bottom: 0.5rem; }
+  .section { background: #111; border: 1px solid #222; border-radius: 12px; padding: 1.5rem; margin-bottom: 1.5rem; }
+  .section-title { font-size: 1rem; font-weight: 600; color: #fff; margin-bottom: 1rem; }
+  .theme { margin-bottom: 1rem; padding-bottom: 1rem; border-bottom: 1px solid #222; }
+  .theme:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+  .theme-name { font-weight: 600; color: #fff; }
+  .theme-meta { font-size: 0.85rem; color: #888; margin-top: 0.25rem; }
+  .quote-source { font-style: normal; font-size: 0.75rem; margin-left: 0.5rem; }
+  .quote { font-style: italic; color: #aaa; font-size: 0.9rem; margin: 0.5rem 0; padding-left: 1rem; border-left: 2px solid #333; }
+  .sentiment-bar { display: flex; height: 8px; border-radius: 4px; overflow: hidden; margin: 1rem 0; }
+  .sentiment-frustrated { background: #ef4444; }
+  .sentiment-neutral { background: #888; }
+  .sentiment-positive { background: #22c55e; }
+  .sentiment-labels { display: flex; justify-content: space-between; font-size: 0.8rem; color: #888; }
+  .list { list-style: none; }
+  .list li { padding: 0.5rem 0; border-bottom: 1px solid #222; }
+  .list li:last-child { border-bottom: none; }
+  a { color: #f97316; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .back-link { margin-bottom: 1.5rem; }
+  .loader { display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 50vh; }
+  .spinner { width: 48px; height: 48px; border: 3px solid #222; border-top-color: #f97316; border-radius: 50%; animation: spin 1s linear infinite; }
+  @keyframes spin { to { transform: rotate(360deg); } }
+  .loader-text { margin-top: 1.5rem; color: #888; }
+  .json-block { background: #111; border: 1px solid #222; border-radius: 8px; padding: 1rem; overflow-x: auto; font-family: monospace; font-size: 0.85rem; white-space: pre-wrap; word-break: break-word; }
+  .success { color: #22c55e; }
+  .error { color: #ef4444; }
+  .digest-row { display: flex; justify-content: space-between; align-items: center; gap: 1rem; }
+  .sentiment-bar.mini { width: 140px; height: 6px; margin: 0; flex-shrink: 0; }
+  .pagination { display: flex; justify-content: space-between; margin-top: 1rem; font-size: 0.9rem; }
+  .search-form { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: flex-end; }
+  .search-form input, .search-form select, .search-form button { background: #0a0a0a; color: #e5e5e5; border: 1px solid #333; border-radius: 6px; padding: 0.4rem 0.6rem; font: inherit; }
+  .search-form button { background: #f97316; border-color: #f97316; color: #0a0a0a; font-weight: 600; cursor: pointer; }
+`;
+
+// For text that comes from users or the model rather than from this codebase
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+// Markup built by html`` (or marked with raw()), which html`` inserts without escaping it again
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Trusted markup from this codebase that html`` should insert as-is; never pass it user or model text
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function interpolate(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolate).join('');
+  }
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag for page markup: every interpolated value is escaped unless it is itself html`` output
+ * or raw(); arrays are joined and null, undefined and false render as nothing. Escaping covers text and
+ * double-quoted attribute values, so `href="/search?${params}"` is safe as long as the URL is ours.
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + interpolate(values[i - 1]) + string));
+}
+
+/**
+ * The full page around `content`, which must come from html``; a plain string is escaped and shows
+ * up as text. `refresh` reloads the page every that many seconds, for pages that watch something in
+ * progress, and `scripts` lists same-origin script URLs (inline scripts are blocked by the CSP).
+ */
+export function htmlWrapper(title, content, { refresh, scripts = [] } = {}) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">${refresh ? html`
+  <meta http-equiv="refresh" content="${refresh}">` : ''}
+  <title>${title}</title>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&amp;display=swap" rel="stylesheet">
+  <style>${raw(baseStyles)}</style>
+</head>
+<body>
+  <div class="container">
+    ${content}
+  </div>${scripts.map(src => html`
+  <script src="${src}"></script>`)}
+</body>
+</html>`.toString();
+}
+
+// Drill-down from a digest theme to the feedback behind it on /search
+function themeSearchParams(digestId, theme) {
+  const params = new URLSearchParams({ digest_id: digestId });
+  if (theme.theme_id) {
+    params.set('theme_id', theme.theme_id);
+  } else {
+    params.set('theme', theme.theme);
+  }
+  return params.toString();
+}
+
+// A quote with a link to the feedback row it was grounded in, or an "unverified" flag
+function renderQuote(quote, source) {
+  let badge = '';
+  if (source?.feedback_id) {
+    badge = html` <a class="quote-source" href="/search?id=${source.feedback_id}">#${source.feedback_id}${source.source ? ` · ${source.source}` : ''}</a>`;
+  } else if (source && !source.grounded) {
+    badge = html` <span class="quote-source error" title="Not found in the analyzed feedback">unverified</span>`;
+  }
+  return html`<div class="quote">"${quote}"${badge}</div>`;
+}
+
+// Sentiment shares go into style attributes, so only ever emit a number there
+function percent(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+export function renderDigestHtml(digest, title = 'Generated Digest') {
+  const themes = digest.top_themes?.length
+    ? digest.top_themes.map(t => html`
+    <div class="theme">
+      <div class="theme-name">${t.theme_id ? html`<a href="/themes/${t.theme_id}">${t.theme}</a>` : t.theme}</div>
+      <div class="theme-meta">${t.mentions} mentions · ${t.impact} impact${
+        digest.id && t.feedback_ids?.length ? html` · <a href="/search?${themeSearchParams(digest.id, t)}">view feedback</a>` : ''
+      }</div>
+      ${(t.quotes || []).map((q, i) => renderQuote(q, t.quote_sources?.[i]))}
+    </div>
+  `)
+    : html`<p style="color: #666;">No themes found</p>`;
+
+  const features = digest.feature_signals?.length ? digest.feature_signals.map(f => html`<li>${f}</li>`) : html`<li>No feature signals</li>`;
+  const actionLines = describeActions(digest.pm_actions);
+  const actions = actionLines.length ? actionLines.map(a => html`<li>${a}</li>`) : html`<li>No actions</li>`;
+
+  const frustrated = percent(digest.sentiment?.frustrated);
+  const neutral = percent(digest.sentiment?.neutral);
+  const positive = percent(digest.sentiment?.positive);
+
+  return html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>${title}</h1>
+    <p class="subtitle">${digest.metadata?.date || 'Unknown date'} · ${digest.metadata?.feedback_count || 0} items analyzed</p>
+    <p style="color: #666; font-size: 0.9rem; margin: 1rem 0 1.5rem;">Sources: ${digest.metadata?.sources?.join(', ') || 'Unknown'}</p>
+
+    <div class="section">
+      <div class="section-title">🔥 Top Themes</div>
+      ${themes}
+    </div>
+
+    <div class="section">
+      <div class="section-title">📊 Sentiment</div>
+      <div class="sentiment-bar">
+        <div class="sentiment-frustrated" style="width: ${frustrated}%"></div>
+        <div class="sentiment-neutral" style="width: ${neutral}%"></div>
+        <div class="sentiment-positive" style="width: ${positive}%"></div>
+      </div>
+      <div class="sentiment-labels">
+        <span>😠 Frustrated ${frustrated}%</span>
+        <span>😐 Neutral ${neutral}%</span>
+        <span>😊 Positive ${positive}%</span>
+      </div>
+      ${describeTrend(digest.sentiment_trend).map(line => html`<p class="theme-meta">${line}</p>`)}
+    </div>
+
+    <div class="section">
+      <div class="section-title">💡 Feature Signals</div>
+      <ul class="list">${features}</ul>
+    </div>
+
+    <div class="section">
+      <div class="section-title">✅ Recommended Actions</div>
+      <ul class="list">${actions}</ul>
+    </div>
+  `;
+}
@@ -0,0 +1,73 @@
+// Small HTTP helpers shared by the API routes
+
+export class HttpError extends Error {
+	constructor(status, message, details) {
+		super(message);
+		this.name = 'HttpError';
+		this.status = status;
+		this.details = details;
+	}
+}
+
+export function jsonResponse(data, status = 200, headers = {}) {
+	return new Response(JSON.stringify(data, null, 2), {
+		status,
+		headers: { 'Content-Type': 'application/json', ...headers },
+	});
+}
+
+export function errorResponse(err) {
+	if (err instanceof HttpError) {
+		return jsonResponse({ error: err.message, ...(err.details ? { details: err.details } : {}) }, err.status);
+	}
+	console.error('[HTTP] Unhandled error:', err);
+	return jsonResponse({ error: 'Internal error' }, 500);
+}
+
+// Reads a JSON request body, rejecting anything larger than maxBytes before and after reading it
+export async function readJsonBody(request, maxBytes) {
+	const declared = Number(request.headers.get('Content-Length'));
+	if (declared > maxBytes) {
+		throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+	}
+
+	const text = await request.text();
+	if (new TextEncoder().encode(text).byteLength > maxBytes) {
+		throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+	}
+
+	try {
+		return JSON.parse(text);
+	} catch {
+		throw new HttpError(400, 'Request body must be valid JSON');
+	}
+}
+
+/**
+ * Sent with every page. Scripts only load from this origin (no inline scripts or handlers), so markup
+ * that slips past escaping still can't run; inline styles stay allowed for the page chrome.
+ */
+export const CONTENT_SECURITY_POLICY = [
+	"default-src 'none'",
+	"script-src 'self'",
+	"connect-src 'self'",
+	"style-src 'unsafe-inline' https://fonts.googleapis.com",
+	'font-src https://fonts.gstatic.com',
+	"img-src 'self' data:",
+	"form-action 'self'",
+	"base-uri 'none'",
+	"frame-ancestors 'none'",
+].join('; ');
+
+export function htmlResponse(html, status = 200, headers = {}) {
+	return new Response(html, {
+		status,
+		headers: { 'Content-Type': 'text/html', 'Content-Security-Policy': CONTENT_SECURITY_POLICY, ...headers },
+	});
+}
+
+// True when the client asked for JSON rather than a page (e.g. `Accept: application/json`)
+export function wantsJson(request) {
+	const accept = request.headers.get('Accept') || '';
+	return accept.includes('application/json') && !accept.includes('text/html');
+}
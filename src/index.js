@@ -1,407 +1,266 @@
 import { WorkflowEntrypoint } from 'cloudflare:workers';
-
-// Shared styles for all pages
-const baseStyles = `
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: 'Inter', sans-serif; background: #0a0a0a; color: #e5e5e5; line-height: 1.6; padding: 2rem; }
-  .container { max-width: 800px; margin: 0 auto; }
-  h1 { font-size: 2rem; font-weight: 700; margin-bottom: 0.5rem; color: #fff; }
-  .subtitle { color: #888; font-size: 1rem; margin-bottom: 0.5rem; }
-  .section { background: #111; border: 1px solid #222; border-radius: 12px; padding: 1.5rem; margin-bottom: 1.5rem; }
-  .section-title { font-size: 1rem; font-weight: 600; color: #fff; margin-bottom: 1rem; }
-  .theme { margin-bottom: 1rem; padding-bottom: 1rem; border-bottom: 1px solid #222; }
-  .theme:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
-  .theme-name { font-weight: 600; color: #fff; }
-  .theme-meta { font-size: 0.85rem; color: #888; margin-top: 0.25rem; }
-  .quote { font-style: italic; color: #aaa; font-size: 0.9rem; margin: 0.5rem 0; padding-left: 1rem; border-left: 2px solid #333; }
-  .sentiment-bar { display: flex; height: 8px; border-radius: 4px; overflow: hidden; margin: 1rem 0; }
-  .sentiment-frustrated { background: #ef4444; }
-  .sentiment-neutral { background: #888; }
-  .sentiment-positive { background: #22c55e; }
-  .sentiment-labels { display: flex; justify-content: space-between; font-size: 0.8rem; color: #888; }
-  .list { list-style: none; }
-  .list li { padding: 0.5rem 0; border-bottom: 1px solid #222; }
-  .list li:last-child { border-bottom: none; }
-  a { color: #f97316; text-decoration: none; }
-  a:hover { text-decoration: underline; }
-  .back-link { margin-bottom: 1.5rem; }
-  .loader { display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 50vh; }
-  .spinner { width: 48px; height: 48px; border: 3px solid #222; border-top-color: #f97316; border-radius: 50%; animation: spin 1s linear infinite; }
-  @keyframes spin { to { transform: rotate(360deg); } }
-  .loader-text { margin-top: 1.5rem; color: #888; }
-  .json-block { background: #111; border: 1px solid #222; border-radius: 8px; padding: 1rem; overflow-x: auto; font-family: monospace; font-size: 0.85rem; white-space: pre-wrap; word-break: break-word; }
-  .success { color: #22c55e; }
-  .error { color: #ef4444; }
-`;
-
-function htmlWrapper(title, content) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
-  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
-  <style>${baseStyles}</style>
-</head>
-<body>
-  <div class="container">
-    ${content}
-  </div>
-</body>
-</html>`;
-}
-
-function renderDigestHtml(digest, title = 'Generated Digest') {
-  const themes = digest.top_themes?.map(t => `
-    <div class="theme">
-      <div class="theme-name">${t.theme}</div>
-      <div class="theme-meta">${t.mentions} mentions · ${t.impact} impact</div>
-      ${(t.quotes || []).map(q => `<div class="quote">"${q}"</div>`).join('')}
-    </div>
-  `).join('') || '<p style="color: #666;">No themes found</p>';
-
-  const features = digest.feature_signals?.map(f => `<li>${f}</li>`).join('') || '<li>No feature signals</li>';
-  const actions = digest.pm_actions?.docs_ux?.map(a => `<li>${a}</li>`).join('') || '<li>No actions</li>';
-
-  const frustrated = digest.sentiment?.frustrated || 0;
-  const neutral = digest.sentiment?.neutral || 0;
-  const positive = digest.sentiment?.positive || 0;
-
-  return `
-    <div class="back-link"><a href="/">← Back to home</a></div>
-    <h1>${title}</h1>
-    <p class="subtitle">${digest.metadata?.date || 'Unknown date'} · ${digest.metadata?.feedback_count || 0} items analyzed</p>
-    <p style="color: #666; font-size: 0.9rem; margin: 1rem 0 1.5rem;">Sources: ${digest.metadata?.sources?.join(', ') || 'Unknown'}</p>
-
-    <div class="section">
-      <div class="section-title">🔥 Top Themes</div>
-      ${themes}
-    </div>
-
-    <div class="section">
-      <div class="section-title">📊 Sentiment</div>
-      <div class="sentiment-bar">
-        <div class="sentiment-frustrated" style="width: ${frustrated}%"></div>
-        <div class="sentiment-neutral" style="width: ${neutral}%"></div>
-        <div class="sentiment-positive" style="width: ${positive}%"></div>
-      </div>
-      <div class="sentiment-labels">
-        <span>😠 Frustrated ${frustrated}%</span>
-        <span>😐 Neutral ${neutral}%</span>
-        <span>😊 Positive ${positive}%</span>
-      </div>
-    </div>
-
-    <div class="section">
-      <div class="section-title">💡 Feature Signals</div>
-      <ul class="list">${features}</ul>
-    </div>
-
-    <div class="section">
-      <div class="section-title">✅ Recommended Actions</div>
-      <ul class="list">${actions}</ul>
-    </div>
-  `;
-}
+import { NonRetryableError } from 'cloudflare:workflows';
+import { handleActionList, handleActionTriage } from './actions.js';
+import { ModelConfigError } from './ai.js';
+import { authenticate, checkAccess, handleLogin, handleLogout, handleTokens, hasRole, requiredRole } from './auth.js';
+import { DigestWindowError } from './digest.js';
+import { handleFeedbackBatch, handleFeedbackPost } from './feedback.js';
+import { getLatestDigest, handleDigestDetail, handleDigestFeedback, handleDigestList } from './history.js';
+import { handleRunDigestScript } from './client.js';
+import { handleDigestExport, handleFeed } from './export.js';
+import { html, htmlWrapper, renderDigestHtml } from './html.js';
+import { errorResponse, htmlResponse, jsonResponse, wantsJson } from './http.js';
+import { runDigestPipeline, runInline } from './pipeline.js';
+import { ProductNotFoundError, getProduct, handleProductList, productFromUrl, productsForCron } from './products.js';
+import { createRun, handleRunDetail, handleRunList, startWorkflowRun, trackRun } from './runs.js';
+import { handleFeedbackSearch } from './search.js';
+import { SPIKE_CRON, detectSpikes } from './spikes.js';
+import { handleThemeDetail, handleThemeList } from './themes.js';
+import { handleTrends } from './trends.js';
 
 // Workflow for scheduled daily digest
 export class DigestWorkflow extends WorkflowEntrypoint {
 	async run(event, step) {
-		const feedback = await step.do('fetch-feedback', async () => {
-			const { results } = await this.env.DB.prepare(
-				'SELECT content, source FROM feedback ORDER BY created_at DESC LIMIT 50'
-			).all();
-			return results;
-		});
-
-		if (feedback.length === 0) {
-			return { status: 'skipped', reason: 'No feedback to analyze' };
-		}
-
-		const sources = [...new Set(feedback.map(f => f.source).filter(Boolean))];
-		const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-
-		const digest = await step.do('analyze-with-ai', async () => {
-			const feedbackText = feedback.map((f, i) => `${i + 1}. [${f.source || 'unknown'}] ${f.content}`).join('\n');
-			const prompt = `You are a PM analyzing product feedback for Cloudflare D1 database. Analyze this feedback and return valid JSON only.
-
-FEEDBACK:
-${feedbackText}
-
-Return this exact JSON structure:
-{
-  "top_themes": [
-    {"theme": "theme name", "mentions": number, "quotes": ["quote1", "quote2"], "impact": "High/Medium/Low", "confidence": "High/Medium/Low"}
-  ],
-  "friction_points": [
-    {"point": "description", "count": number}
-  ],
-  "sentiment": {
-    "frustrated": number,
-    "neutral": number,
-    "positive": number,
-    "trend": "up/down/stable"
-  },
-  "feature_signals": ["implicit feature request 1", "implicit feature request 2"],
-  "pm_actions": {
-    "docs_ux": ["action 1"],
-    "validation": ["action 1"],
-    "tracking": ["action 1"]
-  }
-}
-
-JSON response:`;
-
-			const aiResponse = await this.env.AI.run('@cf/meta/llama-3-8b-instruct', {
-				messages: [{ role: 'user', content: prompt }],
-				max_tokens: 1500,
-			});
-
-			try {
-				const jsonMatch = aiResponse.response.match(/\{[\s\S]*\}/);
-				const parsed = JSON.parse(jsonMatch[0]);
-				// Normalize sentiment to percentages
-				if (parsed.sentiment) {
-					const total = parsed.sentiment.frustrated + parsed.sentiment.neutral + parsed.sentiment.positive;
-					if (total > 0) {
-						parsed.sentiment.frustrated = Math.round((parsed.sentiment.frustrated / total) * 100);
-						parsed.sentiment.neutral = Math.round((parsed.sentiment.neutral / total) * 100);
-						parsed.sentiment.positive = Math.round((parsed.sentiment.positive / total) * 100);
+		const runStep = (name, fn, config) => {
+			const callback = async () => {
+				try {
+					return await fn();
+				} catch (err) {
+					// A bad window, unknown product or broken model configuration won't get better on retry
+					if (err instanceof DigestWindowError || err instanceof ProductNotFoundError || err instanceof ModelConfigError) {
+						throw new NonRetryableError(err.message);
 					}
+					throw err;
 				}
-				parsed.metadata = { date: today, sources, feedback_count: feedback.length };
-				return parsed;
-			} catch {
-				return {
-					top_themes: [{ theme: 'Unable to parse', mentions: 0, quotes: [], impact: 'Unknown', confidence: 'Low' }],
-					friction_points: [],
-					sentiment: { frustrated: 0, neutral: 100, positive: 0, trend: 'stable' },
-					feature_signals: [],
-					pm_actions: { docs_ux: ['Review AI response manually'], validation: [], tracking: [] },
-					metadata: { date: today, sources, feedback_count: feedback.length },
-				};
-			}
-		});
-
-		await step.do('store-digest', async () => {
-			await this.env.DB.prepare(
-				'INSERT INTO daily_digests (summary, feedback_count) VALUES (?, ?)'
-			).bind(JSON.stringify(digest), feedback.length).run();
-		});
-
-		await step.do('notify-slack', async () => {
-			const slackPayload = {
-				text: `🗄️ D1 Feedback Digest — ${today}`,
-				blocks: [
-					{ type: 'header', text: { type: 'plain_text', text: `🗄️ D1 Feedback Digest — ${today}` } },
-					{ type: 'section', text: { type: 'mrkdwn', text: `*Sources:* ${sources.join(', ')}\n*Volume:* ${feedback.length} feedback items analyzed` } },
-					{ type: 'divider' },
-					{ type: 'section', text: { type: 'mrkdwn', text: `*🔥 Top Themes*\n${digest.top_themes.map((t, i) => `${i + 1}. *${t.theme}* (${t.mentions} mentions) — Impact: ${t.impact}`).join('\n')}` } },
-					{ type: 'section', text: { type: 'mrkdwn', text: `*😬 Sentiment*\n😠 Frustrated: ${digest.sentiment.frustrated}%\n😐 Neutral: ${digest.sentiment.neutral}%\n😊 Positive: ${digest.sentiment.positive}%` } },
-					{ type: 'section', text: { type: 'mrkdwn', text: `*💡 Feature Signals*\n${digest.feature_signals.map(f => `• ${f}`).join('\n')}` } },
-					{ type: 'section', text: { type: 'mrkdwn', text: `*✅ PM Actions*\n${digest.pm_actions.docs_ux.map(a => `• ${a}`).join('\n')}` } },
-				],
 			};
-			console.log('[SLACK] Would send:', JSON.stringify(slackPayload, null, 2));
-		});
-
-		return { status: 'completed', digest };
+			return config ? step.do(name, config, callback) : step.do(name, callback);
+		};
+		// Instances started by startWorkflowRun report their progress to digest_runs
+		return trackRun(this.env, event.payload?.run_id, runStep, () => runDigestPipeline(this.env, event.payload, { runStep }));
 	}
 }
 
 export default {
-	// Cron trigger starts the workflow
+	// Each cron trigger starts one workflow per product scheduled on it; failures to start are recorded on /runs too.
+	// SPIKE_CRON also checks every product for feedback spikes.
 	async scheduled(controller, env, ctx) {
-		const instance = await env.DIGEST_WORKFLOW.create();
-		console.log(`[CRON] Started digest workflow: ${instance.id}`);
+		if (controller.cron === SPIKE_CRON) {
+			for (const incident of await detectSpikes(env)) {
+				console.log(`[SPIKES] ${incident.product} spike alert #${incident.alert_id}: ${incident.run_id ? `run #${incident.run_id}` : incident.error}`);
+			}
+		}
+		for (const product of await productsForCron(env, controller.cron)) {
+			try {
+				const { runId, instance } = await startWorkflowRun(env, product, 'cron');
+				console.log(`[CRON] Started ${product.slug} digest workflow: ${instance.id} (run #${runId})`);
+			} catch (err) {
+				console.error(`[CRON] Could not start ${product.slug} digest workflow:`, err.message);
+			}
+		}
 	},
 	async fetch(request, env, ctx) {
 		const url = new URL(request.url);
 
-		if (url.pathname === '/run-digest') {
-			// If ?execute=true, run the actual digest generation and return JSON
-			if (url.searchParams.get('execute') === 'true') {
-				const { results: feedback } = await env.DB.prepare(
-					'SELECT content, source FROM feedback ORDER BY created_at DESC LIMIT 50'
-				).all();
-
-				if (feedback.length === 0) {
-					return new Response(JSON.stringify({ error: 'No feedback to analyze' }), {
-						status: 400,
-						headers: { 'Content-Type': 'application/json' },
-					});
-				}
+		// Every route except the landing and login pages needs a viewer or admin token or session
+		const role = requiredRole(url.pathname);
+		const principal = role ? await authenticate(request, env, ctx) : null;
+		if (role) {
+			const denied = checkAccess(request, url, principal, role);
+			if (denied) {
+				return denied;
+			}
+		}
 
-				const sources = [...new Set(feedback.map(f => f.source).filter(Boolean))];
-				const feedbackText = feedback.map((f, i) => `${i + 1}. [${f.source || 'unknown'}] ${f.content}`).join('\n');
-				const today = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-
-				const prompt = `You are a PM analyzing product feedback for Cloudflare D1 database. Analyze this feedback and return valid JSON only.
-
-FEEDBACK:
-${feedbackText}
-
-Return this exact JSON structure:
-{
-  "top_themes": [
-    {"theme": "theme name", "mentions": number, "quotes": ["quote1", "quote2"], "impact": "High/Medium/Low", "confidence": "High/Medium/Low"}
-  ],
-  "friction_points": [
-    {"point": "description", "count": number}
-  ],
-  "sentiment": {
-    "frustrated": number,
-    "neutral": number,
-    "positive": number,
-    "trend": "up/down/stable"
-  },
-  "feature_signals": ["implicit feature request 1", "implicit feature request 2"],
-  "pm_actions": {
-    "docs_ux": ["action 1"],
-    "validation": ["action 1"],
-    "tracking": ["action 1"]
-  }
-}
+		if (url.pathname === '/login') {
+			return handleLogin(request, env, url);
+		}
 
-JSON response:`;
+		if (url.pathname === '/logout') {
+			return handleLogout();
+		}
 
-				const aiResponse = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
-					messages: [{ role: 'user', content: prompt }],
-					max_tokens: 1500,
-				});
+		const tokensMatch = url.pathname.match(/^\/api\/tokens(?:\/(\d+))?$/);
+		if (tokensMatch) {
+			return handleTokens(request, env, tokensMatch[1] ? Number(tokensMatch[1]) : null).catch(errorResponse);
+		}
 
-				let digest;
+		if (url.pathname === '/feedback' || url.pathname === '/feedback/batch') {
+			if (request.method !== 'POST') {
+				return jsonResponse({ error: 'Method not allowed' }, 405, { Allow: 'POST' });
+			}
+			try {
+				return url.pathname === '/feedback' ? await handleFeedbackPost(request, env) : await handleFeedbackBatch(request, env);
+			} catch (err) {
+				return errorResponse(err);
+			}
+		}
+
+		if (url.pathname === '/search' || url.pathname === '/api/feedback') {
+			try {
+				return await handleFeedbackSearch(env, url, { json: url.pathname.startsWith('/api/') || wantsJson(request) });
+			} catch (err) {
+				return errorResponse(err);
+			}
+		}
+
+		if (url.pathname === '/run-digest') {
+			// If ?execute=true, run the actual digest generation and return JSON
+			if (url.searchParams.get('execute') === 'true') {
+				let result;
 				try {
-					const jsonMatch = aiResponse.response.match(/\{[\s\S]*\}/);
-					digest = JSON.parse(jsonMatch[0]);
-					if (digest.sentiment) {
-						const total = digest.sentiment.frustrated + digest.sentiment.neutral + digest.sentiment.positive;
-						if (total > 0) {
-							digest.sentiment.frustrated = Math.round((digest.sentiment.frustrated / total) * 100);
-							digest.sentiment.neutral = Math.round((digest.sentiment.neutral / total) * 100);
-							digest.sentiment.positive = Math.round((digest.sentiment.positive / total) * 100);
-						}
+					const product = await getProduct(env, url.searchParams.get('product'));
+					const runId = await createRun(env, { trigger: 'http', product });
+					const params = { product: product.slug, from: url.searchParams.get('from'), to: url.searchParams.get('to') };
+					result = await trackRun(env, runId, runInline, () => runDigestPipeline(env, params));
+				} catch (err) {
+					if (err instanceof DigestWindowError) {
+						return jsonResponse({ error: err.message }, 400);
 					}
-				} catch {
-					digest = {
-						top_themes: [{ theme: 'Unable to parse', mentions: 0, quotes: [], impact: 'Unknown', confidence: 'Low' }],
-						friction_points: [],
-						sentiment: { frustrated: 0, neutral: 100, positive: 0, trend: 'stable' },
-						feature_signals: [],
-						pm_actions: { docs_ux: ['Review AI response manually'], validation: [], tracking: [] },
-						raw_response: aiResponse.response,
-					};
+					if (err instanceof ProductNotFoundError) {
+						return errorResponse(err);
+					}
+					throw err;
+				}
+
+				if (result.status === 'skipped') {
+					return jsonResponse({ error: result.reason, window: result.window }, 400);
 				}
 
-				digest.metadata = { date: today, sources, feedback_count: feedback.length };
-
-				await env.DB.prepare(
-					'INSERT INTO daily_digests (summary, feedback_count) VALUES (?, ?)'
-				).bind(JSON.stringify(digest), feedback.length).run();
-
-				const slackPayload = {
-					text: `🗄️ D1 Feedback Digest — ${today}`,
-					blocks: [
-						{ type: 'header', text: { type: 'plain_text', text: `🗄️ D1 Feedback Digest — ${today}` } },
-						{ type: 'section', text: { type: 'mrkdwn', text: `*Sources:* ${sources.join(', ')}\n*Volume:* ${feedback.length} feedback items analyzed` } },
-						{ type: 'divider' },
-						{ type: 'section', text: { type: 'mrkdwn', text: `*🔥 Top Themes*\n${digest.top_themes.map((t, i) => `${i + 1}. *${t.theme}* (${t.mentions} mentions) — Impact: ${t.impact}`).join('\n')}` } },
-						{ type: 'section', text: { type: 'mrkdwn', text: `*😬 Sentiment*\n😠 Frustrated: ${digest.sentiment.frustrated}%\n😐 Neutral: ${digest.sentiment.neutral}%\n😊 Positive: ${digest.sentiment.positive}%` } },
-						{ type: 'section', text: { type: 'mrkdwn', text: `*💡 Feature Signals*\n${digest.feature_signals.map(f => `• ${f}`).join('\n')}` } },
-						{ type: 'section', text: { type: 'mrkdwn', text: `*✅ PM Actions*\n${digest.pm_actions.docs_ux.map(a => `• ${a}`).join('\n')}` } },
-					],
-				};
-				console.log('[SLACK] Would send:', JSON.stringify(slackPayload, null, 2));
-
-				return new Response(JSON.stringify(digest, null, 2), {
-					headers: { 'Content-Type': 'application/json' },
-				});
+				return jsonResponse(result.digest);
 			}
 
-			// Show loading page that fetches the digest
-			const loadingHtml = htmlWrapper('Generating Digest...', `
+			// Show loading page that fetches the digest, forwarding any explicit window
+			const executeParams = new URLSearchParams({ execute: 'true' });
+			for (const key of ['product', 'from', 'to']) {
+				if (url.searchParams.get(key)) {
+					executeParams.set(key, url.searchParams.get(key));
+				}
+			}
+			// The page is static; /run-digest.js fetches the digest and renders it with DOM APIs
+			const loadingHtml = htmlWrapper(
+				'Generating Digest...',
+				html`
 				<div class="back-link"><a href="/">← Back to home</a></div>
 				<div class="loader" id="loader">
 					<div class="spinner"></div>
 					<p class="loader-text">Analyzing feedback with Workers AI...</p>
 					<p style="color: #666; font-size: 0.85rem; margin-top: 0.5rem;">This may take a few seconds</p>
 				</div>
-				<div id="result" style="display: none;"></div>
-				<script>
-					fetch('/run-digest?execute=true')
-						.then(res => res.json())
-						.then(data => {
-							document.getElementById('loader').style.display = 'none';
-							const result = document.getElementById('result');
-							result.style.display = 'block';
-							if (data.error) {
-								result.innerHTML = '<div class="section"><p class="error">Error: ' + data.error + '</p></div>';
-							} else {
-								const themes = (data.top_themes || []).map(t =>
-									'<div class="theme"><div class="theme-name">' + t.theme + '</div>' +
-									'<div class="theme-meta">' + t.mentions + ' mentions · ' + t.impact + ' impact</div>' +
-									(t.quotes || []).map(q => '<div class="quote">"' + q + '"</div>').join('') +
-									'</div>'
-								).join('');
-								const features = (data.feature_signals || []).map(f => '<li>' + f + '</li>').join('') || '<li>No feature signals</li>';
-								const actions = (data.pm_actions?.docs_ux || []).map(a => '<li>' + a + '</li>').join('') || '<li>No actions</li>';
-								const frustrated = data.sentiment?.frustrated || 0;
-								const neutral = data.sentiment?.neutral || 0;
-								const positive = data.sentiment?.positive || 0;
-								result.innerHTML =
-									'<h1>Generated Digest</h1>' +
-									'<p class="subtitle success">✓ Digest generated and saved to D1</p>' +
-									'<p class="subtitle">' + (data.metadata?.date || '') + ' · ' + (data.metadata?.feedback_count || 0) + ' items analyzed</p>' +
-									'<p style="color: #666; font-size: 0.9rem; margin: 1rem 0 1.5rem;">Sources: ' + (data.metadata?.sources?.join(', ') || 'Unknown') + '</p>' +
-									'<div class="section"><div class="section-title">🔥 Top Themes</div>' + themes + '</div>' +
-									'<div class="section"><div class="section-title">📊 Sentiment</div>' +
-									'<div class="sentiment-bar"><div class="sentiment-frustrated" style="width:' + frustrated + '%"></div><div class="sentiment-neutral" style="width:' + neutral + '%"></div><div class="sentiment-positive" style="width:' + positive + '%"></div></div>' +
-									'<div class="sentiment-labels"><span>😠 Frustrated ' + frustrated + '%</span><span>😐 Neutral ' + neutral + '%</span><span>😊 Positive ' + positive + '%</span></div></div>' +
-									'<div class="section"><div class="section-title">💡 Feature Signals</div><ul class="list">' + features + '</ul></div>' +
-									'<div class="section"><div class="section-title">✅ Recommended Actions</div><ul class="list">' + actions + '</ul></div>';
-							}
-						})
-						.catch(err => {
-							document.getElementById('loader').style.display = 'none';
-							document.getElementById('result').style.display = 'block';
-							document.getElementById('result').innerHTML = '<div class="section"><p class="error">Error: ' + err.message + '</p></div>';
-						});
-				</script>
-			`);
-			return new Response(loadingHtml, { headers: { 'Content-Type': 'text/html' } });
+				<div id="result" style="display: none;" data-src="/run-digest?${executeParams.toString()}"></div>
+			`,
+				{ scripts: ['/run-digest.js'] }
+			);
+			return htmlResponse(loadingHtml);
+		}
+
+		if (url.pathname === '/run-digest.js') {
+			return handleRunDigestScript();
+		}
+
+		if (url.pathname === '/runs' || url.pathname === '/api/runs') {
+			return handleRunList(env, url, { json: url.pathname.startsWith('/api/') || wantsJson(request) }).catch(errorResponse);
+		}
+
+		const runMatch = url.pathname.match(/^\/(api\/)?runs\/(\d+)$/);
+		if (runMatch) {
+			return handleRunDetail(env, Number(runMatch[2]), { json: Boolean(runMatch[1]) || wantsJson(request) });
+		}
+
+		if (url.pathname === '/api/products') {
+			return handleProductList(env);
+		}
+
+		// List routes take an optional ?product= selector; an unknown slug is a 404
+		if (url.pathname === '/digests' || url.pathname === '/api/digests') {
+			return handleDigestList(env, url, { json: url.pathname.startsWith('/api/') || wantsJson(request) }).catch(errorResponse);
+		}
+
+		const digestFeedbackMatch = url.pathname.match(/^\/api\/digests\/(\d+)\/feedback$/);
+		if (digestFeedbackMatch) {
+			return handleDigestFeedback(env, Number(digestFeedbackMatch[1]), url);
+		}
+
+		const exportMatch = url.pathname.match(/^\/digests\/(\d+)\.(md|csv)$/);
+		if (exportMatch) {
+			return handleDigestExport(env, Number(exportMatch[1]), exportMatch[2], url);
+		}
+
+		if (url.pathname === '/feed.xml') {
+			return handleFeed(env, url).catch(errorResponse);
+		}
+
+		const digestMatch = url.pathname.match(/^\/(api\/)?digests\/(\d+)$/);
+		if (digestMatch) {
+			return handleDigestDetail(env, Number(digestMatch[2]), { json: Boolean(digestMatch[1]) || wantsJson(request) });
+		}
+
+		if (url.pathname === '/trends' || url.pathname === '/api/trends') {
+			return handleTrends(env, url, { json: url.pathname.startsWith('/api/') || wantsJson(request) }).catch(errorResponse);
+		}
+
+		if (url.pathname === '/themes' || url.pathname === '/api/themes') {
+			return handleThemeList(env, url, { json: url.pathname.startsWith('/api/') || wantsJson(request) }).catch(errorResponse);
+		}
+
+		// Everyone with access sees the board; only admins get its triage forms (and pass requiredRole on /actions/:id)
+		if (url.pathname === '/actions' || url.pathname === '/api/actions') {
+			const json = url.pathname.startsWith('/api/') || wantsJson(request);
+			return handleActionList(env, url, { json, canTriage: hasRole(principal, 'admin') }).catch(errorResponse);
+		}
+
+		const actionMatch = url.pathname.match(/^\/(api\/)?actions\/(\d+)$/);
+		if (actionMatch) {
+			return handleActionTriage(request, env, Number(actionMatch[2]), { form: !actionMatch[1] }).catch(errorResponse);
+		}
+
+		const themeMatch = url.pathname.match(/^\/(api\/)?themes\/(\d+)$/);
+		if (themeMatch) {
+			return handleThemeDetail(env, Number(themeMatch[2]), { json: Boolean(themeMatch[1]) || wantsJson(request) });
 		}
 
 		if (url.pathname === '/latest-digest') {
-			const result = await env.DB.prepare(
-				'SELECT * FROM daily_digests ORDER BY created_at DESC LIMIT 1'
-			).first();
+			let product;
+			try {
+				product = await productFromUrl(env, url);
+			} catch (err) {
+				return errorResponse(err);
+			}
+			const digest = await getLatestDigest(env, product);
 
-			if (!result) {
-				const errorHtml = htmlWrapper('No Digests Found', `
+			if (!digest) {
+				const errorHtml = htmlWrapper('No Digests Found', html`
 					<div class="back-link"><a href="/">← Back to home</a></div>
 					<h1>No Digests Found</h1>
 					<div class="section">
-						<p class="error">No digests have been generated yet.</p>
+						<p class="error">No digests have been generated${product ? ` for ${product.name}` : ''} yet.</p>
 						<p style="color: #888; margin-top: 1rem;">Run <a href="/run-digest">/run-digest</a> to generate your first digest.</p>
 					</div>
 				`);
-				return new Response(errorHtml, { status: 404, headers: { 'Content-Type': 'text/html' } });
+				return htmlResponse(errorHtml, 404);
 			}
 
-			const digest = { id: result.id, ...JSON.parse(result.summary), feedback_count: result.feedback_count, created_at: result.created_at };
-			const content = renderDigestHtml(digest, 'Latest Digest') + `
+			const content = html`${renderDigestHtml(digest, product ? `Latest ${product.name} Digest` : 'Latest Digest')}
+				<div class="pagination" style="margin-bottom: 1.5rem;">
+					<span><a href="/digests/${digest.id}">Permalink</a></span>
+					<span><a href="/digests">All digests</a></span>
+				</div>
 				<div class="section" style="background: transparent; border: 1px dashed #333;">
 					<div class="section-title">📋 Raw JSON</div>
 					<div class="json-block">${JSON.stringify(digest, null, 2)}</div>
 				</div>
 			`;
-			return new Response(htmlWrapper('Latest Digest', content), { headers: { 'Content-Type': 'text/html' } });
+			return htmlResponse(htmlWrapper('Latest Digest', content));
 		}
 
 		if (url.pathname === '/trigger-workflow') {
-			const instance = await env.DIGEST_WORKFLOW.create();
-			const content = `
+			let product;
+			try {
+				product = await getProduct(env, url.searchParams.get('product'));
+			} catch (err) {
+				return errorResponse(err);
+			}
+			const { runId, instance } = await startWorkflowRun(env, product, 'manual');
+			const content = html`
 				<div class="back-link"><a href="/">← Back to home</a></div>
 				<h1>Workflow Triggered</h1>
 				<div class="section">
@@ -411,19 +270,20 @@ JSON response:`;
 				<div class="section">
 					<div class="section-title">📋 Details</div>
 					<ul class="list">
+						<li><strong>Product:</strong> ${product.emoji} ${product.name}</li>
 						<li><strong>Instance ID:</strong> <code style="background: #222; padding: 0.25rem 0.5rem; border-radius: 4px;">${instance.id}</code></li>
-						<li><strong>Status:</strong> Running</li>
+						<li><strong>Run:</strong> <a href="/runs/${runId}">#${runId}</a></li>
 					</ul>
 				</div>
 				<div class="section" style="background: transparent; border: 1px dashed #333;">
-					<p style="color: #666; font-size: 0.9rem;">The workflow will fetch feedback, analyze with AI, store the digest, and log the Slack payload. Check <a href="/latest-digest">/latest-digest</a> after completion.</p>
+					<p style="color: #666; font-size: 0.9rem;">The workflow will fetch feedback, analyze with AI, store the digest, and send it to the configured notification channels. Follow its progress on <a href="/runs/${runId}">/runs/${runId}</a>, then check <a href="/latest-digest">/latest-digest</a>.</p>
 				</div>
 			`;
-			return new Response(htmlWrapper('Workflow Triggered', content), { headers: { 'Content-Type': 'text/html' } });
+			return htmlResponse(htmlWrapper('Workflow Triggered', content));
 		}
 
 		// Landing page with static digest for January 21
-		const landingContent = `
+		const landingContent = html`
     <h1>🗄️ Daily Feedback Digest</h1>
     <p class="subtitle">Made by Alexandra Boico</p>
     <p class="subtitle">A daily feedback digest for a PM on the D1 team. Analyzes the last 24 hours of noisy user feedback using Workers AI, stores digests in D1, and Workflows orchestrates the pipeline to deliver to Slack.</p>
@@ -492,14 +352,21 @@ JSON response:`;
       <ul class="list">
         <li><a href="/run-digest">/run-digest</a> — Generate a new digest</li>
         <li><a href="/latest-digest">/latest-digest</a> — Get latest digest (JSON)</li>
+        <li><a href="/digests">/digests</a> — Browse past digests (<a href="/api/digests">JSON</a>, <a href="/feed.xml">Atom feed</a>)</li>
+        <li><a href="/trends">/trends</a> — Sentiment over time (<a href="/api/trends">JSON</a>)</li>
+        <li><a href="/search">/search</a> — Search and filter raw feedback (<a href="/api/feedback">JSON</a>)</li>
+        <li><a href="/themes">/themes</a> — Theme registry with mention history (<a href="/api/themes">JSON</a>)</li>
+        <li><a href="/actions">/actions</a> — Triage board for recommended actions and feature signals (<a href="/api/actions">JSON</a>)</li>
         <li><a href="/trigger-workflow">/trigger-workflow</a> — Trigger scheduled workflow</li>
+        <li><a href="/runs">/runs</a> — Run log with live workflow status (<a href="/api/runs">JSON</a>)</li>
+        <li><a href="/api/products">/api/products</a> — Configured products; most routes take <code>?product=&lt;slug&gt;</code></li>
+        <li><code>POST /feedback</code> · <code>POST /feedback/batch</code> — Ingest feedback</li>
+        <li><a href="/login">/login</a> · <a href="/logout">/logout</a> — Start or end a browser session with an API token</li>
       </ul>
-      <p style="color: #666; font-size: 0.8rem; margin-top: 1rem;">Slack delivery is mocked in this prototype; payloads are logged for demonstration.</p>
+      <p style="color: #666; font-size: 0.8rem; margin-top: 1rem;">Digests are sent to the configured Slack, webhook, Teams or Discord channels; without one, the Slack payload is logged. Every endpoint needs a viewer token; running digests and ingesting feedback need an admin token.</p>
     </div>
 		`;
 
-		return new Response(htmlWrapper('Daily Feedback Digest', landingContent), {
-			headers: { 'Content-Type': 'text/html' },
-		});
+		return htmlResponse(htmlWrapper('Daily Feedback Digest', landingContent));
 	},
 };
@@ -0,0 +1,176 @@
+import { describeActions } from './schema.js';
+import { describeSignal } from './spikes.js';
+import { describeTrend } from './trends.js';
+
+// Digest notifications: one formatter per channel, enabled by setting the channel's webhook URL
+
+export class NotificationError extends Error {
+	constructor(channel, message, status) {
+		super(message);
+		this.name = 'NotificationError';
+		this.channel = channel;
+		this.status = status;
+	}
+}
+
+// Workflow retry policy for each channel's delivery step
+export const NOTIFY_STEP_CONFIG = {
+	retries: { limit: 3, delay: '10 seconds', backoff: 'exponential' },
+	timeout: '30 seconds',
+};
+
+// Digests from before products existed have no metadata.product; they were all D1
+function digestTitle(digest) {
+	const { emoji = '🗄️', name = 'D1' } = digest.metadata.product || {};
+	if (digest.metadata.incident) {
+		return `🚨 ${emoji} ${name} Feedback Spike — ${digest.metadata.date}`;
+	}
+	return `${emoji} ${name} Feedback Digest — ${digest.metadata.date}`;
+}
+
+// What crossed a threshold, for digests of a spike window (empty otherwise)
+function incidentLines(digest) {
+	return (digest.metadata.incident?.signals || []).map(describeSignal);
+}
+
+function themeLines(digest) {
+	return digest.top_themes.map((t, i) => `${i + 1}. **${t.theme}** (${t.mentions} mentions) — Impact: ${t.impact}`);
+}
+
+export function buildSlackPayload(digest) {
+	const { sources = [], feedback_count: feedbackCount } = digest.metadata;
+	return {
+		text: digestTitle(digest),
+		blocks: [
+			{ type: 'header', text: { type: 'plain_text', text: digestTitle(digest) } },
+			...(digest.metadata.incident ? [{ type: 'section', text: { type: 'mrkdwn', text: `*🚨 Spike*\n${incidentLines(digest).join('\n')}` } }] : []),
+			{ type: 'section', text: { type: 'mrkdwn', text: `*Sources:* ${sources.join(', ')}\n*Volume:* ${feedbackCount} feedback items analyzed` } },
+			{ type: 'divider' },
+			{ type: 'section', text: { type: 'mrkdwn', text: `*🔥 Top Themes*\n${digest.top_themes.map((t, i) => `${i + 1}. *${t.theme}* (${t.mentions} mentions) — Impact: ${t.impact}`).join('\n')}` } },
+			{ type: 'section', text: { type: 'mrkdwn', text: [`*😬 Sentiment*\n😠 Frustrated: ${digest.sentiment.frustrated}%\n😐 Neutral: ${digest.sentiment.neutral}%\n😊 Positive: ${digest.sentiment.positive}%`, ...describeTrend(digest.sentiment_trend).map(l => `_${l}_`)].join('\n') } },
+			{ type: 'section', text: { type: 'mrkdwn', text: `*💡 Feature Signals*\n${digest.feature_signals.map(f => `• ${f}`).join('\n')}` } },
+			{ type: 'section', text: { type: 'mrkdwn', text: `*✅ PM Actions*\n${describeActions(digest.pm_actions).map(a => `• ${a}`).join('\n')}` } },
+		],
+	};
+}
+
+// Generic JSON webhook: the stored digest as-is, for downstream automation; spike digests are typed 'incident'
+export function buildWebhookPayload(digest, digestId) {
+	return { type: digest.metadata?.incident ? 'incident' : 'digest', digest_id: digestId ?? null, title: digestTitle(digest), digest };
+}
+
+// Legacy MessageCard format accepted by Teams incoming webhooks
+export function buildTeamsPayload(digest) {
+	const { sources = [], feedback_count: feedbackCount } = digest.metadata;
+	return {
+		'@type': 'MessageCard',
+		'@context': 'https://schema.org/extensions',
+		summary: digestTitle(digest),
+		title: digestTitle(digest),
+		sections: [
+			...(digest.metadata.incident ? [{ title: '🚨 Spike', text: incidentLines(digest).join('<br>') }] : []),
+			{
+				facts: [
+					{ name: 'Sources', value: sources.join(', ') },
+					{ name: 'Volume', value: `${feedbackCount} feedback items analyzed` },
+					{
+						name: 'Sentiment',
+						value: `😠 ${digest.sentiment.frustrated}% · 😐 ${digest.sentiment.neutral}% · 😊 ${digest.sentiment.positive}%`,
+					},
+				],
+			},
+			{ title: '🔥 Top Themes', text: themeLines(digest).join('<br>') },
+			{ title: '💡 Feature Signals', text: digest.feature_signals.map(f => `• ${f}`).join('<br>') },
+			{ title: '✅ PM Actions', text: describeActions(digest.pm_actions).map(a => `• ${a}`).join('<br>') },
+		],
+	};
+}
+
+// Discord webhook with a single embed; field values are capped at 1024 characters by Discord
+export function buildDiscordPayload(digest) {
+	const { sources = [], feedback_count: feedbackCount } = digest.metadata;
+	const field = (name, lines) => ({ name, value: (lines.join('\n') || '—').slice(0, 1024) });
+	return {
+		content: digestTitle(digest),
+		embeds: [
+			{
+				title: digestTitle(digest),
+				description: `**Sources:** ${sources.join(', ')}\n**Volume:** ${feedbackCount} feedback items analyzed`,
+				color: 0xf97316,
+				fields: [
+					...(digest.metadata.incident ? [field('🚨 Spike', incidentLines(digest))] : []),
+					field('🔥 Top Themes', themeLines(digest)),
+					field('😬 Sentiment', [
+						`😠 Frustrated: ${digest.sentiment.frustrated}%`,
+						`😐 Neutral: ${digest.sentiment.neutral}%`,
+						`😊 Positive: ${digest.sentiment.positive}%`,
+					]),
+					field('💡 Feature Signals', digest.feature_signals.map(f => `• ${f}`)),
+					field('✅ PM Actions', describeActions(digest.pm_actions).map(a => `• ${a}`)),
+				],
+			},
+		],
+	};
+}
+
+export const CHANNELS = {
+	slack: { urlVar: 'SLACK_WEBHOOK_URL', format: buildSlackPayload },
+	webhook: { urlVar: 'NOTIFY_WEBHOOK_URL', format: buildWebhookPayload },
+	teams: { urlVar: 'TEAMS_WEBHOOK_URL', format: buildTeamsPayload },
+	discord: { urlVar: 'DISCORD_WEBHOOK_URL', format: buildDiscordPayload },
+};
+
+/**
+ * Webhook URL per enabled channel. A product with `notification_targets` uses exactly those
+ * channels (so products don't share a Slack channel by accident); otherwise the env vars apply.
+ */
+export function channelTargets(env, product = null) {
+	const targets = {};
+	for (const [name, { urlVar }] of Object.entries(CHANNELS)) {
+		const url = product?.notification_targets ? product.notification_targets[name] : env[urlVar];
+		if (url) {
+			targets[name] = url;
+		}
+	}
+	return targets;
+}
+
+// Channels with a webhook URL, in CHANNELS order
+export function configuredChannels(env, product = null) {
+	return Object.keys(channelTargets(env, product));
+}
+
+async function logNotification(env, { digestId, channel, status, responseStatus = null, error = null }) {
+	await env.DB.prepare('INSERT INTO notifications (digest_id, channel, status, response_status, error) VALUES (?, ?, ?, ?, ?)')
+		.bind(digestId ?? null, channel, status, responseStatus, error)
+		.run();
+}
+
+/**
+ * POSTs the digest to one channel (the env var's URL unless `url` is given) and logs the attempt to `notifications`.
+ * Throws NotificationError on a network error or non-2xx response so the caller can retry.
+ */
+export async function deliverNotification(env, channel, digest, digestId, url = env[CHANNELS[channel].urlVar]) {
+	const { format } = CHANNELS[channel];
+
+	let response;
+	try {
+		response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(format(digest, digestId)),
+		});
+	} catch (err) {
+		await logNotification(env, { digestId, channel, status: 'failed', error: err.message });
+		throw new NotificationError(channel, `${channel} delivery failed: ${err.message}`);
+	}
+
+	if (!response.ok) {
+		const body = (await response.text()).slice(0, 500);
+		await logNotification(env, { digestId, channel, status: 'failed', responseStatus: response.status, error: body });
+		throw new NotificationError(channel, `${channel} responded with ${response.status}`, response.status);
+	}
+
+	await logNotification(env, { digestId, channel, status: 'sent', responseStatus: response.status });
+	return { channel, status: 'sent' };
+}
@@ -0,0 +1,190 @@
+import { saveActionItems } from './actions.js';
+import { loadModelConfig } from './ai.js';
+import { applyLabels, classifyStage } from './classify.js';
+import { fromSqliteDate } from './dates.js';
+import { FETCH_PAGE_SIZE, analyzeChunk, chunkFeedback, fetchFeedbackPage, mergeChunkResults, resolveWindow } from './digest.js';
+import { groundStage } from './grounding.js';
+import { NOTIFY_STEP_CONFIG, buildSlackPayload, channelTargets, deliverNotification } from './notify.js';
+import { DEFAULT_PRODUCT_ID, getProduct, productSummary } from './products.js';
+import { loadRedactionRules, mergeRedactionReports, redactDigest, redactFeedback } from './redact.js';
+import { clusterStage, saveThemeMentions } from './themes.js';
+import { computeTrendForNewDigest } from './trends.js';
+
+/**
+ * The digest pipeline shared by DigestWorkflow and /run-digest.
+ *
+ * Each stage is an async function taking the run context and returning its output:
+ *   fetch    ({ env, params, runStep })                     -> { product, window, feedback (PII replaced), redaction }
+ *   classify ({ ..., window, feedback })                    -> { feedback (with labels), classification }
+ *   cluster  ({ ..., window, feedback })                    -> { feedback (with theme ids), clustering }
+ *   analyze  ({ ..., window, feedback, classification, clustering, redaction }) -> digest (metadata.model says which model and prompt)
+ *   ground   ({ ..., window, feedback, digest })            -> digest (quotes checked against feedback)
+ *   persist  ({ ..., window, feedback, digest })            -> digest row id (plus theme mentions and action items)
+ *   notify   ({ ..., window, feedback, digest, digestId })  -> delivery results
+ *
+ * `runStep(name, fn, config)` wraps units of work; the workflow maps it onto `step.do` (with the
+ * optional retry config) so every step is durable and retried on its own, while the HTTP path
+ * just calls `fn`.
+ *
+ * Every stage after fetch also gets the `product` the run is for (params.product, a slug, or the
+ * default product).
+ */
+
+export const runInline = (name, fn) => fn();
+
+export async function fetchStage({ env, params, runStep }) {
+	const product = await runStep('resolve-product', () => getProduct(env, params.product));
+	const window = await runStep('resolve-window', () => resolveWindow(env, params, product));
+	// A page per step: one step holding a large window's feedback would exceed the step output limit.
+	// Each page is redacted inside its step, since step outputs are kept as workflow instance state.
+	const rules = loadRedactionRules(env);
+	const feedback = [];
+	const reports = [];
+	for (let page = 1; ; page++) {
+		const after = feedback.at(-1) ?? null;
+		const { feedback: rows, report } = await runStep(`fetch-feedback-${page}`, async () =>
+			redactFeedback(await fetchFeedbackPage(env, window, product, after), rules)
+		);
+		feedback.push(...rows);
+		reports.push(report);
+		if (rows.length < FETCH_PAGE_SIZE) {
+			break;
+		}
+	}
+	return { product, window, feedback, redaction: mergeRedactionReports(reports) };
+}
+
+export async function analyzeStage({ env, params, product, window, feedback, classification, clustering, redaction, runStep }) {
+	// One step per chunk so a failed AI call only retries its own slice
+	const config = loadModelConfig(env);
+	const results = [];
+	for (const [i, chunk] of chunkFeedback(feedback).entries()) {
+		results.push(await runStep(`analyze-chunk-${i + 1}`, () => analyzeChunk(env, chunk, product, config)));
+	}
+
+	// Sentiment and theme counts come from the per-item labels where there are any; anything the
+	// model echoed that still looks like PII is redacted from the output
+	const { digest, counts: outputCounts } = redactDigest(applyLabels(mergeChunkResults(results), feedback), loadRedactionRules(env));
+	digest.metadata = {
+		// From the window rather than the clock, so workflow replays agree and the date is UTC like the window
+		date: fromSqliteDate(window.to).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+		...(product ? { product: productSummary(product) } : {}),
+		sources: [...new Set(feedback.map(f => f.source).filter(Boolean))],
+		feedback_count: feedback.length,
+		window,
+		model: config,
+		chunks: results.length,
+		failed_chunks: results.filter(r => !r.digest).length,
+		// Which attempt produced a schema-valid response for each chunk, or why the last one failed
+		validation: results.map((r, i) => ({
+			chunk: i + 1,
+			status: r.digest ? 'valid' : 'failed',
+			attempts: r.attempts,
+			...(r.digest ? {} : { errors: r.errors }),
+		})),
+		...(classification ? { classification } : {}),
+		...(clustering ? { clustering } : {}),
+		...(redaction ? { redaction: { ...redaction, output_counts: outputCounts } } : {}),
+		// Set on spike runs (see spikes.js); notifications then go out as incident alerts
+		...(params?.incident ? { incident: params.incident } : {}),
+	};
+
+	// Trend comes from stored history, not the model; skip it when there is no real analysis to compare
+	if (results.some(r => r.digest) || classification?.labeled > 0) {
+		digest.sentiment_trend = await runStep('compute-trend', () => computeTrendForNewDigest(env, digest.sentiment, Date.now(), product));
+		digest.sentiment.trend = digest.sentiment_trend.direction;
+	}
+	return digest;
+}
+
+export async function persistStage({ env, params, product, window, feedback, digest, runStep }) {
+	const digestId = await runStep('store-digest', () =>
+		env.DB.prepare(
+			`INSERT INTO daily_digests (summary, feedback_count, window_start, window_end, feedback_ids, product_id, prompt_version, model, spike_alert_id)
+			 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`
+		)
+			.bind(
+				JSON.stringify(digest),
+				feedback.length,
+				window.from,
+				window.to,
+				JSON.stringify(feedback.map(f => f.id)),
+				product?.id ?? DEFAULT_PRODUCT_ID,
+				digest.metadata?.model?.prompt_version ?? null,
+				digest.metadata?.model?.model ?? null,
+				params?.incident?.alert_id ?? null
+			)
+			.first('id')
+	);
+	if (feedback.some(f => f.theme_id)) {
+		await runStep('store-theme-mentions', () => saveThemeMentions(env, digestId, feedback));
+	}
+	await runStep('store-action-items', () => saveActionItems(env, digestId, product, digest));
+	return digestId;
+}
+
+/**
+ * Delivers the digest to every channel configured for the product (see channelTargets), each in
+ * its own step with NOTIFY_STEP_CONFIG retries. A channel that still fails is reported in the result rather than failing the run,
+ * since the digest is already stored. With no channels configured the Slack payload is logged.
+ */
+export async function notifyStage({ env, product, digest, digestId, runStep }) {
+	const targets = channelTargets(env, product);
+	const channels = Object.keys(targets);
+	if (channels.length === 0) {
+		await runStep('notify-slack', async () => {
+			console.log('[SLACK] Would send:', JSON.stringify(buildSlackPayload(digest), null, 2));
+		});
+		return [];
+	}
+
+	const results = [];
+	for (const channel of channels) {
+		try {
+			results.push(await runStep(`notify-${channel}`, () => deliverNotification(env, channel, digest, digestId, targets[channel]), NOTIFY_STEP_CONFIG));
+		} catch (err) {
+			console.error(`[NOTIFY] ${channel} delivery failed:`, err.message);
+			results.push({ channel, status: 'failed', error: err.message });
+		}
+	}
+	return results;
+}
+
+export const defaultStages = {
+	fetch: fetchStage,
+	classify: classifyStage,
+	cluster: clusterStage,
+	analyze: analyzeStage,
+	ground: groundStage,
+	persist: persistStage,
+	notify: notifyStage,
+};
+
+/**
+ * Runs fetch → classify → cluster → analyze → ground → persist → notify. `options.stages` replaces individual stages and
+ * `options.runStep` wraps each unit of work (see above).
+ *
+ * Returns { status: 'skipped', reason, product, window } when the window holds no feedback, otherwise
+ * { status: 'completed', product, digest, digestId, notifications }. Throws DigestWindowError for an
+ * invalid window and ProductNotFoundError for an unknown product.
+ */
+export async function runDigestPipeline(env, params = {}, options = {}) {
+	const stages = { ...defaultStages, ...options.stages };
+	const run = { env, params: params || {}, runStep: options.runStep || runInline };
+
+	const { product = null, window, feedback: fetched, redaction } = await stages.fetch(run);
+	const summary = product ? productSummary(product) : null;
+	if (fetched.length === 0) {
+		return { status: 'skipped', reason: 'No feedback to analyze', product: summary, window };
+	}
+
+	const ctx = { ...run, product, window };
+	const { feedback: labeled, classification } = await stages.classify({ ...ctx, feedback: fetched });
+	const { feedback, clustering } = await stages.cluster({ ...ctx, feedback: labeled });
+	const analyzed = await stages.analyze({ ...ctx, feedback, classification, clustering, redaction });
+	const digest = await stages.ground({ ...ctx, feedback, digest: analyzed });
+	const digestId = await stages.persist({ ...ctx, feedback, digest });
+	const notifications = await stages.notify({ ...ctx, feedback, digest, digestId });
+
+	return { status: 'completed', product: summary, digest, digestId, notifications };
+}
@@ -0,0 +1,87 @@
+import { HttpError, jsonResponse } from './http.js';
+
+// Products the digest runs for. Product 1 ('d1') is the default for feedback and routes that don't name one.
+
+export const DEFAULT_PRODUCT_ID = 1;
+
+// An HttpError so routes answer 404; the workflow treats it as non-retryable
+export class ProductNotFoundError extends HttpError {
+	constructor(slug) {
+		super(404, `Unknown product: ${slug}`);
+		this.name = 'ProductNotFoundError';
+		this.slug = slug;
+	}
+}
+
+function parseTargets(value) {
+	if (!value) {
+		return null;
+	}
+	try {
+		return JSON.parse(value);
+	} catch {
+		console.error('[PRODUCTS] Ignoring invalid notification_targets JSON');
+		return null;
+	}
+}
+
+export function toProduct(row) {
+	return {
+		id: row.id,
+		slug: row.slug,
+		name: row.name,
+		emoji: row.emoji,
+		prompt_context: row.prompt_context,
+		notification_targets: parseTargets(row.notification_targets),
+		schedule: row.schedule,
+	};
+}
+
+// The part of a product copied into each digest's metadata
+export function productSummary(product) {
+	return { slug: product.slug, name: product.name, emoji: product.emoji };
+}
+
+// How prompts refer to the product
+export function promptContext(product) {
+	return product?.prompt_context || product?.name || 'Cloudflare D1 database';
+}
+
+export async function listProducts(env) {
+	const { results } = await env.DB.prepare('SELECT * FROM products ORDER BY id').all();
+	return results.map(toProduct);
+}
+
+// Looks a product up by slug, or returns the default product when `slug` is empty
+export async function getProduct(env, slug) {
+	const row = slug
+		? await env.DB.prepare('SELECT * FROM products WHERE slug = ?').bind(slug).first()
+		: await env.DB.prepare('SELECT * FROM products WHERE id = ?').bind(DEFAULT_PRODUCT_ID).first();
+	if (!row) {
+		throw new ProductNotFoundError(slug);
+	}
+	return toProduct(row);
+}
+
+// The `?product=` selector on read routes: null when absent, so the route covers every product
+export async function productFromUrl(env, url) {
+	const slug = url.searchParams.get('product');
+	return slug ? getProduct(env, slug) : null;
+}
+
+// Products whose schedule is the cron expression that just fired
+export async function productsForCron(env, cron) {
+	const { results } = await env.DB.prepare('SELECT * FROM products WHERE schedule = ? ORDER BY id').bind(cron).all();
+	return results.map(toProduct);
+}
+
+// GET /api/products — webhook URLs are secrets, so only the configured channel names are listed
+export async function handleProductList(env) {
+	const products = await listProducts(env);
+	return jsonResponse({
+		products: products.map(({ notification_targets: targets, ...product }) => ({
+			...product,
+			notification_channels: targets ? Object.keys(targets) : null,
+		})),
+	});
+}
@@ -0,0 +1,73 @@
+import { promptContext } from './products.js';
+
+// Versioned prompt templates. A version's templates never change once digests were made with it:
+// edit a prompt by adding a new version, so digests stay comparable by their stored prompt_version.
+
+function itemLabel(f) {
+	if (!f.theme) {
+		return '';
+	}
+	// Registry names are stable across digests, so prefer them over the per-item label
+	return ` (${f.sentiment}; theme: ${f.theme_name || f.theme}${f.is_feature_request ? '; feature request' : ''})`;
+}
+
+function analysisPromptV1(feedback, product) {
+	const feedbackText = feedback.map((f, i) => `${i + 1}. [${f.source || 'unknown'}]${itemLabel(f)} ${f.content}`).join('\n');
+	const labelHint = feedback.some(f => f.theme) ? ' Items are labeled with their sentiment and theme; use those theme names in top_themes.' : '';
+	return `You are a PM analyzing product feedback for ${promptContext(product)}. Analyze this feedback and return valid JSON only.${labelHint}
+
+FEEDBACK:
+${feedbackText}
+
+Return this exact JSON structure:
+{
+  "top_themes": [
+    {"theme": "theme name", "mentions": number, "quotes": ["quote1", "quote2"], "impact": "High/Medium/Low", "confidence": "High/Medium/Low"}
+  ],
+  "friction_points": [
+    {"point": "description", "count": number}
+  ],
+  "sentiment": {
+    "frustrated": number,
+    "neutral": number,
+    "positive": number
+  },
+  "feature_signals": ["implicit feature request 1", "implicit feature request 2"],
+  "pm_actions": {
+    "docs_ux": ["action 1"],
+    "validation": ["action 1"],
+    "tracking": ["action 1"]
+  }
+}
+
+JSON response:`;
+}
+
+function classificationPromptV1(chunk, product) {
+	const feedbackText = chunk.map((f, i) => `${i + 1}. [${f.source || 'unknown'}] ${f.content}`).join('\n');
+	return `You are a PM labeling product feedback for ${promptContext(product)}. Label every item and return valid JSON only.
+
+FEEDBACK:
+${feedbackText}
+
+For each numbered item give its sentiment (frustrated, neutral or positive), a short theme name (2-4 words, reuse the same name for items about the same topic), and whether it asks for a new feature.
+
+Return this exact JSON structure, with one entry per item:
+{
+  "items": [
+    {"index": 1, "sentiment": "frustrated/neutral/positive", "theme": "theme name", "feature_request": true/false}
+  ]
+}
+
+JSON response:`;
+}
+
+/**
+ * Each version has an `analysis` template (feedback chunk -> digest JSON) and a `classification`
+ * template (feedback chunk -> per-item labels), both called as (chunk, product).
+ */
+export const PROMPT_VERSIONS = {
+	v1: { analysis: analysisPromptV1, classification: classificationPromptV1 },
+};
+
+export const DEFAULT_PROMPT_VERSION = 'v1';
@@ -0,0 +1,148 @@
+// PII redaction: feedback is redacted before any prompt or embedding sees it, and the finished digest
+// gets a second pass so nothing the model echoes reaches D1, HTML or notifications unredacted.
+
+/**
+ * Built-in detectors, applied in this order. Tokens go first so a secret is never half-matched as
+ * something else, and 32-hex Cloudflare IDs before IPv6 and phone numbers, whose patterns overlap.
+ *
+ * Feedback is full of code and numbers, so the IPv6 and phone rules ask for more than the shape:
+ * a compressed IPv6 address (`fe80::1`) needs a digit plus a hex letter or two groups on one side of
+ * `::`, so `dead::beef` and `std::vector` stay; a phone number needs a `+` or `(area)` prefix or
+ * matching `-`/`.` separators, so `100 000 000 rows` and `issue #1234 5678` stay.
+ */
+export const DEFAULT_RULES = [
+	{ name: 'token', pattern: /\bBearer\s+[\w\-.~+/]{8,}=*/gi, replacement: 'Bearer [TOKEN]' },
+	{ name: 'token', pattern: /\b(api[_-]?key|api[_-]?token|token|secret|password)(\s*[:=]\s*)["']?[^\s"',;]{8,}["']?/gi, replacement: '$1$2[TOKEN]' },
+	{ name: 'email', pattern: /[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, replacement: '[EMAIL]' },
+	{ name: 'cloudflare_id', pattern: /\b[0-9a-f]{32}\b/gi, replacement: '[CF_ID]' },
+	{ name: 'ip', pattern: /(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/gi, replacement: '[IP]' },
+	{
+		// Compressed: a hex letter (fe80::1) or two groups on one side of :: (2606:4700::1111)
+		name: 'ip',
+		pattern:
+			/(?<![\w:])(?=[0-9a-f:]*\d)(?:(?=[\d:]*[a-f])(?:[0-9a-f]{1,4}:){1,7}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,6})?|(?:[0-9a-f]{1,4}:){2,7}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,5})?|[0-9a-f]{1,4}::[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){1,5})(?![\w:])/gi,
+		replacement: '[IP]',
+	},
+	{ name: 'ip', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g, replacement: '[IP]' },
+	{
+		name: 'phone',
+		pattern:
+			/(?<![\w+])(?:\+\d{8,15}|\+\d{1,3}[\s.-]?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}|\(\d{2,4}\)\s?\d{3,4}[\s.-]\d{3,4}|\d{2,4}([.-])\d{3,4}\1\d{3,4})(?![\w-])/g,
+		replacement: '[PHONE]',
+	},
+];
+
+/**
+ * Custom rules from the REDACTION_RULES variable: a JSON array of
+ * { name, pattern, flags?, replacement? } where `pattern` is a regular expression source.
+ * Invalid JSON or patterns are logged and skipped so a typo can't stop the digest.
+ */
+export function parseCustomRules(value) {
+	if (!value) {
+		return [];
+	}
+	let rules;
+	try {
+		rules = JSON.parse(value);
+	} catch {
+		console.error('[REDACT] Ignoring REDACTION_RULES: not valid JSON');
+		return [];
+	}
+	if (!Array.isArray(rules)) {
+		console.error('[REDACT] Ignoring REDACTION_RULES: expected an array');
+		return [];
+	}
+	return rules.flatMap(rule => {
+		try {
+			const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+			const name = String(rule.name || 'custom');
+			return [{ name, pattern: new RegExp(rule.pattern, flags), replacement: rule.replacement ?? `[${name.toUpperCase()}]` }];
+		} catch (err) {
+			console.error(`[REDACT] Ignoring rule ${rule?.name}:`, err.message);
+			return [];
+		}
+	});
+}
+
+// Custom rules run first so they can claim text a built-in detector would otherwise rewrite
+export function loadRedactionRules(env) {
+	return [...parseCustomRules(env.REDACTION_RULES), ...DEFAULT_RULES];
+}
+
+function addCounts(total, counts) {
+	for (const [name, n] of Object.entries(counts)) {
+		total[name] = (total[name] || 0) + n;
+	}
+	return total;
+}
+
+// Returns { text, counts } where counts maps rule name -> number of matches replaced
+export function redactText(text, rules) {
+	const counts = {};
+	let redacted = text;
+	for (const rule of rules) {
+		const matches = redacted.match(rule.pattern);
+		if (matches) {
+			counts[rule.name] = (counts[rule.name] || 0) + matches.length;
+			redacted = redacted.replace(rule.pattern, rule.replacement);
+		}
+	}
+	return { text: redacted, counts };
+}
+
+/**
+ * Redacts each item's content. Returns the items (with `content` replaced where anything matched)
+ * and a report: { items: <how many items changed>, counts: { <rule>: <matches> } }.
+ */
+export function redactFeedback(feedback, rules) {
+	const counts = {};
+	let items = 0;
+	const redacted = feedback.map(f => {
+		const result = redactText(f.content, rules);
+		if (result.text === f.content) {
+			return f;
+		}
+		items++;
+		addCounts(counts, result.counts);
+		return { ...f, content: result.text };
+	});
+	return { feedback: redacted, report: { items, counts } };
+}
+
+// Sums reports from redactFeedback, e.g. one per fetched page
+export function mergeRedactionReports(reports) {
+	return {
+		items: reports.reduce((sum, r) => sum + r.items, 0),
+		counts: reports.reduce((total, r) => addCounts(total, r.counts), {}),
+	};
+}
+
+/**
+ * Redacts every string in the model's output (theme names, quotes, signals, actions), leaving
+ * metadata alone. Returns { digest, counts }.
+ */
+export function redactDigest(digest, rules) {
+	const counts = {};
+	const walk = value => {
+		if (typeof value === 'string') {
+			const result = redactText(value, rules);
+			addCounts(counts, result.counts);
+			return result.text;
+		}
+		if (Array.isArray(value)) {
+			return value.map(walk);
+		}
+		if (value && typeof value === 'object') {
+			return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, walk(v)]));
+		}
+		return value;
+	};
+	const { metadata, ...content } = digest;
+	return { digest: { ...walk(content), ...(metadata ? { metadata } : {}) }, counts };
+}
+
+// Stage for callers that label feedback outside the digest pipeline (spike detection), where fetching doesn't redact
+export async function redactStage({ env, feedback }) {
+	const { feedback: redacted, report } = redactFeedback(feedback, loadRedactionRules(env));
+	return { feedback: redacted, redaction: report };
+}
@@ -0,0 +1,285 @@
+import { toSqliteDate } from './dates.js';
+import { html, htmlWrapper } from './html.js';
+import { HttpError, htmlResponse, jsonResponse } from './http.js';
+import { DEFAULT_PRODUCT_ID, productFromUrl } from './products.js';
+
+// Run log: every digest run gets a digest_runs row, so a failed cron run shows up on /runs instead of only in Worker logs
+
+export const TRIGGERS = ['cron', 'manual', 'http', 'spike'];
+export const RUNS_PER_PAGE = 20;
+
+// Statuses after which a run never changes again
+const FINISHED = ['complete', 'skipped', 'errored', 'terminated'];
+const REFRESH_SECONDS = 5;
+
+export function isFinished(status) {
+	return FINISHED.includes(status);
+}
+
+export async function createRun(env, { trigger, product }) {
+	return env.DB.prepare('INSERT INTO digest_runs (trigger, product_id) VALUES (?, ?) RETURNING id')
+		.bind(trigger, product?.id ?? DEFAULT_PRODUCT_ID)
+		.first('id');
+}
+
+async function updateRun(env, runId, fields) {
+	const keys = Object.keys(fields);
+	await env.DB.prepare(`UPDATE digest_runs SET ${keys.map(k => `${k} = ?`).join(', ')} WHERE id = ?`)
+		.bind(...keys.map(k => fields[k]), runId)
+		.run();
+}
+
+function finishRun(env, runId, fields) {
+	return updateRun(env, runId, { finished_at: toSqliteDate(Date.now()), ...fields });
+}
+
+// The row fields for a pipeline result: a skipped window has nothing to analyze
+function outcome(result) {
+	return result?.status === 'skipped'
+		? { status: 'skipped', feedback_count: 0 }
+		: { status: 'complete', feedback_count: result?.digest?.metadata?.feedback_count ?? null, digest_id: result?.digestId ?? null };
+}
+
+/**
+ * Starts a DIGEST_WORKFLOW instance for `product` and records it as a run with `trigger`. The run id
+ * goes to the workflow as `params.run_id` so it can report back; `params` adds pipeline params such
+ * as a window. If the instance can't be created the run is stored as errored and the error is
+ * rethrown. Returns { runId, instance }.
+ */
+export async function startWorkflowRun(env, product, trigger, params = {}) {
+	const runId = await createRun(env, { trigger, product });
+	try {
+		const instance = await env.DIGEST_WORKFLOW.create({ params: { ...params, product: product.slug, run_id: runId } });
+		await updateRun(env, runId, { instance_id: instance.id });
+		return { runId, instance };
+	} catch (err) {
+		await finishRun(env, runId, { status: 'errored', error: err.message });
+		throw err;
+	}
+}
+
+/**
+ * Calls `run()` (a pipeline run) and records its start, outcome and error on run `runId`, each
+ * through `runStep` so the workflow stores them durably. Runs without an id (e.g. instances started
+ * before the run log existed) are not tracked.
+ */
+export async function trackRun(env, runId, runStep, run) {
+	if (!runId) {
+		return run();
+	}
+	await runStep('run-started', () => updateRun(env, runId, { status: 'running', started_at: toSqliteDate(Date.now()) }));
+	let result;
+	try {
+		result = await run();
+	} catch (err) {
+		await runStep('run-failed', () => finishRun(env, runId, { status: 'errored', error: err.message }));
+		throw err;
+	}
+	await runStep('run-finished', () => finishRun(env, runId, outcome(result)));
+	return result;
+}
+
+function errorMessage(error) {
+	return typeof error === 'string' ? error : error?.message || error?.name || null;
+}
+
+/**
+ * Asks the binding for a workflow run's live status and stores it when it changed. This catches
+ * instances that ended without reporting back, e.g. terminated ones. Finished and inline runs are
+ * returned as they are.
+ */
+export async function refreshRun(env, run) {
+	if (!run.instance_id || isFinished(run.status)) {
+		return run;
+	}
+	let live;
+	try {
+		live = await (await env.DIGEST_WORKFLOW.get(run.instance_id)).status();
+	} catch (err) {
+		console.error(`[RUNS] Could not read status of ${run.instance_id}:`, err.message);
+		return run;
+	}
+	// A binding that reports no status leaves the run as it is rather than failing the page
+	if (!live?.status || live.status === run.status) {
+		return run;
+	}
+
+	let fields = { status: live.status };
+	if (live.status === 'complete') {
+		fields = outcome(live.output);
+	} else if (live.status === 'errored' || live.status === 'terminated') {
+		fields.error = errorMessage(live.error) || run.error;
+	}
+	if (isFinished(fields.status)) {
+		await finishRun(env, run.id, fields);
+	} else {
+		await updateRun(env, run.id, fields);
+	}
+	return { ...run, ...fields };
+}
+
+function toRun(row) {
+	return {
+		id: row.id,
+		instance_id: row.instance_id,
+		trigger: row.trigger,
+		product: row.product,
+		status: row.status,
+		created_at: row.created_at,
+		started_at: row.started_at,
+		finished_at: row.finished_at,
+		feedback_count: row.feedback_count,
+		digest_id: row.digest_id,
+		error: row.error,
+		url: `/runs/${row.id}`,
+	};
+}
+
+const RUN_COLUMNS = 'r.*, p.slug AS product';
+
+export async function getRun(env, id) {
+	const row = await env.DB.prepare(`SELECT ${RUN_COLUMNS} FROM digest_runs r LEFT JOIN products p ON p.id = r.product_id WHERE r.id = ?`)
+		.bind(id)
+		.first();
+	return row ? toRun(await refreshRun(env, row)) : null;
+}
+
+// Newest first, optionally narrowed by product, status and trigger; unfinished runs are refreshed from the binding
+export async function listRuns(env, { page = 1, perPage = RUNS_PER_PAGE, product = null, status = null, trigger = null } = {}) {
+	const conditions = [
+		[product, 'r.product_id = ?', product?.id],
+		[status, 'r.status = ?', status],
+		[trigger, 'r.trigger = ?', trigger],
+	].filter(([value]) => value);
+	const where = conditions.length > 0 ? `WHERE ${conditions.map(([, clause]) => clause).join(' AND ')}` : '';
+	const binds = conditions.map(([, , value]) => value);
+
+	const [rows, count] = await env.DB.batch([
+		env.DB.prepare(
+			`SELECT ${RUN_COLUMNS} FROM digest_runs r LEFT JOIN products p ON p.id = r.product_id
+			 ${where} ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?`
+		).bind(...binds, perPage, (page - 1) * perPage),
+		env.DB.prepare(`SELECT COUNT(*) AS total FROM digest_runs r ${where}`).bind(...binds),
+	]);
+
+	const runs = await Promise.all(rows.results.map(row => refreshRun(env, row)));
+	const total = count.results[0].total;
+	return {
+		runs: runs.map(toRun),
+		page,
+		per_page: perPage,
+		total,
+		next_page: page * perPage < total ? page + 1 : null,
+		prev_page: page > 1 ? page - 1 : null,
+	};
+}
+
+function parseRunQuery(url) {
+	const page = Number.parseInt(url.searchParams.get('page'), 10);
+	const trigger = url.searchParams.get('trigger') || null;
+	if (trigger && !TRIGGERS.includes(trigger)) {
+		throw new HttpError(400, `trigger must be one of ${TRIGGERS.join(', ')}`);
+	}
+	return { page: Number.isInteger(page) && page > 0 ? page : 1, status: url.searchParams.get('status') || null, trigger };
+}
+
+function statusLabel(status) {
+	const cls = status === 'complete' ? 'success' : status === 'errored' || status === 'terminated' ? 'error' : '';
+	return html`<span class="${cls}">${status}</span>`;
+}
+
+function renderRunList(list, product, query) {
+	const filters = new URLSearchParams();
+	for (const [key, value] of [
+		['product', product?.slug],
+		['status', query.status],
+		['trigger', query.trigger],
+	]) {
+		if (value) {
+			filters.set(key, value);
+		}
+	}
+	const pageLink = page => `/runs?${new URLSearchParams([...filters, ['page', page]])}`;
+
+	const rows = list.runs.length
+		? list.runs.map(
+				r => html`
+      <li class="digest-row">
+        <div>
+          <a href="${r.url}">Run #${r.id}</a> · ${statusLabel(r.status)}
+          <div class="theme-meta">${r.product} · ${r.trigger} · ${r.created_at}${r.feedback_count !== null ? ` · ${r.feedback_count} items` : ''}${
+						r.digest_id ? html` · <a href="/digests/${r.digest_id}">digest #${r.digest_id}</a>` : ''
+					}</div>
+          ${r.error ? html`<div class="theme-meta error">${r.error}</div>` : ''}
+        </div>
+      </li>`
+			)
+		: html`<li style="color: #666;">No runs yet.</li>`;
+
+	return html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Digest Runs</h1>
+    <p class="subtitle">${list.total} runs · page ${list.page} · <a href="/runs?status=errored">failed only</a> · <a href="/api/runs">JSON</a></p>
+    <div class="section">
+      <ul class="list">${rows}</ul>
+    </div>
+    <div class="pagination">
+      <span>${list.prev_page ? html`<a href="${pageLink(list.prev_page)}">← Newer</a>` : ''}</span>
+      <span>${list.next_page ? html`<a href="${pageLink(list.next_page)}">Older →</a>` : ''}</span>
+    </div>
+  `;
+}
+
+// GET /runs and /api/runs (`?product=`, `?status=`, `?trigger=`, `?page=`)
+export async function handleRunList(env, url, { json }) {
+	const product = await productFromUrl(env, url);
+	const query = parseRunQuery(url);
+	const list = await listRuns(env, { ...query, product });
+	if (json) {
+		return jsonResponse(list);
+	}
+	const watching = list.runs.some(r => !isFinished(r.status));
+	return htmlResponse(htmlWrapper('Digest Runs', renderRunList(list, product, query), { refresh: watching ? REFRESH_SECONDS : null }));
+}
+
+// GET /runs/:id and /api/runs/:id; the page reloads itself until the run finishes
+export async function handleRunDetail(env, id, { json }) {
+	const run = await getRun(env, id);
+	if (!run) {
+		return json
+			? jsonResponse({ error: 'Run not found' }, 404)
+			: htmlResponse(
+					htmlWrapper(
+						'Run Not Found',
+						html`<div class="back-link"><a href="/runs">← All runs</a></div>
+    <h1>Run Not Found</h1>
+    <div class="section"><p class="error">There is no run #${id}.</p></div>`
+					),
+					404
+				);
+	}
+	if (json) {
+		return jsonResponse(run);
+	}
+
+	const field = (label, value) => html`<li><strong>${label}:</strong> ${value ?? '—'}</li>`;
+	const content = html`
+    <div class="back-link"><a href="/runs">← All runs</a></div>
+    <h1>Run #${run.id}</h1>
+    <p class="subtitle">${statusLabel(run.status)}${isFinished(run.status) ? '' : ` · refreshing every ${REFRESH_SECONDS}s`} · <a href="/api/runs/${run.id}">JSON</a></p>
+    <div class="section">
+      <ul class="list">
+        ${field('Product', run.product)}
+        ${field('Trigger', run.trigger)}
+        ${field('Workflow instance', run.instance_id ? html`<code>${run.instance_id}</code>` : 'inline')}
+        ${field('Queued', run.created_at)}
+        ${field('Started', run.started_at)}
+        ${field('Finished', run.finished_at)}
+        ${field('Feedback items', run.feedback_count)}
+        ${field('Digest', run.digest_id ? html`<a href="/digests/${run.digest_id}">#${run.digest_id}</a>` : null)}
+      </ul>
+    </div>
+    ${run.error ? html`<div class="section"><div class="section-title">Error</div><div class="json-block error">${run.error}</div></div>` : ''}
+  `;
+	return htmlResponse(htmlWrapper(`Run #${run.id}`, content, { refresh: isFinished(run.status) ? null : REFRESH_SECONDS }));
+}
@@ -0,0 +1,220 @@
+// Schema for the digest JSON the model returns, with type and range checks
+
+export const LEVELS = ['High', 'Medium', 'Low'];
+export const PM_ACTION_KEYS = ['docs_ux', 'validation', 'tracking'];
+export const PM_ACTION_LABELS = { docs_ux: 'Docs & UX', validation: 'Validate', tracking: 'Track' };
+export const SENTIMENTS = ['frustrated', 'neutral', 'positive'];
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_LIST_LENGTH = 20;
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkText(value, path, errors) {
+	if (typeof value !== 'string' || !value.trim()) {
+		errors.push(`${path} must be a non-empty string`);
+		return null;
+	}
+	if (value.length > MAX_TEXT_LENGTH) {
+		errors.push(`${path} must be at most ${MAX_TEXT_LENGTH} characters`);
+		return null;
+	}
+	return value.trim();
+}
+
+function checkCount(value, path, errors) {
+	if (!Number.isInteger(value) || value < 0) {
+		errors.push(`${path} must be a non-negative integer`);
+		return null;
+	}
+	return value;
+}
+
+function checkEnum(value, allowed, path, errors) {
+	// Models often vary the case ("high", "Stable"), which is harmless
+	const match = typeof value === 'string' && allowed.find(a => a.toLowerCase() === value.trim().toLowerCase());
+	if (!match) {
+		errors.push(`${path} must be one of ${allowed.join(', ')}`);
+		return null;
+	}
+	return match;
+}
+
+function checkList(value, path, errors, checkItem) {
+	if (!Array.isArray(value)) {
+		errors.push(`${path} must be an array`);
+		return [];
+	}
+	if (value.length > MAX_LIST_LENGTH) {
+		errors.push(`${path} must have at most ${MAX_LIST_LENGTH} items`);
+		return [];
+	}
+	return value.map((item, i) => checkItem(item, `${path}[${i}]`));
+}
+
+function checkTheme(theme, path, errors) {
+	if (!isPlainObject(theme)) {
+		errors.push(`${path} must be an object`);
+		return null;
+	}
+	return {
+		theme: checkText(theme.theme, `${path}.theme`, errors),
+		mentions: checkCount(theme.mentions, `${path}.mentions`, errors),
+		quotes: checkList(theme.quotes, `${path}.quotes`, errors, (q, p) => checkText(q, p, errors)),
+		impact: checkEnum(theme.impact, LEVELS, `${path}.impact`, errors),
+		confidence: checkEnum(theme.confidence, LEVELS, `${path}.confidence`, errors),
+	};
+}
+
+function checkFrictionPoint(point, path, errors) {
+	if (!isPlainObject(point)) {
+		errors.push(`${path} must be an object`);
+		return null;
+	}
+	return {
+		point: checkText(point.point, `${path}.point`, errors),
+		count: checkCount(point.count, `${path}.count`, errors),
+	};
+}
+
+// The trend is computed from digest history (see trends.js), so any model-supplied trend is dropped
+function checkSentiment(sentiment, errors) {
+	if (!isPlainObject(sentiment)) {
+		errors.push('sentiment must be an object');
+		return null;
+	}
+	const result = {};
+	const before = errors.length;
+	for (const key of ['frustrated', 'neutral', 'positive']) {
+		const value = sentiment[key];
+		if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+			errors.push(`sentiment.${key} must be a non-negative number`);
+		}
+		result[key] = value;
+	}
+	if (errors.length === before && result.frustrated + result.neutral + result.positive <= 0) {
+		errors.push('sentiment values must not all be zero');
+	}
+	return result;
+}
+
+// Scales the three sentiment buckets to whole percentages
+export function normalizeSentiment(sentiment) {
+	const total = sentiment.frustrated + sentiment.neutral + sentiment.positive;
+	if (total <= 0) {
+		return sentiment;
+	}
+	return {
+		...sentiment,
+		frustrated: Math.round((sentiment.frustrated / total) * 100),
+		neutral: Math.round((sentiment.neutral / total) * 100),
+		positive: Math.round((sentiment.positive / total) * 100),
+	};
+}
+
+/**
+ * Validates a parsed model response against the digest schema.
+ * Returns { value, errors }: `value` is the cleaned digest (known fields only, enums in canonical
+ * case, sentiment as percentages) and is null whenever `errors` is non-empty.
+ */
+export function validateDigest(data) {
+	const errors = [];
+	if (!isPlainObject(data)) {
+		return { value: null, errors: ['response must be a JSON object'] };
+	}
+
+	const digest = {
+		top_themes: checkList(data.top_themes, 'top_themes', errors, (t, p) => checkTheme(t, p, errors)),
+		friction_points: checkList(data.friction_points, 'friction_points', errors, (f, p) => checkFrictionPoint(f, p, errors)),
+		sentiment: checkSentiment(data.sentiment, errors),
+		feature_signals: checkList(data.feature_signals, 'feature_signals', errors, (f, p) => checkText(f, p, errors)),
+		pm_actions: {},
+	};
+
+	if (!isPlainObject(data.pm_actions)) {
+		errors.push('pm_actions must be an object');
+	} else {
+		for (const key of PM_ACTION_KEYS) {
+			digest.pm_actions[key] = checkList(data.pm_actions[key], `pm_actions.${key}`, errors, (a, p) => checkText(a, p, errors));
+		}
+	}
+
+	if (errors.length > 0) {
+		return { value: null, errors };
+	}
+	digest.sentiment = normalizeSentiment(digest.sentiment);
+	return { value: digest, errors };
+}
+
+/**
+ * Validates per-item labels for a chunk of `count` feedback items, numbered from 1.
+ * Returns { value, errors } where `value` is the labels ordered by index.
+ */
+export function validateClassification(data, count) {
+	const errors = [];
+	if (!isPlainObject(data)) {
+		return { value: null, errors: ['response must be a JSON object'] };
+	}
+	if (!Array.isArray(data.items)) {
+		return { value: null, errors: ['items must be an array'] };
+	}
+
+	const labels = new Map();
+	data.items.forEach((item, i) => {
+		const path = `items[${i}]`;
+		if (!isPlainObject(item)) {
+			errors.push(`${path} must be an object`);
+			return;
+		}
+		if (!Number.isInteger(item.index) || item.index < 1 || item.index > count) {
+			errors.push(`${path}.index must be an integer from 1 to ${count}`);
+		} else if (labels.has(item.index)) {
+			errors.push(`${path}.index ${item.index} is labeled more than once`);
+		}
+		const label = {
+			index: item.index,
+			sentiment: checkEnum(item.sentiment, SENTIMENTS, `${path}.sentiment`, errors),
+			theme: checkText(item.theme, `${path}.theme`, errors),
+			feature_request: item.feature_request,
+		};
+		if (typeof item.feature_request !== 'boolean') {
+			errors.push(`${path}.feature_request must be true or false`);
+		}
+		labels.set(item.index, label);
+	});
+
+	const missing = Array.from({ length: count }, (_, i) => i + 1).filter(index => !labels.has(index));
+	if (missing.length > 0) {
+		errors.push(`missing labels for items ${missing.join(', ')}`);
+	}
+
+	if (errors.length > 0) {
+		return { value: null, errors };
+	}
+	return { value: [...labels.values()].sort((a, b) => a.index - b.index), errors };
+}
+
+// Pulls the outermost JSON object out of a chatty model response
+export function extractJson(text) {
+	const jsonMatch = typeof text === 'string' ? text.match(/\{[\s\S]*\}/) : null;
+	if (!jsonMatch) {
+		return { value: null, error: 'response did not contain a JSON object' };
+	}
+	try {
+		return { value: JSON.parse(jsonMatch[0]), error: null };
+	} catch (err) {
+		return { value: null, error: `response was not valid JSON: ${err.message}` };
+	}
+}
+
+/**
+ * Every pm_actions entry as one line, in PM_ACTION_KEYS order. Docs and UX fixes read as actions on
+ * their own; validation and tracking entries are prefixed with their label ('Track: Batch timeouts').
+ */
+export function describeActions(pmActions) {
+	return PM_ACTION_KEYS.flatMap(key =>
+		(pmActions?.[key] || []).map(action => (key === 'docs_ux' ? action : `${PM_ACTION_LABELS[key]}: ${action}`))
+	);
+}
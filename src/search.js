@@ -0,0 +1,215 @@
+import { isValidDate, toSqliteDate } from './dates.js';
+import { html, htmlWrapper } from './html.js';
+import { HttpError, htmlResponse, jsonResponse } from './http.js';
+import { productFromUrl } from './products.js';
+import { loadRedactionRules, redactFeedback } from './redact.js';
+import { SENTIMENTS } from './schema.js';
+
+// Search over raw feedback: full-text via the feedback_fts index plus column filters, newest first
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const FILTERS = ['q', 'id', 'product', 'source', 'from', 'to', 'sentiment', 'theme', 'theme_id', 'digest_id'];
+
+// Opaque cursor: the (created_at, id) of the last row on the previous page
+export function encodeCursor(row) {
+	return btoa(JSON.stringify([row.created_at, row.id])).replace(/=+$/, '');
+}
+
+export function decodeCursor(cursor) {
+	try {
+		const [createdAt, id] = JSON.parse(atob(cursor));
+		if (typeof createdAt === 'string' && Number.isInteger(id)) {
+			return { created_at: createdAt, id };
+		}
+	} catch {
+		// fall through
+	}
+	throw new HttpError(400, 'Invalid cursor');
+}
+
+// Quotes every word so user input can't hit FTS5 query syntax; words are ANDed
+export function toFtsQuery(q) {
+	const words = q.match(/[\p{L}\p{N}_]+/gu) || [];
+	return words.map(w => `"${w}"`).join(' ');
+}
+
+function parseId(value, name) {
+	const id = Number(value);
+	if (!Number.isInteger(id) || id < 1) {
+		throw new HttpError(400, `${name} must be a positive integer`);
+	}
+	return id;
+}
+
+/**
+ * Reads search params from a URL. Returns the filters that were set plus `limit` and `cursor`;
+ * throws HttpError(400) for malformed values.
+ */
+export function parseFeedbackQuery(url) {
+	const params = url.searchParams;
+	const query = {};
+	for (const key of FILTERS) {
+		const value = params.get(key)?.trim();
+		if (value) {
+			query[key] = value;
+		}
+	}
+
+	for (const key of ['from', 'to']) {
+		if (query[key]) {
+			if (!isValidDate(query[key])) {
+				throw new HttpError(400, `${key} must be an ISO 8601 timestamp`);
+			}
+			query[key] = toSqliteDate(query[key]);
+		}
+	}
+	if (query.sentiment && !SENTIMENTS.includes(query.sentiment.toLowerCase())) {
+		throw new HttpError(400, `sentiment must be one of ${SENTIMENTS.join(', ')}`);
+	}
+	if (query.sentiment) {
+		query.sentiment = query.sentiment.toLowerCase();
+	}
+	for (const key of ['id', 'theme_id', 'digest_id']) {
+		if (query[key]) {
+			query[key] = parseId(query[key], key);
+		}
+	}
+
+	const limit = params.get('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+		throw new HttpError(400, `limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+	}
+	query.limit = limit;
+
+	if (params.get('cursor')) {
+		query.cursor = decodeCursor(params.get('cursor'));
+	}
+	return query;
+}
+
+/**
+ * Runs a parsed query, narrowed to `product` when one is given (the ?product= slug resolved with
+ * productFromUrl). Returns { feedback, next_cursor }; `next_cursor` is null on the last page.
+ * `theme` matches either the item's own label or its registry theme name, case-insensitively.
+ * Content is redacted on the way out, since stored rows keep the original text.
+ */
+export async function searchFeedback(env, query, product = null) {
+	const conditions = [
+		[query.id, 'f.id = ?', query.id],
+		[product, 'f.product_id = ?', product?.id],
+		[query.source, 'f.source = ?', query.source],
+		[query.from, 'f.created_at > ?', query.from],
+		[query.to, 'f.created_at <= ?', query.to],
+		[query.sentiment, 'f.sentiment = ?', query.sentiment],
+		[query.theme, '(f.theme = ? COLLATE NOCASE OR t.name = ? COLLATE NOCASE)', query.theme, query.theme],
+		[query.theme_id, 'f.theme_id = ?', query.theme_id],
+		[query.digest_id, 'f.id IN (SELECT value FROM json_each((SELECT feedback_ids FROM daily_digests WHERE id = ?)))', query.digest_id],
+		[query.cursor, '(f.created_at < ? OR (f.created_at = ? AND f.id < ?))', query.cursor?.created_at, query.cursor?.created_at, query.cursor?.id],
+	];
+	if (query.q) {
+		const fts = toFtsQuery(query.q);
+		if (!fts) {
+			return { feedback: [], next_cursor: null };
+		}
+		conditions.unshift([fts, 'f.id IN (SELECT rowid FROM feedback_fts WHERE feedback_fts MATCH ?)', fts]);
+	}
+	const active = conditions.filter(([value]) => value);
+	const where = active.map(([, clause]) => clause);
+	const binds = active.flatMap(([, , ...values]) => values);
+
+	const { results } = await env.DB.prepare(
+		`SELECT f.id, f.content, f.source, f.created_at, f.sentiment, f.theme, f.is_feature_request, f.theme_id, t.name AS theme_name
+		 FROM feedback f LEFT JOIN themes t ON t.id = f.theme_id
+		 ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+		 ORDER BY f.created_at DESC, f.id DESC LIMIT ?`
+	)
+		.bind(...binds, query.limit + 1)
+		.all();
+
+	const { feedback } = redactFeedback(results.slice(0, query.limit), loadRedactionRules(env));
+	return { feedback, next_cursor: results.length > query.limit ? encodeCursor(feedback.at(-1)) : null };
+}
+
+// The current filters as a query string, for pagination links
+function filterParams(query, extra = {}) {
+	const params = new URLSearchParams();
+	for (const key of FILTERS) {
+		if (query[key] !== undefined) {
+			params.set(key, query[key]);
+		}
+	}
+	if (query.limit !== DEFAULT_PAGE_SIZE) {
+		params.set('limit', query.limit);
+	}
+	for (const [key, value] of Object.entries(extra)) {
+		params.set(key, value);
+	}
+	return params;
+}
+
+function renderSearchPage(query, result) {
+	const field = (name, label, attrs = '') =>
+		html`<label class="theme-meta">${label}<br><input name="${name}" value="${query[name] ?? ''}" ${attrs}></label>`;
+	const sentimentOptions = ['', ...SENTIMENTS].map(s => html`<option value="${s}"${query.sentiment === s ? html` selected` : ''}>${s || 'any'}</option>`);
+
+	const rows = result.feedback.length
+		? result.feedback.map(f => {
+				const theme = f.theme_name || f.theme;
+				const themeLink = f.theme_id ? html`<a href="/themes/${f.theme_id}">${theme}</a>` : theme;
+				return html`
+      <li>
+        <div class="quote">${f.content}</div>
+        <div class="theme-meta">#${f.id} · ${f.source || 'unknown'} · ${f.created_at}${f.sentiment ? ` · ${f.sentiment}` : ''}${
+					theme ? html` · ${themeLink}` : ''
+				}${f.is_feature_request ? ' · feature request' : ''}</div>
+      </li>`;
+			})
+		: html`<li style="color: #666;">No feedback matches these filters.</li>`;
+
+	return html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Feedback</h1>
+    <p class="subtitle">Newest first · <a href="/api/feedback?${filterParams(query).toString()}">JSON</a></p>
+    <form class="section search-form" method="get" action="/search">
+      ${field('q', 'Search', html`type="search" placeholder="words to match"`)}
+      ${field('product', 'Product')}
+      ${field('source', 'Source')}
+      ${field('from', 'From', html`placeholder="2025-01-01"`)}
+      ${field('to', 'To', html`placeholder="2025-01-31"`)}
+      <label class="theme-meta">Sentiment<br><select name="sentiment">${sentimentOptions}</select></label>
+      ${field('theme', 'Theme')}
+      ${query.id ? html`<input type="hidden" name="id" value="${query.id}">` : ''}
+      ${query.theme_id ? html`<input type="hidden" name="theme_id" value="${query.theme_id}">` : ''}
+      ${query.digest_id ? html`<input type="hidden" name="digest_id" value="${query.digest_id}">` : ''}
+      <button type="submit">Search</button>
+    </form>
+    ${
+			query.id || query.digest_id || query.theme_id
+				? html`<p class="theme-meta" style="margin-bottom: 1rem;">Scoped to${query.id ? ` feedback #${query.id}` : ''}${query.digest_id ? html` <a href="/digests/${query.digest_id}">digest #${query.digest_id}</a>` : ''}${
+						query.theme_id ? html` <a href="/themes/${query.theme_id}">theme #${query.theme_id}</a>` : ''
+					} · <a href="/search">clear</a></p>`
+				: ''
+		}
+    <div class="section">
+      <ul class="list">${rows}</ul>
+    </div>
+    <div class="pagination">
+      <span>${query.cursor ? html`<a href="/search?${filterParams(query).toString()}">← Newest</a>` : ''}</span>
+      <span>${
+				result.next_cursor ? html`<a href="/search?${filterParams(query, { cursor: result.next_cursor }).toString()}">Older →</a>` : ''
+			}</span>
+    </div>
+  `;
+}
+
+// GET /api/feedback and /search; an unknown ?product= is a 404 like on every other product-scoped route
+export async function handleFeedbackSearch(env, url, { json }) {
+	const query = parseFeedbackQuery(url);
+	const result = await searchFeedback(env, query, await productFromUrl(env, url));
+	if (json) {
+		return jsonResponse(result);
+	}
+	return htmlResponse(htmlWrapper('Feedback Search', renderSearchPage(query, result)));
+}
@@ -0,0 +1,230 @@
+import { classifyStage } from './classify.js';
+import { toSqliteDate } from './dates.js';
+import { listProducts } from './products.js';
+import { redactStage } from './redact.js';
+import { startWorkflowRun } from './runs.js';
+
+// Spike detection: between scheduled digests, recent feedback volume and frustration are compared
+// with a rolling baseline so an outage gets a digest and an alert within minutes, not at the next 9am run.
+
+// Must also be listed under triggers.crons in wrangler.jsonc
+export const SPIKE_CRON = '*/15 * * * *';
+export const BASELINE_DAYS = 7;
+// A source or theme that already alerted stays quiet this long, so an ongoing spike alerts once
+export const COOLDOWN_HOURS = 6;
+
+/**
+ * Thresholds, each overridable with the env var in parentheses:
+ *   window_minutes  length of the recent window checked on every run (SPIKE_WINDOW_MINUTES)
+ *   min_count       fewest items in the window for a group to count at all (SPIKE_MIN_COUNT)
+ *   volume_factor   window volume, as a multiple of the baseline rate, that counts as a spike (SPIKE_VOLUME_FACTOR)
+ *   negative_delta  rise in the frustrated share over the baseline, in points (SPIKE_NEGATIVE_DELTA)
+ *   min_baseline    fewest baseline items a group needs before it can spike (SPIKE_MIN_BASELINE)
+ *   max_classify    most unlabeled window items labeled per run, newest first (SPIKE_MAX_CLASSIFY)
+ */
+export const SPIKE_DEFAULTS = { window_minutes: 60, min_count: 5, volume_factor: 3, negative_delta: 30, min_baseline: 7, max_classify: 50 };
+
+const ENV_VARS = {
+	window_minutes: 'SPIKE_WINDOW_MINUTES',
+	min_count: 'SPIKE_MIN_COUNT',
+	volume_factor: 'SPIKE_VOLUME_FACTOR',
+	negative_delta: 'SPIKE_NEGATIVE_DELTA',
+	min_baseline: 'SPIKE_MIN_BASELINE',
+	max_classify: 'SPIKE_MAX_CLASSIFY',
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Invalid or non-positive overrides fall back to the defaults
+export function loadSpikeConfig(env) {
+	const config = {};
+	for (const [key, name] of Object.entries(ENV_VARS)) {
+		const value = Number(env[name]);
+		config[key] = env[name] && Number.isFinite(value) && value > 0 ? value : SPIKE_DEFAULTS[key];
+	}
+	return config;
+}
+
+function themeKey(theme) {
+	return theme ? String(theme).trim().toLowerCase() : null;
+}
+
+/**
+ * Rolls counts up per source, per theme label and for the whole product. `rows` carry
+ * { source, theme, total, labeled, frustrated }; returns a Map of 'dimension:key' to totals.
+ */
+export function tally(rows, productSlug) {
+	const groups = new Map();
+	const add = (dimension, key, row) => {
+		if (!key) {
+			return;
+		}
+		const id = `${dimension}:${key}`;
+		const group = groups.get(id) || { dimension, key, total: 0, labeled: 0, frustrated: 0 };
+		group.total += row.total;
+		group.labeled += row.labeled;
+		group.frustrated += row.frustrated;
+		groups.set(id, group);
+	};
+	for (const row of rows) {
+		add('product', productSlug, row);
+		add('source', row.source, row);
+		add('theme', themeKey(row.theme), row);
+	}
+	return groups;
+}
+
+/**
+ * Compares each recent group with its baseline. Groups with fewer than min_baseline baseline items are
+ * skipped: a new product, source or theme has no normal rate yet, so any burst would look like a spike.
+ * The expected count scales the baseline volume down to the window length. A group spikes on 'volume'
+ * when it has at least min_count items and volume_factor times the expected count (at least one), and
+ * on 'negative_share' when at least min_count of its items are labeled and the frustrated share rose by
+ * negative_delta points.
+ */
+export function findSpikes(recent, baseline, config) {
+	const scale = (config.window_minutes * MINUTE_MS) / (BASELINE_DAYS * DAY_MS);
+	const signals = [];
+	for (const [id, group] of recent) {
+		const base = baseline.get(id);
+		if (!base || base.total < config.min_baseline) {
+			continue;
+		}
+		const expected = base.total * scale;
+		const share = group.labeled > 0 ? (group.frustrated / group.labeled) * 100 : null;
+		const baseShare = base.labeled > 0 ? (base.frustrated / base.labeled) * 100 : 0;
+
+		const reasons = [];
+		if (group.total >= config.min_count && group.total >= config.volume_factor * Math.max(expected, 1)) {
+			reasons.push('volume');
+		}
+		if (group.labeled >= config.min_count && share - baseShare >= config.negative_delta) {
+			reasons.push('negative_share');
+		}
+		if (reasons.length > 0) {
+			signals.push({
+				dimension: group.dimension,
+				key: group.key,
+				reasons,
+				count: group.total,
+				expected: Math.round(expected * 10) / 10,
+				negative_share: share === null ? null : Math.round(share),
+				baseline_negative_share: Math.round(baseShare),
+			});
+		}
+	}
+	return signals;
+}
+
+// One line per signal for notifications, e.g. 'Source "status-page": 12 items (0.4 expected), 83% frustrated (baseline 12%)'
+export function describeSignal(signal) {
+	const name = { product: 'All feedback', source: `Source "${signal.key}"`, theme: `Theme "${signal.key}"` }[signal.dimension];
+	const frustrated = signal.negative_share === null ? '' : `, ${signal.negative_share}% frustrated (baseline ${signal.baseline_negative_share}%)`;
+	return `${name}: ${signal.count} items (${signal.expected} expected)${frustrated}`;
+}
+
+// Counts of a product's feedback in (from, to], grouped by source and the theme label stored on each item
+async function countFeedback(env, product, from, to) {
+	const { results } = await env.DB.prepare(
+		`SELECT source, LOWER(TRIM(theme)) AS theme, COUNT(*) AS total, COUNT(sentiment) AS labeled,
+			SUM(CASE WHEN sentiment = 'frustrated' THEN 1 ELSE 0 END) AS frustrated
+		 FROM feedback WHERE product_id = ? AND created_at > ? AND created_at <= ? GROUP BY source, LOWER(TRIM(theme))`
+	)
+		.bind(product.id, from, to)
+		.all();
+	return results;
+}
+
+/**
+ * Labels up to max_classify of the window's unlabeled items, newest first, the same way the digest
+ * would (which then reuses the labels). Digests run daily, so without this the window's items would
+ * have no sentiment or theme yet. Returns how many items were labeled.
+ */
+async function labelWindow(env, product, window, config) {
+	const { results } = await env.DB.prepare(
+		`SELECT id, content, source, created_at FROM feedback
+		 WHERE product_id = ? AND created_at > ? AND created_at <= ? AND classified_at IS NULL
+		 ORDER BY created_at DESC, id DESC LIMIT ?`
+	)
+		.bind(product.id, window.from, window.to, config.max_classify)
+		.all();
+	if (results.length === 0) {
+		return 0;
+	}
+	const run = { env, product, window, runStep: (name, fn) => fn() };
+	const { feedback } = await redactStage({ ...run, feedback: results });
+	const { classification } = await classifyStage({ ...run, feedback });
+	return classification.newly_labeled;
+}
+
+// 'dimension:key' of every signal the product alerted on since `since`
+async function recentlyAlerted(env, product, since) {
+	const { results } = await env.DB.prepare('SELECT signals FROM spike_alerts WHERE product_id = ? AND created_at > ?').bind(product.id, since).all();
+	return new Set(results.flatMap(row => JSON.parse(row.signals).map(s => `${s.dimension}:${s.key}`)));
+}
+
+/**
+ * Records the alert and starts a 'spike' DIGEST_WORKFLOW run over the window. The run's params carry
+ * the incident, so its notify step sends the digest as an incident alert and the digest is stored with
+ * spike_alert_id. A run that can't be started is recorded on the alert and on /runs.
+ */
+async function raiseIncident(env, product, window, signals, times) {
+	// Dated at detection time, which the cooldown is measured against
+	const alertId = await env.DB.prepare(
+		'INSERT INTO spike_alerts (product_id, window_start, window_end, signals, created_at) VALUES (?, ?, ?, ?, ?) RETURNING id'
+	)
+		.bind(product.id, window.from, window.to, JSON.stringify(signals), window.to)
+		.first('id');
+	const incident = { alert_id: alertId, window, signals };
+	try {
+		const { runId } = await startWorkflowRun(env, product, 'spike', { from: times.from, to: times.to, incident });
+		await env.DB.prepare('UPDATE spike_alerts SET run_id = ? WHERE id = ?').bind(runId, alertId).run();
+		return { product: product.slug, alert_id: alertId, run_id: runId, signals };
+	} catch (err) {
+		await env.DB.prepare('UPDATE spike_alerts SET error = ? WHERE id = ?').bind(err.message, alertId).run();
+		return { product: product.slug, alert_id: alertId, run_id: null, signals, error: err.message };
+	}
+}
+
+/**
+ * Checks one product's last window_minutes of feedback. Once the window holds min_count items, its
+ * unlabeled items are labeled (see labelWindow) so the frustrated share and theme groups cover new
+ * feedback; quieter windows never call the model. Returns the incident, or null when nothing crossed a
+ * threshold outside its cooldown.
+ */
+export async function detectProductSpikes(env, product, now = Date.now(), config = loadSpikeConfig(env)) {
+	const start = now - config.window_minutes * MINUTE_MS;
+	const times = { from: new Date(start).toISOString(), to: new Date(now).toISOString() };
+	const window = { from: toSqliteDate(times.from), to: toSqliteDate(times.to) };
+	let recent = tally(await countFeedback(env, product, window.from, window.to), product.slug);
+	const total = recent.get(`product:${product.slug}`);
+	if (!total || total.total < config.min_count) {
+		return null;
+	}
+	if (total.labeled < total.total && (await labelWindow(env, product, window, config)) > 0) {
+		recent = tally(await countFeedback(env, product, window.from, window.to), product.slug);
+	}
+	const baseline = tally(await countFeedback(env, product, toSqliteDate(start - BASELINE_DAYS * DAY_MS), window.from), product.slug);
+
+	const alerted = await recentlyAlerted(env, product, toSqliteDate(now - COOLDOWN_HOURS * 60 * MINUTE_MS));
+	const signals = findSpikes(recent, baseline, config).filter(s => !alerted.has(`${s.dimension}:${s.key}`));
+	return signals.length > 0 ? raiseIncident(env, product, window, signals, times) : null;
+}
+
+// Runs on SPIKE_CRON: checks every product; one product's failure doesn't stop the others
+export async function detectSpikes(env, now = Date.now()) {
+	const config = loadSpikeConfig(env);
+	const incidents = [];
+	for (const product of await listProducts(env)) {
+		try {
+			const incident = await detectProductSpikes(env, product, now, config);
+			if (incident) {
+				incidents.push(incident);
+			}
+		} catch (err) {
+			console.error(`[SPIKES] ${product.slug} detection failed:`, err.message);
+		}
+	}
+	return incidents;
+}
@@ -0,0 +1,313 @@
+import { chunkFeedback } from './digest.js';
+import { html, htmlWrapper } from './html.js';
+import { htmlResponse, jsonResponse } from './http.js';
+import { DEFAULT_PRODUCT_ID, productFromUrl } from './products.js';
+
+// Theme registry: feedback is embedded and matched to persistent themes so a topic keeps its id across digests
+
+export const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+// Cosine similarity an item needs to join an existing theme
+export const THEME_SIMILARITY_THRESHOLD = 0.8;
+
+const MAX_EMBED_CHARS = 2000;
+const HISTORY_LIMIT = 60;
+
+export async function embedTexts(env, texts) {
+	const { data } = await env.AI.run(EMBEDDING_MODEL, { text: texts.map(t => t.slice(0, MAX_EMBED_CHARS)) });
+	return data;
+}
+
+export function cosineSimilarity(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Each product's registry is small (one row per topic), so matching loads it whole
+async function loadThemes(env, productId) {
+	const { results } = await env.DB.prepare('SELECT id, name, embedding, feedback_count FROM themes WHERE product_id = ?').bind(productId).all();
+	return results.map(t => ({ ...t, embedding: JSON.parse(t.embedding) }));
+}
+
+function addToCentroid(theme, vector) {
+	const n = theme.feedback_count;
+	theme.embedding = theme.embedding.map((value, i) => (value * n + vector[i]) / (n + 1));
+	theme.feedback_count = n + 1;
+	theme.changed = true;
+}
+
+/**
+ * Assigns each item to the most similar theme at or above `threshold`. Items below it join a theme
+ * with the same name as their classification label, or start a new theme named after that label;
+ * unlabeled items that match nothing stay unassigned. Matched themes' centroids move towards the item.
+ * New themes are returned without an id.
+ */
+export function matchThemes(themes, items, vectors, threshold = THEME_SIMILARITY_THRESHOLD) {
+	const assignments = [];
+	items.forEach((item, i) => {
+		const vector = vectors[i];
+		let best = null;
+		let bestScore = -Infinity;
+		for (const theme of themes) {
+			const score = cosineSimilarity(theme.embedding, vector);
+			if (score > bestScore) {
+				best = theme;
+				bestScore = score;
+			}
+		}
+
+		let theme = bestScore >= threshold ? best : null;
+		if (!theme && item.theme) {
+			const name = item.theme.trim();
+			theme = themes.find(t => t.name.toLowerCase() === name.toLowerCase());
+			if (!theme) {
+				theme = { id: null, name, embedding: vector, feedback_count: 0 };
+				themes.push(theme);
+			}
+		}
+		if (theme) {
+			addToCentroid(theme, vector);
+			assignments.push({ item, theme });
+		}
+	});
+	return assignments;
+}
+
+function serializeEmbedding(vector) {
+	return JSON.stringify(vector.map(v => Math.round(v * 1e6) / 1e6));
+}
+
+// Items of the chunk that already have a theme, e.g. stored by an earlier attempt of the same step
+async function loadAssignments(env, ids) {
+	const { results } = await env.DB.prepare(
+		`SELECT f.id, f.theme_id, t.name AS theme_name FROM feedback f JOIN themes t ON t.id = f.theme_id
+		 WHERE f.id IN (SELECT value FROM json_each(?))`
+	)
+		.bind(JSON.stringify(ids))
+		.all();
+	return results;
+}
+
+/**
+ * Embeds one chunk, matches it against the product's registry and stores new themes, centroids and
+ * feedback.theme_id. Runs inside a retryable step, so it is idempotent: every write goes into one batch
+ * (a failed attempt leaves nothing behind) and items a committed attempt already assigned are returned
+ * as they are instead of being counted into their centroid again.
+ */
+export async function clusterChunk(env, chunk, productId = DEFAULT_PRODUCT_ID) {
+	const existing = await loadAssignments(env, chunk.map(f => f.id));
+	const done = new Set(existing.map(a => a.id));
+	const pending = chunk.filter(f => !done.has(f.id));
+	if (pending.length === 0) {
+		return { assignments: existing, created: 0 };
+	}
+
+	const [themes, vectors] = await Promise.all([loadThemes(env, productId), embedTexts(env, pending.map(f => f.content))]);
+	const assignments = matchThemes(themes, pending, vectors);
+	const created = themes.filter(t => t.id === null);
+
+	// New themes have no id until their INSERT runs, so their items look the theme up by name in the same batch
+	const assignStatement = ({ item, theme }) =>
+		theme.id === null
+			? env.DB.prepare('UPDATE feedback SET theme_id = (SELECT MAX(id) FROM themes WHERE product_id = ? AND name = ?) WHERE id = ?').bind(
+					productId,
+					theme.name,
+					item.id
+				)
+			: env.DB.prepare('UPDATE feedback SET theme_id = ? WHERE id = ?').bind(theme.id, item.id);
+	const statements = [
+		...created.map(t =>
+			env.DB.prepare('INSERT INTO themes (name, embedding, feedback_count, product_id) VALUES (?, ?, ?, ?) RETURNING id').bind(
+				t.name,
+				serializeEmbedding(t.embedding),
+				t.feedback_count,
+				productId
+			)
+		),
+		...themes
+			.filter(t => t.changed && t.id !== null)
+			.map(t =>
+				env.DB.prepare("UPDATE themes SET embedding = ?, feedback_count = ?, updated_at = datetime('now') WHERE id = ?").bind(
+					serializeEmbedding(t.embedding),
+					t.feedback_count,
+					t.id
+				)
+			),
+		...assignments.map(assignStatement),
+	];
+	if (statements.length > 0) {
+		const results = await env.DB.batch(statements);
+		created.forEach((t, i) => {
+			t.id = results[i].results[0].id;
+		});
+	}
+
+	return {
+		assignments: [...existing, ...assignments.map(({ item, theme }) => ({ id: item.id, theme_id: theme.id, theme_name: theme.name }))],
+		created: created.length,
+	};
+}
+
+/**
+ * Pipeline stage: assigns every item in the window without a theme_id to a registry theme. A chunk
+ * whose embedding call keeps failing is counted and skipped; its items fall back to their labels.
+ */
+export async function clusterStage({ env, product, feedback, runStep }) {
+	const unassigned = feedback.filter(f => !f.theme_id);
+	const results = [];
+	let failedChunks = 0;
+	for (const [i, chunk] of chunkFeedback(unassigned).entries()) {
+		try {
+			results.push(await runStep(`cluster-chunk-${i + 1}`, () => clusterChunk(env, chunk, product?.id)));
+		} catch (err) {
+			console.error(`[THEMES] cluster-chunk-${i + 1} failed:`, err.message);
+			failedChunks++;
+		}
+	}
+
+	const byId = new Map(results.flatMap(r => r.assignments).map(a => [a.id, a]));
+	const clustered = feedback.map(f => (byId.has(f.id) ? { ...f, ...byId.get(f.id) } : f));
+
+	return {
+		feedback: clustered,
+		clustering: {
+			assigned: clustered.filter(f => f.theme_id).length,
+			new_themes: results.reduce((sum, r) => sum + r.created, 0),
+			failed_chunks: failedChunks,
+		},
+	};
+}
+
+// Records how many items of each registry theme a digest covered
+export async function saveThemeMentions(env, digestId, feedback) {
+	const counts = new Map();
+	for (const f of feedback) {
+		if (f.theme_id) {
+			counts.set(f.theme_id, (counts.get(f.theme_id) || 0) + 1);
+		}
+	}
+	if (counts.size === 0) {
+		return;
+	}
+	await env.DB.batch(
+		[...counts].map(([themeId, mentions]) =>
+			env.DB.prepare('INSERT INTO theme_mentions (theme_id, digest_id, mentions) VALUES (?, ?, ?) ON CONFLICT DO NOTHING').bind(
+				themeId,
+				digestId,
+				mentions
+			)
+		)
+	);
+}
+
+export async function listThemes(env, product = null) {
+	const { results } = await env.DB.prepare(
+		`SELECT t.id, p.slug AS product, t.name, t.feedback_count, t.created_at, t.updated_at,
+			COUNT(m.digest_id) AS digests, MAX(m.created_at) AS last_seen
+		 FROM themes t LEFT JOIN theme_mentions m ON m.theme_id = t.id LEFT JOIN products p ON p.id = t.product_id
+		 ${product ? 'WHERE t.product_id = ?' : ''}
+		 GROUP BY t.id ORDER BY t.feedback_count DESC, t.id`
+	)
+		.bind(...(product ? [product.id] : []))
+		.all();
+	return results.map(t => ({ ...t, url: `/themes/${t.id}` }));
+}
+
+// A theme with its mentions per digest, oldest first
+export async function getThemeHistory(env, id) {
+	const theme = await env.DB.prepare('SELECT id, name, feedback_count, created_at, updated_at FROM themes WHERE id = ?').bind(id).first();
+	if (!theme) {
+		return null;
+	}
+	const { results } = await env.DB.prepare(
+		`SELECT * FROM (
+			SELECT m.digest_id, m.mentions, d.created_at, json_extract(d.summary, '$.metadata.date') AS date
+			FROM theme_mentions m JOIN daily_digests d ON d.id = m.digest_id
+			WHERE m.theme_id = ? ORDER BY d.created_at DESC, d.id DESC LIMIT ?
+		 ) ORDER BY created_at ASC, digest_id ASC`
+	)
+		.bind(id, HISTORY_LIMIT)
+		.all();
+	return { ...theme, history: results };
+}
+
+// GET /themes and /api/themes (`?product=` to scope to one product)
+export async function handleThemeList(env, url, { json }) {
+	const themes = await listThemes(env, await productFromUrl(env, url));
+	if (json) {
+		return jsonResponse({ themes });
+	}
+
+	const rows = themes.length
+		? themes.map(
+				t => html`
+      <li class="digest-row">
+        <div>
+          <a href="${t.url}">${t.name}</a>
+          <div class="theme-meta">${t.product} · ${t.feedback_count} items · ${t.digests} digests${t.last_seen ? ` · last seen ${t.last_seen}` : ''}</div>
+        </div>
+      </li>`
+			)
+		: html`<li style="color: #666;">No themes yet. Themes are created as digests run.</li>`;
+
+	const content = html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>Themes</h1>
+    <p class="subtitle">${themes.length} themes · <a href="/api/themes">JSON</a></p>
+    <div class="section">
+      <ul class="list">${rows}</ul>
+    </div>
+  `;
+	return htmlResponse(htmlWrapper('Themes', content));
+}
+
+// GET /themes/:id and /api/themes/:id
+export async function handleThemeDetail(env, id, { json }) {
+	const theme = await getThemeHistory(env, id);
+	if (!theme) {
+		return json
+			? jsonResponse({ error: 'Theme not found' }, 404)
+			: htmlResponse(
+					htmlWrapper(
+						'Theme Not Found',
+						html`<div class="back-link"><a href="/themes">← All themes</a></div>
+    <h1>Theme Not Found</h1>
+    <div class="section"><p class="error">There is no theme #${id}.</p></div>`
+					),
+					404
+				);
+	}
+	if (json) {
+		return jsonResponse(theme);
+	}
+
+	const max = Math.max(1, ...theme.history.map(h => h.mentions));
+	const rows = theme.history.length
+		? theme.history.map(
+				h => html`
+      <li class="digest-row">
+        <a href="/digests/${h.digest_id}">${h.date || h.created_at}</a>
+        <div class="theme-meta">${h.mentions} mentions</div>
+        <div class="sentiment-bar mini"><div class="sentiment-neutral" style="width: ${Math.round((h.mentions / max) * 100)}%"></div></div>
+      </li>`
+			)
+		: html`<li style="color: #666;">Not mentioned in any digest yet.</li>`;
+
+	const content = html`
+    <div class="back-link"><a href="/themes">← All themes</a></div>
+    <h1>${theme.name}</h1>
+    <p class="subtitle">Theme #${theme.id} · ${theme.feedback_count} items since ${theme.created_at} · <a href="/api/themes/${theme.id}">JSON</a></p>
+    <div class="section">
+      <div class="section-title">📈 Mentions per digest</div>
+      <ul class="list">${rows}</ul>
+    </div>
+  `;
+	return htmlResponse(htmlWrapper(theme.name, content));
+}
@@ -0,0 +1,213 @@
+import { fromSqliteDate, toSqliteDate } from './dates.js';
+import { FALLBACK_THEME } from './digest.js';
+import { html, htmlWrapper } from './html.js';
+import { htmlResponse, jsonResponse } from './http.js';
+import { getProduct, productSummary } from './products.js';
+
+export const SENTIMENT_KEYS = ['frustrated', 'neutral', 'positive'];
+export const ROLLING_DAYS = 7;
+
+// Net sentiment (positive − frustrated) must move this many points for the trend to count as up/down
+export const TREND_THRESHOLD = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CHART_DAYS = 30;
+const MAX_CHART_DAYS = 365;
+
+// Digests whose analysis failed entirely carry a placeholder 100% neutral split, and spike digests cover
+// an unrepresentative hour; keep both out of trends
+const SENTIMENT_HISTORY_SQL = `SELECT id, created_at,
+		json_extract(summary, '$.metadata.date') AS date,
+		json_extract(summary, '$.sentiment.frustrated') AS frustrated,
+		json_extract(summary, '$.sentiment.neutral') AS neutral,
+		json_extract(summary, '$.sentiment.positive') AS positive
+	 FROM daily_digests
+	 WHERE COALESCE(json_extract(summary, '$.top_themes[0].theme'), '') != '${FALLBACK_THEME}' AND spike_alert_id IS NULL`;
+
+function toPoint(row) {
+	return {
+		id: row.id,
+		created_at: row.created_at,
+		date: row.date,
+		sentiment: { frustrated: row.frustrated || 0, neutral: row.neutral || 0, positive: row.positive || 0 },
+	};
+}
+
+function productFilter(product) {
+	return product ? { sql: ' AND product_id = ?', binds: [product.id] } : { sql: '', binds: [] };
+}
+
+// Digests created at or after `since`, oldest first; only the product's when one is given
+export async function loadSentimentHistory(env, since, product = null) {
+	const filter = productFilter(product);
+	const { results } = await env.DB.prepare(`${SENTIMENT_HISTORY_SQL}${filter.sql} AND created_at >= ? ORDER BY created_at ASC, id ASC`)
+		.bind(...filter.binds, since)
+		.all();
+	return results.map(toPoint);
+}
+
+async function loadLatestSentiment(env, product) {
+	const filter = productFilter(product);
+	const row = await env.DB.prepare(`${SENTIMENT_HISTORY_SQL}${filter.sql} ORDER BY created_at DESC, id DESC LIMIT 1`)
+		.bind(...filter.binds)
+		.first();
+	return row ? toPoint(row) : null;
+}
+
+function average(points) {
+	const result = {};
+	for (const key of SENTIMENT_KEYS) {
+		result[key] = Math.round(points.reduce((sum, p) => sum + p.sentiment[key], 0) / points.length);
+	}
+	return result;
+}
+
+/**
+ * Compares a sentiment split against earlier digests (oldest first).
+ * `delta` is the change in points against the most recent earlier digest, `rolling_7d` averages
+ * every digest in the ROLLING_DAYS before `at` together with this one, and `direction` says
+ * whether net sentiment went up, down or stayed within TREND_THRESHOLD.
+ */
+export function computeSentimentTrend(sentiment, earlier, at) {
+	const previous = earlier.at(-1) || null;
+	const since = at - ROLLING_DAYS * DAY_MS;
+	const recent = earlier.filter(p => fromSqliteDate(p.created_at).getTime() >= since);
+	const current = { sentiment };
+
+	let delta = null;
+	let direction = 'stable';
+	if (previous) {
+		delta = {};
+		for (const key of SENTIMENT_KEYS) {
+			delta[key] = sentiment[key] - previous.sentiment[key];
+		}
+		const net = delta.positive - delta.frustrated;
+		direction = net >= TREND_THRESHOLD ? 'up' : net <= -TREND_THRESHOLD ? 'down' : 'stable';
+	}
+
+	return {
+		direction,
+		previous_digest_id: previous?.id ?? null,
+		delta,
+		rolling_7d: { ...average([...recent, current]), digests: recent.length + 1 },
+	};
+}
+
+// Trend for a digest about to be stored, against the product's digests already in daily_digests
+export async function computeTrendForNewDigest(env, sentiment, now = Date.now(), product = null) {
+	const [recent, latest] = await Promise.all([
+		loadSentimentHistory(env, toSqliteDate(now - ROLLING_DAYS * DAY_MS), product),
+		loadLatestSentiment(env, product),
+	]);
+	const earlier = recent.length > 0 ? recent : [latest].filter(Boolean);
+	return computeSentimentTrend(sentiment, earlier, now);
+}
+
+function signed(n) {
+	return n > 0 ? `+${n}` : `${n}`;
+}
+
+const DIRECTION_LABELS = { up: '↑ Improving', down: '↓ Worsening', stable: '→ Stable' };
+
+// One-line plain-text summaries shared by the HTML page and notifications
+export function describeTrend(trend) {
+	if (!trend) {
+		return [];
+	}
+	const lines = [];
+	if (trend.delta) {
+		lines.push(
+			`${DIRECTION_LABELS[trend.direction]} vs previous digest: 😠 ${signed(trend.delta.frustrated)} · 😐 ${signed(trend.delta.neutral)} · 😊 ${signed(trend.delta.positive)} pts`
+		);
+	} else {
+		lines.push('No previous digest to compare against');
+	}
+	const avg = trend.rolling_7d;
+	lines.push(`${ROLLING_DAYS}-day average (${avg.digests} digests): 😠 ${avg.frustrated}% · 😐 ${avg.neutral}% · 😊 ${avg.positive}%`);
+	return lines;
+}
+
+// Each point with the rolling average of itself and the digests in the ROLLING_DAYS before it
+export function withRollingAverages(points) {
+	return points.map((point, i) => {
+		const at = fromSqliteDate(point.created_at).getTime();
+		const window = points.slice(0, i + 1).filter(p => fromSqliteDate(p.created_at).getTime() >= at - ROLLING_DAYS * DAY_MS);
+		return { ...point, rolling_7d: average(window) };
+	});
+}
+
+const CHART = { width: 760, height: 260, left: 40, right: 16, top: 16, bottom: 32 };
+const COLORS = { frustrated: '#ef4444', neutral: '#888', positive: '#22c55e' };
+
+export function renderTrendChart(points) {
+	const plotWidth = CHART.width - CHART.left - CHART.right;
+	const plotHeight = CHART.height - CHART.top - CHART.bottom;
+	const x = i => CHART.left + (points.length === 1 ? plotWidth / 2 : (i / (points.length - 1)) * plotWidth);
+	const y = pct => CHART.top + plotHeight - (pct / 100) * plotHeight;
+
+	const grid = [0, 25, 50, 75, 100].map(
+		pct => html`<line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(pct)}" y2="${y(pct)}" stroke="#222" />
+      <text x="${CHART.left - 8}" y="${y(pct) + 4}" fill="#666" font-size="11" text-anchor="end">${pct}%</text>`
+	);
+
+	const series = SENTIMENT_KEYS.map(key => {
+		const coords = points.map((p, i) => `${x(i).toFixed(1)},${y(p.sentiment[key]).toFixed(1)}`).join(' ');
+		const dots = points.map(
+			(p, i) =>
+				html`<circle cx="${x(i).toFixed(1)}" cy="${y(p.sentiment[key]).toFixed(1)}" r="3" fill="${COLORS[key]}"><title>${p.date || p.created_at}: ${key} ${p.sentiment[key]}%</title></circle>`
+		);
+		return html`<polyline class="trend-${key}" fill="none" stroke="${COLORS[key]}" stroke-width="2" points="${coords}" />${dots}`;
+	});
+
+	const labels = [0, points.length - 1]
+		.filter((i, n, all) => all.indexOf(i) === n)
+		.map(
+			i =>
+				html`<text x="${x(i)}" y="${CHART.height - 8}" fill="#666" font-size="11" text-anchor="${i === 0 && points.length > 1 ? 'start' : 'end'}">${points[i].date || points[i].created_at}</text>`
+		);
+
+	return html`<svg viewBox="0 0 ${CHART.width} ${CHART.height}" width="100%" role="img" aria-label="Sentiment over time">${grid}${series}${labels}</svg>`;
+}
+
+function parseDays(url) {
+	const days = Number.parseInt(url.searchParams.get('days'), 10);
+	return Number.isInteger(days) && days > 0 ? Math.min(days, MAX_CHART_DAYS) : DEFAULT_CHART_DAYS;
+}
+
+// GET /trends and /api/trends for `?product=`, or the default product: one series mixing every
+// product's digests would jump between unrelated splits
+export async function handleTrends(env, url, { json }) {
+	const days = parseDays(url);
+	const product = await getProduct(env, url.searchParams.get('product'));
+	const points = withRollingAverages(await loadSentimentHistory(env, toSqliteDate(Date.now() - days * DAY_MS), product));
+	const productParam = `&product=${encodeURIComponent(product.slug)}`;
+
+	if (json) {
+		return jsonResponse({ days, product: productSummary(product), points });
+	}
+
+	const latest = points.at(-1);
+	const body =
+		points.length === 0
+			? html`<p style="color: #666;">No digests in this period yet.</p>`
+			: html`${renderTrendChart(points)}
+      <div class="sentiment-labels" style="margin-top: 1rem;">
+        <span>😠 Frustrated ${latest.sentiment.frustrated}% (${ROLLING_DAYS}-day avg ${latest.rolling_7d.frustrated}%)</span>
+        <span>😐 Neutral ${latest.sentiment.neutral}% (${latest.rolling_7d.neutral}%)</span>
+        <span>😊 Positive ${latest.sentiment.positive}% (${latest.rolling_7d.positive}%)</span>
+      </div>`;
+
+	const content = html`
+    <div class="back-link"><a href="/">← Back to home</a></div>
+    <h1>${product.emoji} ${product.name} Sentiment Trends</h1>
+    <p class="subtitle">Last ${days} days · ${points.length} digests · <a href="/api/trends?days=${days}${productParam}">JSON</a></p>
+    <p style="color: #666; font-size: 0.9rem; margin: 1rem 0 1.5rem;">
+      ${[7, 30, 90].map((d, i) => html`${i > 0 ? ' · ' : ''}${d === days ? html`<strong>${d} days</strong>` : html`<a href="/trends?days=${d}${productParam}">${d} days</a>`}`)}
+    </p>
+    <div class="section">
+      <div class="section-title">📈 Frustrated / Neutral / Positive</div>
+      ${body}
+    </div>
+  `;
+	return htmlResponse(htmlWrapper('Sentiment Trends', content));
+}
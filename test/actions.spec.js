@@ -0,0 +1,165 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { extractSuggestions, findDuplicate, summarizeActionItems, validateTriage } from '../src/actions.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { getProduct } from '../src/products.js';
+import { asAdmin, asViewer, pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+const label = () => ({ sentiment: 'frustrated', theme: 'Read replicas', feature_request: true });
+
+function actionsDigest(docs, signals) {
+	return sampleDigest({
+		top_themes: [{ theme: 'Read replicas', mentions: 2, quotes: [], impact: 'High', confidence: 'Medium' }],
+		feature_signals: signals,
+		pm_actions: { docs_ux: docs, validation: ['Interview teams running read replicas'], tracking: [] },
+	});
+}
+
+async function runFor(day, digest) {
+	const ids = await seedFeedback(env, [
+		{ content: `actions: replica reads are stale ${day}`, created_at: `2050-01-0${day} 08:00:00` },
+		{ content: `actions: need read-your-writes on replicas ${day}`, created_at: `2050-01-0${day} 09:00:00` },
+	]);
+	await env.DB.prepare("UPDATE feedback SET product_id = (SELECT id FROM products WHERE slug = 'actions') WHERE id IN (SELECT value FROM json_each(?))")
+		.bind(JSON.stringify(ids))
+		.run();
+	const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+	const result = await runDigestPipeline(
+		{ ...env, AI: pipelineAI(digest, label) },
+		{ product: 'actions', from: `2050-01-0${day}T00:00:00Z`, to: `2050-01-0${day + 1}T00:00:00Z` }
+	);
+	log.mockRestore();
+	return result;
+}
+
+function request(path, { method = 'GET', headers = asViewer, body } = {}) {
+	return SELF.fetch(`http://example.com${path}`, { method, headers, body, redirect: 'manual' });
+}
+
+function patch(id, body, headers = asAdmin) {
+	return request(`/api/actions/${id}`, { method: 'PATCH', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+describe('extractSuggestions', () => {
+	it('lists every action and feature signal with its normalized key and theme', () => {
+		const digest = sampleDigest({
+			top_themes: [{ theme: 'Read replicas', theme_id: 7 }],
+			feature_signals: ['  Read-your-writes for read replicas '],
+			pm_actions: { docs_ux: ['Document the migrations flag'], validation: [], tracking: [''] },
+		});
+		expect(extractSuggestions(digest).map(({ words, ...s }) => s)).toEqual([
+			{ kind: 'docs_ux', text: 'Document the migrations flag', key: 'document the migrations flag', theme_id: null },
+			{ kind: 'feature_signal', text: 'Read-your-writes for read replicas', key: 'read your writes for read replicas', theme_id: 7 },
+		]);
+	});
+
+	it('has nothing to offer when every chunk failed', () => {
+		const digest = sampleDigest({ pm_actions: { docs_ux: ['Review raw feedback manually'] }, metadata: { chunks: 2, failed_chunks: 2 } });
+		expect(extractSuggestions(digest)).toEqual([]);
+	});
+});
+
+describe('findDuplicate', () => {
+	const items = [
+		{ id: 1, kind: 'docs_ux', text_key: 'document how to enable read replicas' },
+		{ id: 2, kind: 'tracking', text_key: 'document how to enable read replicas in wrangler' },
+	];
+	const [suggestion] = extractSuggestions(sampleDigest({ pm_actions: { docs_ux: ['Document how to enable the read replicas'] } }));
+
+	it('folds rewordings of the same kind into one item', () => {
+		expect(findDuplicate(items, suggestion)?.id).toBe(1);
+		expect(findDuplicate(items, { ...suggestion, kind: 'validation' })).toBeNull();
+	});
+
+	it('keeps different suggestions apart', () => {
+		const [other] = extractSuggestions(sampleDigest({ pm_actions: { docs_ux: ['Document read replica pricing'] } }));
+		expect(findDuplicate(items, other)).toBeNull();
+	});
+});
+
+describe('validateTriage', () => {
+	it('accepts a status and owner and rejects anything else', () => {
+		expect(validateTriage({ status: 'accepted', owner: ' Sam ' }).value).toEqual({ status: 'accepted', owner: 'Sam' });
+		expect(validateTriage({ owner: '' }).value).toEqual({ owner: null });
+		expect(validateTriage({ status: 'later' }).errors).toEqual(['status must be one of open, accepted, done, dismissed']);
+		expect(validateTriage({}).errors).toEqual(['Nothing to update: send status and/or owner']);
+	});
+});
+
+describe('action items', () => {
+	let product;
+	let items;
+	const byKind = kind => items.find(item => item.kind === kind);
+
+	beforeAll(async () => {
+		await env.DB.prepare("INSERT OR IGNORE INTO products (slug, name, schedule) VALUES ('actions', 'Actions', NULL)").run();
+		product = await getProduct(env, 'actions');
+		await runFor(1, actionsDigest(['Document read replica lag'], ['Read-your-writes for replicas']));
+		items = (await (await request('/api/actions?product=actions')).json()).items;
+	});
+
+	it('stores each digest suggestion as an open item linked to its digest and theme', () => {
+		expect(items.map(i => [i.kind, i.text, i.status, i.mentions, i.theme])).toEqual([
+			['feature_signal', 'Read-your-writes for replicas', 'open', 1, 'Read replicas'],
+			['validation', 'Interview teams running read replicas', 'open', 1, 'Read replicas'],
+			['docs_ux', 'Document read replica lag', 'open', 1, 'Read replicas'],
+		]);
+	});
+
+	it('lets admins triage over JSON and viewers only read', async () => {
+		const [docs, validation] = [byKind('docs_ux'), byKind('validation')];
+		expect((await patch(docs.id, { status: 'accepted' }, asViewer)).status).toBe(403);
+		expect((await patch(docs.id, { status: 'later' })).status).toBe(400);
+		expect((await patch(999999, { status: 'done' })).status).toBe(404);
+
+		const response = await patch(docs.id, { status: 'accepted', owner: 'docs team' });
+		expect(response.status).toBe(200);
+		const accepted = await response.json();
+		expect(accepted).toMatchObject({ status: 'accepted', owner: 'docs team' });
+		expect(accepted.status_changed_at).not.toBeNull();
+
+		expect(await (await patch(validation.id, { status: 'dismissed' })).json()).toMatchObject({ status: 'dismissed', owner: null });
+		expect(await summarizeActionItems(env, product)).toEqual({ open: 1, accepted: 1, done: 0, dismissed: 1, acted_on: 1, acted_on_rate: 0.5 });
+	});
+
+	it('folds repeat suggestions into the existing items, keeping their triage', async () => {
+		await runFor(3, actionsDigest(['Document the read replica lag'], ['Read-your-writes for replicas', 'Replica region pinning']));
+		const { items: after, summary } = await (await request('/api/actions?product=actions')).json();
+
+		expect(after.map(i => [i.text, i.status, i.mentions])).toEqual([
+			['Read-your-writes for replicas', 'open', 2],
+			['Interview teams running read replicas', 'dismissed', 2],
+			['Document read replica lag', 'accepted', 2],
+			['Replica region pinning', 'open', 1],
+		]);
+		expect(after[2].last_digest_id).toBeGreaterThan(after[2].first_digest_id);
+		expect(summary).toMatchObject({ open: 2, acted_on: 1 });
+	});
+
+	it('shows the board with triage forms for admins only', async () => {
+		const viewer = await (await request('/actions?product=actions&status=open')).text();
+		expect(viewer).toContain('Replica region pinning');
+		expect(viewer).not.toContain('Document read replica lag');
+		expect(viewer).not.toContain('<form');
+
+		const admin = await (await request('/actions?product=actions&status=open', { headers: asAdmin })).text();
+		expect(admin).toContain(`action="/actions/${byKind('feature_signal').id}"`);
+		expect(admin).toContain('value="?product=actions&amp;status=open"');
+	});
+
+	it('saves board forms and returns to the same filters', async () => {
+		const response = await request(`/actions/${byKind('feature_signal').id}`, {
+			method: 'POST',
+			headers: { ...asAdmin, 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: new URLSearchParams({ status: 'done', owner: '', back: '?product=actions&status=open' }).toString(),
+		});
+		expect(response.status).toBe(303);
+		expect(response.headers.get('Location')).toBe('/actions?product=actions&status=open');
+		expect(await summarizeActionItems(env, product)).toMatchObject({ open: 1, done: 1, acted_on: 2 });
+	});
+
+	it('rejects unknown filters', async () => {
+		expect((await request('/api/actions?status=later')).status).toBe(400);
+		expect((await request('/api/actions?product=nope')).status).toBe(404);
+	});
+});
@@ -0,0 +1,95 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { DEFAULT_MODEL, ModelConfigError, loadModelConfig } from '../src/ai.js';
+import { classifyChunk } from '../src/classify.js';
+import { analyzeChunk } from '../src/digest.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { pipelineAI, sampleDigest, seedFeedback, stubAI } from './helpers.js';
+
+const LLM = 'http://llm.test';
+const chunk = [{ id: 1, content: 'Backups are manual', source: 'support' }];
+const validDigest = sampleDigest({ sentiment: { frustrated: 3, neutral: 1, positive: 0 } });
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+describe('loadModelConfig', () => {
+	it('defaults to Llama 3 on Workers AI with the v1 prompts', () => {
+		expect(loadModelConfig({})).toEqual({ provider: 'workers-ai', model: DEFAULT_MODEL, params: { max_tokens: 1500 }, prompt_version: 'v1' });
+	});
+
+	it('merges AI_PARAMS over the defaults', () => {
+		const config = loadModelConfig({ AI_MODEL: '@cf/meta/llama-3.1-8b-instruct', AI_PARAMS: '{"temperature": 0.2, "max_tokens": 800}' });
+		expect(config).toMatchObject({ model: '@cf/meta/llama-3.1-8b-instruct', params: { max_tokens: 800, temperature: 0.2 } });
+	});
+
+	it('rejects configurations that would run something other than what was asked', () => {
+		for (const bad of [
+			{ AI_PROVIDER: 'bedrock' },
+			{ AI_PROVIDER: 'openai', AI_MODEL: 'gpt-4o-mini' },
+			{ AI_PROVIDER: 'openai', OPENAI_BASE_URL: LLM },
+			{ AI_PARAMS: 'temperature=0.2' },
+			{ AI_PARAMS: '[1]' },
+			{ PROMPT_VERSION: 'v99' },
+		]) {
+			expect(() => loadModelConfig(bad), JSON.stringify(bad)).toThrow(ModelConfigError);
+		}
+	});
+});
+
+describe('Workers AI provider', () => {
+	it('sends the configured model and parameters', async () => {
+		const ai = stubAI(() => validDigest);
+		await analyzeChunk({ AI: ai, AI_MODEL: '@cf/custom/model', AI_PARAMS: '{"temperature": 0}' }, chunk);
+		expect(ai.calls[0].model).toBe('@cf/custom/model');
+		expect(ai.calls[0].options).toMatchObject({ max_tokens: 1500, temperature: 0 });
+	});
+});
+
+describe('OpenAI-compatible provider', () => {
+	const openai = { AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${LLM}/v1/`, OPENAI_API_KEY: 'sk-test', AI_MODEL: 'local-stub' };
+
+	it('posts chat completions and reads the first choice', async () => {
+		let request;
+		fetchMock
+			.get(LLM)
+			.intercept({ path: '/v1/chat/completions', method: 'POST' })
+			.reply(200, opts => {
+				request = { headers: opts.headers, body: JSON.parse(opts.body) };
+				const labels = { items: [{ index: 1, sentiment: 'frustrated', theme: 'Backups', feature_request: false }] };
+				return { choices: [{ message: { role: 'assistant', content: JSON.stringify(labels) } }] };
+			});
+
+		const { labels } = await classifyChunk({ ...openai, AI_PARAMS: '{"temperature": 0}' }, chunk);
+
+		expect(labels).toEqual([{ id: 1, sentiment: 'frustrated', theme: 'Backups', is_feature_request: 0 }]);
+		expect(request.body).toMatchObject({ model: 'local-stub', max_tokens: 1500, temperature: 0 });
+		expect(request.body.messages[0].content).toContain('1. [support] Backups are manual');
+		expect(request.headers.authorization).toBe('Bearer sk-test');
+	});
+
+	it('throws on an error response so the step is retried', async () => {
+		fetchMock.get(LLM).intercept({ path: '/v1/chat/completions', method: 'POST' }).reply(503, 'overloaded');
+		await expect(analyzeChunk(openai, chunk)).rejects.toThrow('Model provider returned 503: overloaded');
+	});
+});
+
+describe('prompt and model tracking', () => {
+	it('stores the prompt version and model on the digest row', async () => {
+		await seedFeedback(env, [{ content: 'ai: backups are manual', created_at: '2047-01-01 09:00:00' }]);
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const result = await runDigestPipeline(
+			{ ...env, AI: pipelineAI(validDigest), AI_MODEL: '@cf/custom/model' },
+			{ from: '2047-01-01T00:00:00Z', to: '2047-01-02T00:00:00Z' }
+		);
+		log.mockRestore();
+
+		expect(result.digest.metadata.model).toEqual({ provider: 'workers-ai', model: '@cf/custom/model', params: { max_tokens: 1500 }, prompt_version: 'v1' });
+		const row = await env.DB.prepare('SELECT prompt_version, model FROM daily_digests WHERE id = ?').bind(result.digestId).first();
+		expect(row).toEqual({ prompt_version: 'v1', model: '@cf/custom/model' });
+	});
+});
@@ -0,0 +1,7 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+import { seedApiTokens } from './helpers.js';
+
+// Setup files run outside isolated storage and may run multiple times;
+// applyD1Migrations() only applies migrations that haven't been applied yet.
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
+await seedApiTokens(env);
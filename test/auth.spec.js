@@ -0,0 +1,211 @@
+import { SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { requiredRole, signSession, verifySession } from '../src/auth.js';
+import { ADMIN_TOKEN, VIEWER_TOKEN, asAdmin, asViewer } from './helpers.js';
+
+// Every protected route, with a request that gets past auth without side effects
+const VIEWER_ROUTES = [
+	'/latest-digest',
+	'/digests',
+	'/api/digests',
+	'/digests/999999',
+	'/api/digests/999999',
+	'/api/digests/999999/feedback',
+	'/trends',
+	'/api/trends',
+	'/themes',
+	'/api/themes',
+	'/themes/999999',
+	'/api/themes/999999',
+	'/actions',
+	'/api/actions',
+	'/search',
+	'/api/feedback',
+	'/api/products',
+	'/runs',
+	'/api/runs',
+	'/runs/999999',
+	'/api/runs/999999',
+	'/run-digest.js',
+	'/digests/999999.md',
+	'/digests/999999.csv',
+	'/feed.xml',
+];
+
+const ADMIN_ROUTES = [
+	['GET', '/run-digest'],
+	['GET', '/run-digest?execute=true&product=nope'],
+	['GET', '/trigger-workflow?product=nope'],
+	['POST', '/feedback'],
+	['POST', '/feedback/batch'],
+	['GET', '/api/tokens'],
+	['POST', '/actions/999999'],
+	['PATCH', '/api/actions/999999'],
+];
+
+function request(path, { method = 'GET', headers = {} } = {}) {
+	return SELF.fetch(`http://example.com${path}`, {
+		method,
+		headers: method === 'POST' ? { 'Content-Type': 'application/json', ...headers } : headers,
+		body: method === 'POST' ? '{}' : undefined,
+		redirect: 'manual',
+	});
+}
+
+function login(token, next = '/digests') {
+	return SELF.fetch('http://example.com/login', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+		body: new URLSearchParams({ token, next }).toString(),
+		redirect: 'manual',
+	});
+}
+
+function sessionFrom(response) {
+	return response.headers.get('Set-Cookie').split(';')[0];
+}
+
+describe('requiredRole', () => {
+	it('leaves the landing and login pages public and guards everything else', () => {
+		expect(requiredRole('/')).toBeNull();
+		expect(requiredRole('/login')).toBeNull();
+		expect(requiredRole('/digests')).toBe('viewer');
+		expect(requiredRole('/no-such-page')).toBe('viewer');
+		expect(requiredRole('/run-digest')).toBe('admin');
+		expect(requiredRole('/api/tokens/3')).toBe('admin');
+	});
+});
+
+describe('protected routes', () => {
+	it('serves the landing and login pages without credentials', async () => {
+		expect((await request('/')).status).toBe(200);
+		expect((await request('/login')).status).toBe(200);
+	});
+
+	it('answers 401 without credentials or with an unknown token', async () => {
+		const routes = [...VIEWER_ROUTES.map(path => ['GET', path]), ...ADMIN_ROUTES];
+		for (const [method, path] of routes) {
+			const response = await request(path, { method });
+			expect(response.status, path).toBe(401);
+			expect(response.headers.get('WWW-Authenticate'), path).toContain('Bearer');
+			expect((await request(path, { method, headers: { Authorization: 'Bearer not-a-token' } })).status, path).toBe(401);
+		}
+	});
+
+	it('answers API clients with JSON and browsers with the login page', async () => {
+		const api = await request('/api/digests');
+		expect(await api.json()).toEqual({ error: 'Authentication required' });
+
+		const page = await request('/digests?page=2');
+		expect(page.headers.get('Content-Type')).toBe('text/html');
+		const html = await page.text();
+		expect(html).toContain('<form');
+		expect(html).toContain('value="/digests?page=2"');
+	});
+
+	it('lets viewers read but not run or ingest', async () => {
+		for (const path of VIEWER_ROUTES) {
+			expect([401, 403], path).not.toContain((await request(path, { headers: asViewer })).status);
+		}
+		for (const [method, path] of ADMIN_ROUTES) {
+			const response = await request(path, { method, headers: asViewer });
+			expect(response.status, path).toBe(403);
+			expect(await response.json(), path).toEqual({ error: 'This route requires the admin role' });
+		}
+	});
+
+	it('lets admins use every route', async () => {
+		for (const path of VIEWER_ROUTES) {
+			expect([401, 403], path).not.toContain((await request(path, { headers: asAdmin })).status);
+		}
+		// Empty triage updates are rejected before the item is looked up
+		const expected = {
+			'/run-digest': 200,
+			'/api/tokens': 200,
+			'/feedback': 400,
+			'/feedback/batch': 400,
+			'/actions/999999': 400,
+			'/api/actions/999999': 400,
+		};
+		for (const [method, path] of ADMIN_ROUTES) {
+			expect((await request(path, { method, headers: asAdmin })).status, path).toBe(expected[path] ?? 404);
+		}
+	});
+});
+
+describe('browser sessions', () => {
+	it('exchanges a token for a signed session cookie', async () => {
+		const response = await login(VIEWER_TOKEN);
+		expect(response.status).toBe(303);
+		expect(response.headers.get('Location')).toBe('/digests');
+		const cookie = response.headers.get('Set-Cookie');
+		expect(cookie).toMatch(/^session=[\w-]+\.[\w-]+;/);
+		expect(cookie).toContain('HttpOnly');
+		expect(cookie).toContain('SameSite=Strict');
+
+		expect((await request('/digests', { headers: { Cookie: sessionFrom(response) } })).status).toBe(200);
+		expect((await request('/run-digest', { headers: { Cookie: sessionFrom(response) } })).status).toBe(403);
+	});
+
+	it('rejects bad tokens, tampered cookies and off-site redirects', async () => {
+		expect((await login('not-a-token')).status).toBe(401);
+		expect((await login(ADMIN_TOKEN, '//evil.example')).headers.get('Location')).toBe('/');
+
+		const cookie = sessionFrom(await login(VIEWER_TOKEN));
+		const [body, signature] = cookie.slice('session='.length).split('.');
+		const forged = btoa(JSON.stringify({ tid: 2, exp: 9999999999 })).replace(/=+$/, '');
+		expect((await request('/digests', { headers: { Cookie: `session=${forged}.${signature}` } })).status).toBe(401);
+		expect((await request('/digests', { headers: { Cookie: `session=${body}.${signature}x` } })).status).toBe(401);
+	});
+
+	it('clears the cookie on logout', async () => {
+		const response = await request('/logout');
+		expect(response.status).toBe(303);
+		expect(response.headers.get('Set-Cookie')).toContain('Max-Age=0');
+	});
+
+	it('expires sessions and checks the signing secret', async () => {
+		const value = await signSession('secret', { tid: 1, exp: 2000 });
+		expect(await verifySession('secret', value, 1999 * 1000)).toEqual({ tid: 1, exp: 2000 });
+		expect(await verifySession('secret', value, 2000 * 1000)).toBeNull();
+		expect(await verifySession('other-secret', value, 0)).toBeNull();
+	});
+});
+
+describe('/api/tokens', () => {
+	async function createToken(body) {
+		return SELF.fetch('http://example.com/api/tokens', {
+			method: 'POST',
+			headers: { ...asAdmin, 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+	}
+
+	it('creates, lists and revokes tokens', async () => {
+		const created = await createToken({ name: 'dashboard', role: 'viewer' });
+		expect(created.status).toBe(201);
+		const { id, token, role } = await created.json();
+		expect(role).toBe('viewer');
+		expect(token).toMatch(/^fdt_/);
+
+		const bearer = { Authorization: `Bearer ${token}` };
+		expect((await request('/api/digests', { headers: bearer })).status).toBe(200);
+		const session = sessionFrom(await login(token));
+
+		const { tokens } = await (await request('/api/tokens', { headers: asAdmin })).json();
+		const listed = tokens.find(t => t.id === id);
+		expect(listed.name).toBe('dashboard');
+		expect(listed.last_used_at).not.toBeNull();
+		expect(listed).not.toHaveProperty('token_hash');
+
+		expect((await request(`/api/tokens/${id}`, { method: 'DELETE', headers: asAdmin })).status).toBe(200);
+		expect((await request('/api/digests', { headers: bearer })).status).toBe(401);
+		expect((await request('/digests', { headers: { Cookie: session } })).status).toBe(401);
+		expect((await request(`/api/tokens/${id}`, { method: 'DELETE', headers: asAdmin })).status).toBe(404);
+	});
+
+	it('validates new tokens', async () => {
+		expect((await createToken({ name: 'x', role: 'owner' })).status).toBe(400);
+		expect((await createToken({ role: 'viewer' })).status).toBe(400);
+	});
+});
@@ -0,0 +1,128 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { applyLabels, classifyChunk } from '../src/classify.js';
+import { validateClassification } from '../src/schema.js';
+import { asViewer, sampleDigest, seedFeedback, stubAI } from './helpers.js';
+
+describe('validateClassification', () => {
+	it('accepts one label per item, canonicalizing sentiment', () => {
+		const { value, errors } = validateClassification(
+			{
+				items: [
+					{ index: 2, sentiment: 'Positive', theme: 'Console', feature_request: false },
+					{ index: 1, sentiment: 'frustrated', theme: 'Backups', feature_request: true },
+				],
+			},
+			2
+		);
+		expect(errors).toEqual([]);
+		expect(value.map(l => `${l.index}:${l.sentiment}:${l.theme}`)).toEqual(['1:frustrated:Backups', '2:positive:Console']);
+	});
+
+	it('reports bad, duplicate and missing labels', () => {
+		const { value, errors } = validateClassification(
+			{
+				items: [
+					{ index: 1, sentiment: 'angry', theme: '', feature_request: 'yes' },
+					{ index: 1, sentiment: 'neutral', theme: 'Docs', feature_request: false },
+					{ index: 9, sentiment: 'neutral', theme: 'Docs', feature_request: false },
+				],
+			},
+			3
+		);
+		expect(value).toBeNull();
+		expect(errors).toEqual([
+			'items[0].sentiment must be one of frustrated, neutral, positive',
+			'items[0].theme must be a non-empty string',
+			'items[0].feature_request must be true or false',
+			'items[1].index 1 is labeled more than once',
+			'items[2].index must be an integer from 1 to 3',
+			'missing labels for items 2, 3',
+		]);
+	});
+});
+
+describe('classifyChunk', () => {
+	it('maps labels back to feedback ids', async () => {
+		const chunk = [
+			{ id: 11, content: 'Add JSON indexes', source: 'github' },
+			{ id: 12, content: 'Docs are great', source: 'twitter' },
+		];
+		const ai = stubAI(() => ({
+			items: [
+				{ index: 1, sentiment: 'neutral', theme: 'JSON support', feature_request: true },
+				{ index: 2, sentiment: 'positive', theme: 'Docs', feature_request: false },
+			],
+		}));
+		const { labels, attempts } = await classifyChunk({ AI: ai }, chunk);
+		expect(attempts).toBe(1);
+		expect(labels).toEqual([
+			{ id: 11, sentiment: 'neutral', theme: 'JSON support', is_feature_request: 1 },
+			{ id: 12, sentiment: 'positive', theme: 'Docs', is_feature_request: 0 },
+		]);
+	});
+});
+
+describe('applyLabels', () => {
+	const feedback = [
+		{ id: 1, content: 'Restores take hours', sentiment: 'frustrated', theme: 'Backups' },
+		{ id: 2, content: 'Need PITR', sentiment: 'frustrated', theme: 'backups', is_feature_request: 1 },
+		{ id: 3, content: 'Console is slick', sentiment: 'positive', theme: 'Console' },
+		{ id: 4, content: 'Not labeled yet', sentiment: null, theme: null },
+	];
+
+	it('counts sentiment and theme mentions from labels', () => {
+		const digest = applyLabels(
+			sampleDigest({
+				top_themes: [
+					{ theme: 'BACKUPS', mentions: 40, quotes: ['Need PITR'], impact: 'Low', confidence: 'High' },
+					{ theme: 'Invented theme', mentions: 9, quotes: [], impact: 'High', confidence: 'High' },
+				],
+				sentiment: { frustrated: 10, neutral: 80, positive: 10 },
+			}),
+			feedback
+		);
+
+		expect(digest.sentiment).toEqual({ frustrated: 67, neutral: 0, positive: 33 });
+		expect(digest.top_themes).toEqual([
+			{ theme: 'Backups', mentions: 2, quotes: ['Need PITR'], impact: 'Low', confidence: 'High', feedback_ids: [1, 2] },
+			{ theme: 'Console', mentions: 1, quotes: ['Console is slick'], impact: 'High', confidence: 'Medium', feedback_ids: [3] },
+		]);
+	});
+
+	it('leaves the digest alone without labels', () => {
+		const digest = sampleDigest();
+		expect(applyLabels(digest, [{ id: 1, content: 'x' }])).toBe(digest);
+	});
+});
+
+describe('GET /api/digests/:id/feedback', () => {
+	it('drills down from a theme to its feedback rows', async () => {
+		const ids = await seedFeedback(env, [
+			{ content: 'drill: restores are slow', created_at: '2037-01-01 00:00:00' },
+			{ content: 'drill: console rocks', created_at: '2037-01-01 00:00:01' },
+		]);
+		const summary = sampleDigest({ top_themes: [{ theme: 'Backups', mentions: 1, quotes: [], impact: 'High', confidence: 'High', feedback_ids: [ids[0]] }] });
+		const digestId = await env.DB.prepare('INSERT INTO daily_digests (summary, feedback_count, feedback_ids) VALUES (?, 2, ?) RETURNING id')
+			.bind(JSON.stringify(summary), JSON.stringify(ids))
+			.first('id');
+
+		const theme = await (await SELF.fetch(`http://example.com/api/digests/${digestId}/feedback?theme=backups`, { headers: asViewer })).json();
+		expect(theme.feedback.map(f => f.content)).toEqual(['drill: restores are slow']);
+
+		const all = await (await SELF.fetch(`http://example.com/api/digests/${digestId}/feedback`, { headers: asViewer })).json();
+		expect(all.feedback.map(f => f.id)).toEqual(ids);
+
+		expect((await SELF.fetch(`http://example.com/api/digests/${digestId}/feedback?theme=Nope`, { headers: asViewer })).status).toBe(404);
+	});
+
+	it('redacts PII in the rows it returns', async () => {
+		const ids = await seedFeedback(env, [{ content: 'drill: call me on +1 415-555-0100', created_at: '2037-01-02 00:00:00' }]);
+		const digestId = await env.DB.prepare('INSERT INTO daily_digests (summary, feedback_count, feedback_ids) VALUES (?, 1, ?) RETURNING id')
+			.bind(JSON.stringify(sampleDigest()), JSON.stringify(ids))
+			.first('id');
+
+		const { feedback } = await (await SELF.fetch(`http://example.com/api/digests/${digestId}/feedback`, { headers: asViewer })).json();
+		expect(feedback.map(f => f.content)).toEqual(['drill: call me on [PHONE]']);
+	});
+});
@@ -0,0 +1,173 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import worker from '../src';
+import { DigestWindowError, chunkFeedback, fetchFeedbackInWindow, mergeChunkResults, resolveWindow } from '../src/digest.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { asAdmin, clearDigests, pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+describe('resolveWindow', () => {
+	it('uses explicit bounds', async () => {
+		const window = await resolveWindow(env, { from: '2030-01-01T00:00:00Z', to: '2030-01-02T00:00:00Z' });
+		expect(window).toEqual({ from: '2030-01-01 00:00:00', to: '2030-01-02 00:00:00' });
+	});
+
+	it('continues from the end of the previous digest', async () => {
+		await clearDigests(env);
+		await env.DB.prepare("INSERT INTO daily_digests (summary, feedback_count, window_start, window_end, created_at) VALUES ('{}', 0, ?, ?, ?)")
+			.bind('2031-01-01 00:00:00', '2031-01-02 00:00:00', '2031-01-02 00:00:00')
+			.run();
+		const window = await resolveWindow(env, { to: '2031-01-03T00:00:00Z' });
+		expect(window.from).toBe('2031-01-02 00:00:00');
+		await env.DB.prepare("DELETE FROM daily_digests WHERE window_end = '2031-01-02 00:00:00'").run();
+	});
+
+	it('is not pulled back by a backfill of an older window', async () => {
+		await clearDigests(env);
+		await seedFeedback(env, [
+			{ content: 'backfill: old item', created_at: '2031-02-01 12:00:00' },
+			{ content: 'backfill: digested item', created_at: '2031-02-03 12:00:00' },
+			{ content: 'backfill: new item', created_at: '2031-02-04 12:00:00' },
+		]);
+		const ai = pipelineAI(sampleDigest());
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const run = params => runDigestPipeline({ ...env, AI: ai }, params);
+
+		await run({ from: '2031-02-03T00:00:00Z', to: '2031-02-04T00:00:00Z' });
+		// Created after the digest above, but over an older range
+		await run({ from: '2031-02-01T00:00:00Z', to: '2031-02-02T00:00:00Z' });
+		const next = await run({ to: '2031-02-05T00:00:00Z' });
+		log.mockRestore();
+
+		expect(next.digest.metadata.window).toEqual({ from: '2031-02-04 00:00:00', to: '2031-02-05 00:00:00' });
+		expect(next.digest.metadata.feedback_count).toBe(1);
+		await clearDigests(env);
+	});
+
+	it('rejects invalid or inverted bounds', async () => {
+		await expect(resolveWindow(env, { from: 'nope' })).rejects.toThrow(DigestWindowError);
+		await expect(resolveWindow(env, { from: '2030-01-02T00:00:00Z', to: '2030-01-01T00:00:00Z' })).rejects.toThrow(
+			'from must be before to'
+		);
+	});
+});
+
+describe('fetchFeedbackInWindow', () => {
+	it('returns only feedback inside (from, to]', async () => {
+		await seedFeedback(
+			env,
+			['2032-01-01 00:00:00', '2032-01-01 12:00:00', '2032-01-02 00:00:00', '2032-01-02 00:00:01'].map((createdAt, i) => ({
+				content: `window item ${i}`,
+				created_at: createdAt,
+			}))
+		);
+		const feedback = await fetchFeedbackInWindow(env, { from: '2032-01-01 00:00:00', to: '2032-01-02 00:00:00' });
+		expect(feedback.map(f => f.content)).toEqual(['window item 1', 'window item 2']);
+	});
+});
+
+describe('chunkFeedback', () => {
+	it('splits by item count and prompt size', () => {
+		const items = Array.from({ length: 5 }, (_, i) => ({ content: 'x'.repeat(10), source: `s${i}` }));
+		expect(chunkFeedback(items, 2, 1000).map(c => c.length)).toEqual([2, 2, 1]);
+		expect(chunkFeedback(items, 10, 25).map(c => c.length)).toEqual([2, 2, 1]);
+	});
+});
+
+describe('mergeChunkResults', () => {
+	it('combines themes, weights sentiment and de-duplicates lists', () => {
+		const merged = mergeChunkResults([
+			{
+				size: 30,
+				digest: sampleDigest({
+					top_themes: [{ theme: 'Performance', mentions: 4, quotes: ['slow joins'], impact: 'Medium', confidence: 'Low' }],
+					friction_points: [{ point: 'Timeouts', count: 2 }],
+					sentiment: { frustrated: 50, neutral: 50, positive: 0 },
+					feature_signals: ['Full-text search'],
+					pm_actions: { docs_ux: ['Document limits'], validation: [], tracking: [] },
+				}),
+			},
+			{
+				size: 10,
+				digest: sampleDigest({
+					top_themes: [{ theme: 'performance', mentions: 3, quotes: ['slow joins', 'batch timeouts'], impact: 'High', confidence: 'Medium' }],
+					friction_points: [{ point: 'timeouts', count: 1 }],
+					sentiment: { frustrated: 0, neutral: 0, positive: 100 },
+					feature_signals: ['full-text search', 'Backups'],
+					pm_actions: { docs_ux: ['document limits'], validation: ['Interview users'], tracking: [] },
+				}),
+			},
+			{ size: 5, digest: null, raw_response: 'garbage' },
+		]);
+
+		expect(merged.top_themes).toEqual([
+			{ theme: 'Performance', mentions: 7, quotes: ['slow joins', 'batch timeouts'], impact: 'High', confidence: 'Medium' },
+		]);
+		expect(merged.friction_points).toEqual([{ point: 'Timeouts', count: 3 }]);
+		expect(merged.sentiment).toEqual({ frustrated: 38, neutral: 38, positive: 25 });
+		expect(merged.feature_signals).toEqual(['Full-text search', 'Backups']);
+		expect(merged.pm_actions).toEqual({ docs_ux: ['Document limits'], validation: ['Interview users'], tracking: [] });
+	});
+
+	it('falls back when no chunk parsed', () => {
+		const merged = mergeChunkResults([{ size: 3, digest: null, raw_response: 'not json' }]);
+		expect(merged.top_themes[0].theme).toBe('Unable to parse');
+		expect(merged.raw_response).toBe('not json');
+	});
+});
+
+describe('/run-digest?execute=true', () => {
+	const from = '2033-01-01T00:00:00Z';
+	const to = '2033-01-02T00:00:00Z';
+	let ai;
+
+	beforeAll(async () => {
+		await seedFeedback(
+			env,
+			Array.from({ length: 45 }, (_, i) => ({
+				content: `windowed feedback ${i}`,
+				source: i % 2 ? 'discord' : 'github',
+				created_at: `2033-01-01 ${String(Math.floor(i / 4)).padStart(2, '0')}:30:00`,
+			}))
+		);
+	});
+
+	async function runDigest(query) {
+		ai = pipelineAI(sampleDigest({ sentiment: { frustrated: 1, neutral: 1, positive: 2 } }), line => ({
+			sentiment: line.includes('[discord]') ? 'positive' : 'frustrated',
+			theme: 'Windowed',
+			feature_request: false,
+		}));
+		// notifyStage logs the Slack payload it would send
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const ctx = createExecutionContext();
+		const response = await worker.fetch(new Request(`http://example.com/run-digest?execute=true&${query}`, { headers: asAdmin }), { ...env, AI: ai }, ctx);
+		await waitOnExecutionContext(ctx);
+		log.mockRestore();
+		return response;
+	}
+
+	it('analyzes every item in the window across chunks and records the window', async () => {
+		const response = await runDigest(`from=${from}&to=${to}`);
+		expect(response.status).toBe(200);
+		const digest = await response.json();
+
+		// Two chunks, each classified and then analyzed
+		expect(ai.calls).toHaveLength(4);
+		expect(digest.metadata).toMatchObject({
+			feedback_count: 45,
+			chunks: 2,
+			failed_chunks: 0,
+			window: { from: '2033-01-01 00:00:00', to: '2033-01-02 00:00:00' },
+		});
+		expect(digest.sentiment).toMatchObject({ frustrated: 51, neutral: 0, positive: 49 });
+
+		const row = await env.DB.prepare("SELECT * FROM daily_digests WHERE window_start = '2033-01-01 00:00:00'").first();
+		expect(row.window_end).toBe('2033-01-02 00:00:00');
+		expect(JSON.parse(row.feedback_ids)).toHaveLength(45);
+	});
+
+	it('returns 400 for an empty or invalid window', async () => {
+		expect((await runDigest('from=2040-01-01T00:00:00Z&to=2040-01-02T00:00:00Z')).status).toBe(400);
+		expect((await runDigest('from=garbage')).status).toBe(400);
+	});
+});
@@ -0,0 +1,151 @@
+import { runDigestPipeline } from '../src/pipeline.js';
+import { DEFAULT_PROMPT_VERSION } from '../src/prompts.js';
+import { SENTIMENTS } from '../src/schema.js';
+import RECORDINGS from './golden-recordings.json';
+import { isClassificationPrompt, seedFeedback, stubAI } from './helpers.js';
+
+// Scoring for the golden corpus eval (test/eval.spec.js, test/golden-corpus.js, test/golden-recordings.json)
+
+/**
+ * Corpus-wide floors (ceiling for sentiment_error, in percentage points), averaged over the cases:
+ *   schema_validity        share of analysis chunks that produced schema-valid JSON
+ *   theme_recall           share of expected themes found among the digest's top themes
+ *   feature_signal_recall  share of expected feature signals found in the digest
+ *   sentiment_error        mean absolute difference between the digest's and the human sentiment split
+ *   quote_grounding        share of the model's quotes found in the analyzed feedback
+ */
+export const THRESHOLDS = {
+	schema_validity: { min: 1 },
+	theme_recall: { min: 0.8 },
+	feature_signal_recall: { min: 0.75 },
+	sentiment_error: { max: 10 },
+	quote_grounding: { min: 0.8 },
+};
+
+// Hex SHA-256 of a prompt's messages, the key its recorded response is stored under
+export async function hashPrompt(messages) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(messages)));
+	return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function promptKind(messages) {
+	return isClassificationPrompt(messages) ? 'classification' : 'analysis';
+}
+
+/**
+ * The response recorded for `messages` in a case, looked up by prompt version and prompt hash in
+ * test/golden-recordings.json. Throws when there is none: a prompt that changed since the case was
+ * recorded would otherwise be scored on output the model never gave for it.
+ */
+export async function replayResponse(testCase, messages, promptVersion = DEFAULT_PROMPT_VERSION, recordings = RECORDINGS) {
+	const hash = await hashPrompt(messages);
+	const response = recordings[testCase.name]?.[promptVersion]?.[hash];
+	if (response === undefined) {
+		throw new Error(
+			`No ${promptVersion} recording of the ${promptKind(messages)} prompt for "${testCase.name}" (sha256 ${hash}); ` +
+				'the prompt changed since it was recorded, so re-record with `npm run eval:record`'
+		);
+	}
+	return response;
+}
+
+// Replays a case's recorded model output for the given prompt version
+export function replayAI(testCase, promptVersion = DEFAULT_PROMPT_VERSION) {
+	return stubAI(messages => replayResponse(testCase, messages, promptVersion));
+}
+
+/**
+ * Record mode: passes every model call through to `ai` (the real Workers AI binding) and stores each
+ * response on `recordings[case][promptVersion]` under its prompt hash. Responses that are JSON are
+ * kept parsed so the fixture stays readable; embedding calls are not recorded.
+ */
+export function recordAI(ai, testCase, promptVersion, recordings) {
+	const recorded = {};
+	recordings[testCase.name] = { ...recordings[testCase.name], [promptVersion]: recorded };
+	return {
+		async run(model, options) {
+			const result = await ai.run(model, options);
+			if (options.messages) {
+				recorded[await hashPrompt(options.messages)] = parseRecorded(result.response);
+			}
+			return result;
+		},
+	};
+}
+
+function parseRecorded(response) {
+	if (typeof response !== 'string') {
+		return response;
+	}
+	try {
+		return JSON.parse(response);
+	} catch {
+		return response;
+	}
+}
+
+function mentions(text, { keywords }) {
+	const lower = String(text).toLowerCase();
+	return keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+function recall(expected, actual) {
+	if (expected.length === 0) {
+		return 1;
+	}
+	return expected.filter(e => actual.some(a => mentions(a, e))).length / expected.length;
+}
+
+function humanSentiment(feedback) {
+	return Object.fromEntries(SENTIMENTS.map(key => [key, (feedback.filter(f => f.sentiment === key).length / feedback.length) * 100]));
+}
+
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+// Scores one pipeline digest against its corpus case; every score is described on THRESHOLDS
+export function scoreDigest(digest, testCase) {
+	const validation = digest.metadata?.validation || [];
+	const grounding = digest.metadata?.grounding || { quotes: 0, grounded: 0 };
+	const expected = humanSentiment(testCase.feedback);
+	const sentimentError = SENTIMENTS.reduce((sum, key) => sum + Math.abs((Number(digest.sentiment?.[key]) || 0) - expected[key]), 0) / SENTIMENTS.length;
+
+	return {
+		schema_validity: validation.length > 0 ? round(validation.filter(v => v.status === 'valid').length / validation.length) : 0,
+		theme_recall: round(recall(testCase.themes, (digest.top_themes || []).map(t => t.theme))),
+		feature_signal_recall: round(recall(testCase.feature_signals, digest.feature_signals || [])),
+		sentiment_error: round(sentimentError),
+		quote_grounding: grounding.quotes > 0 ? round(grounding.grounded / grounding.quotes) : 1,
+	};
+}
+
+// Seeds a case's feedback on its date and runs the full pipeline over that day, by default with replayAI
+export async function runEvalCase(env, testCase, ai = replayAI(testCase, env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION)) {
+	await seedFeedback(
+		env,
+		testCase.feedback.map((f, i) => ({ content: f.content, source: f.source, created_at: `${testCase.date} 09:${String(i).padStart(2, '0')}:00` }))
+	);
+	const from = `${testCase.date}T00:00:00Z`;
+	const to = new Date(Date.parse(from) + 24 * 60 * 60 * 1000).toISOString();
+	const result = await runDigestPipeline({ ...env, AI: ai }, { from, to });
+	return result.digest;
+}
+
+// Mean of each score over the cases
+export function summarizeScores(scores) {
+	return Object.fromEntries(Object.keys(THRESHOLDS).map(key => [key, round(scores.reduce((sum, s) => sum + s[key], 0) / scores.length)]));
+}
+
+// Human-readable failures for every summary score outside THRESHOLDS; empty when the eval passes
+export function thresholdFailures(summary, thresholds = THRESHOLDS) {
+	return Object.entries(thresholds).flatMap(([key, { min, max }]) => {
+		if (min !== undefined && summary[key] < min) {
+			return [`${key} ${summary[key]} is below ${min}`];
+		}
+		if (max !== undefined && summary[key] > max) {
+			return [`${key} ${summary[key]} is above ${max}`];
+		}
+		return [];
+	});
+}
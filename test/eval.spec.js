@@ -0,0 +1,81 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { DEFAULT_PROMPT_VERSION } from '../src/prompts.js';
+import { THRESHOLDS, recordAI, replayResponse, runEvalCase, scoreDigest, summarizeScores, thresholdFailures } from './eval.js';
+import { GOLDEN_CORPUS } from './golden-corpus.js';
+import RECORDINGS from './golden-recordings.json';
+import { isClassificationPrompt, stubAI } from './helpers.js';
+
+// Runs the golden corpus through the full pipeline with the recorded model output and fails when the
+// digest quality drops below THRESHOLDS. `npm run eval` runs just this file; `npm run eval:record`
+// (EVAL_RECORD=1) runs it against the real model instead and rewrites test/golden-recordings.json.
+// Both print the scores per case (EVAL_VERBOSE=1); the full test run stays quiet.
+
+const RECORD = Boolean(env.EVAL_RECORD);
+const promptVersion = env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION;
+
+async function quietly(fn) {
+	const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+	try {
+		return await fn();
+	} finally {
+		log.mockRestore();
+	}
+}
+
+describe('golden corpus eval', () => {
+	const scores = {};
+	const recordings = structuredClone(RECORDINGS);
+
+	beforeAll(async () => {
+		for (const testCase of GOLDEN_CORPUS) {
+			const ai = RECORD ? recordAI(env.AI, testCase, promptVersion, recordings) : undefined;
+			const digest = await quietly(() => runEvalCase(env, testCase, ai));
+			scores[testCase.name] = scoreDigest(digest, testCase);
+		}
+	});
+
+	it.runIf(RECORD)('writes the recordings', async () => {
+		await expect(`${JSON.stringify(recordings, null, '\t')}\n`).toMatchFileSnapshot('./golden-recordings.json');
+	});
+
+	it('meets every threshold across the corpus', () => {
+		const summary = summarizeScores(Object.values(scores));
+		if (env.EVAL_VERBOSE) {
+			const lines = Object.entries({ ...scores, mean: summary }).map(([name, s]) => `  ${name.padEnd(26)} ${JSON.stringify(s)}`);
+			console.log(['Golden corpus eval', ...lines].join('\n'));
+		}
+		expect(thresholdFailures(summary)).toEqual([]);
+	});
+
+	it.skipIf(RECORD)('scores the recorded mistakes in a case', () => {
+		// One frustrated question labeled neutral, and one of the digest's four quotes hallucinated
+		expect(scores['read replication']).toEqual({
+			schema_validity: 1,
+			theme_recall: 1,
+			feature_signal_recall: 1,
+			sentiment_error: 13.33,
+			quote_grounding: 0.75,
+		});
+	});
+
+	it.skipIf(RECORD)('fails when the analysis regresses', async () => {
+		const broken = { ...GOLDEN_CORPUS[0], date: '2048-02-01' };
+		const ai = stubAI(messages =>
+			isClassificationPrompt(messages) ? replayResponse(broken, messages, promptVersion) : 'Here is your digest!'
+		);
+		const summary = summarizeScores([scoreDigest(await quietly(() => runEvalCase(env, broken, ai)), broken)]);
+
+		expect(thresholdFailures(summary)).toEqual([
+			`schema_validity 0 is below ${THRESHOLDS.schema_validity.min}`,
+			`feature_signal_recall 0 is below ${THRESHOLDS.feature_signal_recall.min}`,
+		]);
+	});
+
+	it.skipIf(RECORD)('refuses to replay a prompt that changed since it was recorded', async () => {
+		const messages = [{ role: 'user', content: 'You are a PM labeling a prompt nobody recorded' }];
+		await expect(replayResponse(GOLDEN_CORPUS[0], messages, 'v1')).rejects.toThrow(
+			/^No v1 recording of the classification prompt for "batch writes and restores" \(sha256 [0-9a-f]{64}\); the prompt changed/
+		);
+	});
+});
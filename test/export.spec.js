@@ -0,0 +1,118 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { CSV_COLUMNS, renderDigestCsv, renderDigestMarkdown } from '../src/export.js';
+import { ADMIN_TOKEN, asViewer, sampleDigest, VIEWER_TOKEN } from './helpers.js';
+
+const digest = sampleDigest({
+	top_themes: [
+		{
+			theme: 'Batch inserts',
+			theme_id: 7,
+			mentions: 4,
+			impact: 'High',
+			confidence: 'Medium',
+			quotes: ['Inserts over 500 rows *time out*', 'Made up'],
+			quote_sources: [
+				{ feedback_id: 12, source: 'github', score: 1, grounded: true },
+				{ feedback_id: null, source: null, score: 0, grounded: false },
+			],
+		},
+		{ theme: '=HYPERLINK("http://evil.example")', mentions: 1, impact: 'Low', confidence: 'Low', quotes: ['say "hi", twice'] },
+	],
+	friction_points: [{ point: 'Migration locks', count: 2 }],
+	sentiment: { frustrated: 50, neutral: 30, positive: 20 },
+	feature_signals: ['Full-text search', '[click](javascript:alert(1))'],
+	pm_actions: { docs_ux: ['Document batch limits'], validation: [], tracking: [] },
+	metadata: { date: '2046-01-02', feedback_count: 5, sources: ['github', 'discord'], product: { slug: 'exports', name: 'Exports', emoji: '📤' } },
+});
+
+describe('renderDigestMarkdown', () => {
+	it('renders the digest page sections with absolute links', () => {
+		const md = renderDigestMarkdown({ ...digest, id: 3 }, 'https://digest.example');
+		expect(md).toContain('# Digest \\#3\n');
+		expect(md).toContain('2046-01-02 · 5 items analyzed');
+		expect(md).toContain('### [Batch inserts](https://digest.example/themes/7)\n\n4 mentions · High impact');
+		expect(md).toContain('> "Inserts over 500 rows \\*time out\\*" ([#12 · github](https://digest.example/search?id=12))');
+		expect(md).toContain('> "Made up" (unverified)');
+		expect(md).toContain('😠 Frustrated 50% · 😐 Neutral 30% · 😊 Positive 20%');
+		expect(md).toContain('## 💡 Feature Signals\n\n- Full-text search\n- \\[click\\](javascript:alert(1))\n');
+		expect(md).toContain('## ✅ Recommended Actions\n\n- Document batch limits\n');
+	});
+});
+
+describe('renderDigestCsv', () => {
+	it('writes themes, friction points and feature signals as rows', () => {
+		const lines = renderDigestCsv(digest).split('\r\n');
+		expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+		expect(lines[1]).toBe('theme,Batch inserts,4,High,Medium,"Inserts over 500 rows *time out*\nMade up"');
+		expect(lines[2]).toBe(`theme,"'=HYPERLINK(""http://evil.example"")",1,Low,Low,"say ""hi"", twice"`);
+		expect(lines.slice(3)).toEqual([
+			'friction_point,Migration locks,2,,,',
+			'feature_signal,Full-text search,,,,',
+			'feature_signal,[click](javascript:alert(1)),,,,',
+			'',
+		]);
+	});
+});
+
+describe('export routes', () => {
+	let ids;
+
+	beforeAll(async () => {
+		await env.DB.prepare("INSERT OR IGNORE INTO products (slug, name, emoji, schedule) VALUES ('exports', 'Exports', '📤', NULL)").run();
+		const productId = await env.DB.prepare("SELECT id FROM products WHERE slug = 'exports'").first('id');
+		const insert = (createdAt, date) =>
+			env.DB.prepare('INSERT INTO daily_digests (summary, feedback_count, created_at, product_id) VALUES (?, ?, ?, ?) RETURNING id')
+				.bind(JSON.stringify({ ...digest, metadata: { ...digest.metadata, date } }), 5, createdAt, productId)
+				.first('id');
+		ids = [await insert('2046-01-01 09:00:00', '2046-01-01'), await insert('2046-01-02 09:00:00', '2046-01-02')];
+	});
+
+	// Digests dated 2046 would otherwise be everyone's "latest"
+	afterAll(async () => {
+		await env.DB.prepare('DELETE FROM daily_digests WHERE id IN (SELECT value FROM json_each(?))').bind(JSON.stringify(ids)).run();
+	});
+
+	it('serves Markdown and CSV for a stored digest', async () => {
+		const md = await SELF.fetch(`http://example.com/digests/${ids[0]}.md`, { headers: asViewer });
+		expect(md.headers.get('Content-Type')).toBe('text/markdown; charset=utf-8');
+		expect(await md.text()).toContain(`# Digest \\#${ids[0]}\n\n2046-01-01 · 5 items analyzed`);
+
+		const csv = await SELF.fetch(`http://example.com/digests/${ids[0]}.csv`, { headers: asViewer });
+		expect(csv.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+		expect(csv.headers.get('Content-Disposition')).toBe(`attachment; filename="digest-${ids[0]}.csv"`);
+		expect(await csv.text()).toBe(renderDigestCsv(digest));
+
+		expect((await SELF.fetch('http://example.com/digests/999999.md', { headers: asViewer })).status).toBe(404);
+	});
+
+	it('lists recent digests in an Atom feed, newest first', async () => {
+		const response = await SELF.fetch('http://example.com/feed.xml?product=exports', { headers: asViewer });
+		expect(response.headers.get('Content-Type')).toBe('application/atom+xml; charset=utf-8');
+		const xml = await response.text();
+		expect(xml).toContain('<id>http://example.com/feed.xml?product=exports</id>');
+		expect(xml).toContain('<title>Exports Feedback Digest</title>');
+		expect(xml).toContain('<updated>2046-01-02T09:00:00.000Z</updated>');
+		expect([...xml.matchAll(/<entry>\s*<id>([^<]+)<\/id>/g)].map(m => m[1])).toEqual(
+			[...ids].reverse().map(id => `http://example.com/digests/${id}`)
+		);
+		expect(xml).toContain('<title>Exports digest — 2046-01-02</title>');
+		expect(xml).toContain('<summary type="text">5 items analyzed · Top themes: Batch inserts (4), =HYPERLINK(&quot;http://evil.example&quot;) (1)</summary>');
+	});
+
+	it('accepts the token as an HTTP Basic password for feed readers', async () => {
+		const anonymous = await SELF.fetch('http://example.com/feed.xml');
+		expect(anonymous.status).toBe(401);
+		expect(anonymous.headers.get('WWW-Authenticate')).toContain('Basic realm="feedback-digest"');
+
+		const basic = { Authorization: `Basic ${btoa(`reader:${VIEWER_TOKEN}`)}` };
+		expect((await SELF.fetch('http://example.com/feed.xml', { headers: basic })).status).toBe(200);
+		expect((await SELF.fetch('http://example.com/feed.xml', { headers: { Authorization: `Basic ${btoa('reader:wrong')}` } })).status).toBe(401);
+	});
+
+	it('ignores HTTP Basic credentials everywhere but the feed', async () => {
+		const basic = { Authorization: `Basic ${btoa(`reader:${ADMIN_TOKEN}`)}`, Accept: 'application/json' };
+		expect((await SELF.fetch('http://example.com/api/digests', { headers: basic })).status).toBe(401);
+		expect((await SELF.fetch('http://example.com/api/tokens', { headers: basic })).status).toBe(401);
+	});
+});
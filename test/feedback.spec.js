@@ -0,0 +1,124 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { MAX_BATCH_SIZE, MAX_CONTENT_LENGTH, normalizeContent } from '../src/feedback.js';
+import { asAdmin } from './helpers.js';
+
+function post(path, body, headers = {}) {
+	return SELF.fetch(`http://example.com${path}`, {
+		method: 'POST',
+		headers: { ...asAdmin, 'Content-Type': 'application/json', ...headers },
+		body: typeof body === 'string' ? body : JSON.stringify(body),
+	});
+}
+
+describe('POST /feedback', () => {
+	it('stores a valid item and returns its id', async () => {
+		const response = await post('/feedback', { content: 'Migrations fail when a column has a default', source: 'discord' });
+		expect(response.status).toBe(201);
+		const { status, id } = await response.json();
+		expect(status).toBe('created');
+
+		const row = await env.DB.prepare('SELECT content, source, content_hash FROM feedback WHERE id = ?').bind(id).first();
+		expect(row.content).toBe('Migrations fail when a column has a default');
+		expect(row.source).toBe('discord');
+		expect(row.content_hash).toMatch(/^[0-9a-f]{64}$/);
+	});
+
+	it('skips near-duplicates and returns the original id', async () => {
+		const first = await (await post('/feedback', { content: 'Please add full-text search!', source: 'github' })).json();
+		const response = await post('/feedback', { content: '  please add FULL TEXT search ', source: 'twitter' });
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ status: 'duplicate', id: first.id });
+	});
+
+	describe('created_at', () => {
+		const createdAt = async body => {
+			const { id } = await (await post('/feedback', { source: 'support', product: 'ingest-dates', ...body })).json();
+			return env.DB.prepare('SELECT created_at FROM feedback WHERE id = ?').bind(id).first('created_at');
+		};
+
+		beforeAll(async () => {
+			// Digests of other products don't count, and this product has none yet
+			await env.DB.prepare("INSERT OR IGNORE INTO products (slug, name, schedule) VALUES ('ingest-dates', 'Ingest Dates', NULL)").run();
+		});
+
+		it('accepts an explicit created_at', async () => {
+			expect(await createdAt({ content: 'Backfilled ticket', created_at: '2025-01-02T03:04:05Z' })).toBe('2025-01-02 03:04:05');
+		});
+
+		it('moves items dated into an already digested window just past it', async () => {
+			const product = await env.DB.prepare("SELECT id FROM products WHERE slug = 'ingest-dates'").first('id');
+			const digestId = await env.DB.prepare(
+				"INSERT INTO daily_digests (summary, feedback_count, window_start, window_end, product_id) VALUES ('{}', 0, ?, ?, ?) RETURNING id"
+			)
+				.bind('2051-01-01 00:00:00', '2051-01-02 00:00:00', product)
+				.first('id');
+
+			expect(await createdAt({ content: 'Backdated into the window', created_at: '2051-01-01T12:00:00Z' })).toBe('2051-01-02 00:00:01');
+			expect(await createdAt({ content: 'On the window end', created_at: '2051-01-02T00:00:00Z' })).toBe('2051-01-02 00:00:01');
+			expect(await createdAt({ content: 'After the window', created_at: '2051-01-03T00:00:00Z' })).toBe('2051-01-03 00:00:00');
+
+			// Other specs resolve windows across every product's digests
+			await env.DB.prepare('DELETE FROM daily_digests WHERE id = ?').bind(digestId).run();
+		});
+	});
+
+	it('rejects missing or invalid fields', async () => {
+		const response = await post('/feedback', { content: 'x'.repeat(MAX_CONTENT_LENGTH + 1), created_at: 'yesterday' });
+		expect(response.status).toBe(400);
+		const { details } = await response.json();
+		expect(details).toEqual([
+			`content must be at most ${MAX_CONTENT_LENGTH} characters`,
+			'source is required and must be a string',
+			'created_at must be an ISO 8601 timestamp',
+		]);
+	});
+
+	it('rejects malformed JSON and oversized bodies', async () => {
+		expect((await post('/feedback', '{not json')).status).toBe(400);
+		expect((await post('/feedback', { content: 'x'.repeat(20000), source: 'discord' })).status).toBe(413);
+	});
+
+	it('only allows POST', async () => {
+		const response = await SELF.fetch('http://example.com/feedback', { headers: asAdmin });
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toBe('POST');
+	});
+});
+
+describe('POST /feedback/batch', () => {
+	it('reports a result per item', async () => {
+		const response = await post('/feedback/batch', {
+			items: [
+				{ content: 'Batch item: read replicas would help latency', source: 'support' },
+				{ content: 'batch item — read replicas would help latency.', source: 'discord' },
+				{ content: '', source: 'discord' },
+				{ content: 'Batch item: JSON path queries', source: 'github' },
+			],
+		});
+		expect(response.status).toBe(200);
+		const body = await response.json();
+		expect(body).toMatchObject({ created: 2, duplicates: 1, invalid: 1 });
+		expect(body.results.map(r => r.status)).toEqual(['created', 'duplicate', 'invalid', 'created']);
+		expect(body.results[1].id).toBe(body.results[0].id);
+		expect(body.results[2].errors).toEqual(['content must not be empty']);
+	});
+
+	it('accepts a bare array', async () => {
+		const response = await post('/feedback/batch', [{ content: 'Bare array item', source: 'github' }]);
+		expect((await response.json()).created).toBe(1);
+	});
+
+	it('rejects empty, all-invalid and oversized batches', async () => {
+		expect((await post('/feedback/batch', { items: [] })).status).toBe(400);
+		expect((await post('/feedback/batch', [{ source: 'github' }])).status).toBe(400);
+		const tooMany = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, i) => ({ content: `item ${i}`, source: 'github' }));
+		expect((await post('/feedback/batch', tooMany)).status).toBe(413);
+	});
+});
+
+describe('normalizeContent', () => {
+	it('ignores case, punctuation and whitespace', () => {
+		expect(normalizeContent('  Hello,   WORLD!! ')).toBe('hello world');
+	});
+});
@@ -0,0 +1,161 @@
+// Golden corpus for test/eval.spec.js: one day of labeled D1 feedback per case.
+//
+// Each feedback item has its human label (`sentiment`). `themes` and `feature_signals` are what a PM
+// expects the digest to surface; a digest entry matches one when its text contains any of the keywords
+// (case-insensitive).
+//
+// The model's output for each case lives in test/golden-recordings.json, keyed by case name, prompt
+// version and the SHA-256 of each prompt. After changing a case's feedback or adding a prompt version,
+// re-record with `npm run eval:record`; leave the human labels alone.
+
+export const GOLDEN_CORPUS = [
+	{
+		name: 'batch writes and restores',
+		date: '2048-01-01',
+		feedback: [
+			{
+				content: 'Batch inserts over 500 rows time out in the Worker',
+				source: 'github',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Please raise the 100 bound parameter limit for batch statements',
+				source: 'discord',
+				sentiment: 'neutral',
+			},
+			{
+				content: 'Time Travel restore saved us after a bad migration',
+				source: 'twitter',
+				sentiment: 'positive',
+			},
+			{
+				content: 'Restoring with Time Travel took 40 minutes for a 2 GB database',
+				source: 'support',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Would love a wrangler flag to export a database as CSV',
+				source: 'discord',
+				sentiment: 'neutral',
+			},
+		],
+		themes: [
+			{ name: 'Batch writes', keywords: ['batch'] },
+			{ name: 'Restores', keywords: ['restore', 'time travel'] },
+			{ name: 'Export', keywords: ['export'] },
+		],
+		feature_signals: [
+			{ name: 'Higher bound parameter limit', keywords: ['parameter'] },
+			{ name: 'CSV export', keywords: ['csv', 'export'] },
+		],
+	},
+	{
+		name: 'read replication',
+		date: '2048-01-02',
+		feedback: [
+			{
+				content: 'Read replicas cut our p95 latency in Europe by half',
+				source: 'twitter',
+				sentiment: 'positive',
+			},
+			{
+				content: 'The Sessions API is confusing, when do I need a bookmark?',
+				source: 'discord',
+				// Recorded as neutral: the model misses frustration phrased as a question
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Replica lag showed stale rows right after a write',
+				source: 'github',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Dashboard query editor lost my SQL when I switched tabs',
+				source: 'support',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Docs for the Sessions API need a full example',
+				source: 'github',
+				sentiment: 'neutral',
+			},
+		],
+		themes: [
+			{ name: 'Read replication', keywords: ['replica', 'replication', 'sessions'] },
+			{ name: 'Dashboard', keywords: ['dashboard', 'editor'] },
+			{ name: 'Docs', keywords: ['doc'] },
+		],
+		feature_signals: [{ name: 'Sessions API example', keywords: ['sessions'] }],
+	},
+	{
+		name: 'size limits and billing',
+		date: '2048-01-03',
+		feedback: [
+			{
+				content: 'The 10 GB database size limit blocks our move from Postgres',
+				source: 'support',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Rows read billing is hard to predict for full table scans',
+				source: 'discord',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'The free tier is generous for side projects',
+				source: 'twitter',
+				sentiment: 'positive',
+			},
+			{
+				content: 'Need a way to see rows read per query in the dashboard',
+				source: 'github',
+				sentiment: 'neutral',
+			},
+			{
+				content: 'Importing a 9 GB SQL dump failed without an error',
+				source: 'support',
+				sentiment: 'frustrated',
+			},
+		],
+		themes: [
+			{ name: 'Size limit', keywords: ['size', 'limit'] },
+			{ name: 'Billing', keywords: ['billing', 'pricing', 'rows read'] },
+		],
+		feature_signals: [
+			{ name: 'Larger databases', keywords: ['larger', 'size'] },
+			{ name: 'Rows read per query', keywords: ['rows read'] },
+		],
+	},
+	{
+		name: 'tooling praise',
+		date: '2048-01-04',
+		feedback: [
+			{
+				content: 'wrangler d1 execute with --remote just works',
+				source: 'twitter',
+				sentiment: 'positive',
+			},
+			{
+				content: 'Local dev with Miniflare matches production behavior',
+				source: 'discord',
+				sentiment: 'positive',
+			},
+			{
+				content: 'wrangler d1 migrations apply hung on a CI runner',
+				source: 'github',
+				sentiment: 'frustrated',
+			},
+			{
+				content: 'Love the JSON functions in SQLite',
+				source: 'twitter',
+				sentiment: 'positive',
+			},
+		],
+		themes: [
+			{ name: 'Wrangler', keywords: ['wrangler', 'cli'] },
+			{ name: 'Local dev', keywords: ['local'] },
+			{ name: 'SQL', keywords: ['sql', 'json'] },
+		],
+		feature_signals: [],
+	},
+];
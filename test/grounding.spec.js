@@ -0,0 +1,93 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { groundDigest, groundStage, quoteScore } from '../src/grounding.js';
+import { renderDigestHtml } from '../src/html.js';
+import { asViewer, sampleDigest, seedFeedback } from './helpers.js';
+
+const feedback = [
+	{ id: 11, source: 'github', content: 'Batch inserts over 500 rows time out frequently, please fix!' },
+	{ id: 12, source: 'discord', content: 'The JOIN performance needs work: a query with 3 tables takes 800ms.' },
+	{ id: 13, source: 'support', content: 'Batch inserts over 500 rows time out frequently, please fix!' },
+];
+
+function theme(overrides) {
+	return { theme: 'Performance', mentions: 2, impact: 'High', confidence: 'High', ...overrides };
+}
+
+describe('quoteScore', () => {
+	it('scores verbatim, trimmed and edited quotes high and paraphrases low', () => {
+		expect(quoteScore('batch inserts over 500 rows', feedback[0].content)).toBe(1);
+		expect(quoteScore('"JOIN performance needs work — query with 3 tables takes 800ms"', feedback[1].content)).toBeGreaterThanOrEqual(0.6);
+		expect(quoteScore('Large writes keep failing for users', feedback[0].content)).toBe(0);
+		expect(quoteScore('row', feedback[0].content)).toBe(0);
+		expect(quoteScore('', feedback[0].content)).toBe(0);
+	});
+});
+
+describe('groundDigest', () => {
+	it('links grounded quotes, drops hallucinated ones and lowers confidence', () => {
+		const digest = sampleDigest({
+			top_themes: [
+				theme({ quotes: ['Batch inserts over 500 rows time out', 'Writes are unusable in production'], feedback_ids: [13] }),
+				theme({ theme: 'Invented', confidence: 'Medium', quotes: ['Nobody said this'] }),
+				theme({ theme: 'Joins', quotes: ['JOIN performance needs work'] }),
+			],
+		});
+		const { digest: grounded, report } = groundDigest(digest, feedback);
+
+		const [performance, invented, joins] = grounded.top_themes;
+		// Both 11 and 13 match exactly; the theme's own item wins the tie
+		expect(performance.quotes).toEqual(['Batch inserts over 500 rows time out']);
+		expect(performance.quote_sources).toEqual([{ feedback_id: 13, source: 'support', score: 1, grounded: true }]);
+		expect(performance.confidence).toBe('Medium');
+		expect(invented).toMatchObject({ quotes: [], quote_sources: [], confidence: 'Low' });
+		expect(joins).toMatchObject({ quote_sources: [{ feedback_id: 12, grounded: true }], confidence: 'High' });
+		expect(report).toEqual({ mode: 'drop', quotes: 4, grounded: 2, hallucinated: 2 });
+	});
+
+	it('keeps hallucinated quotes flagged in flag mode', () => {
+		const digest = sampleDigest({ top_themes: [theme({ quotes: ['Nobody said this'] })] });
+		const { digest: grounded } = groundDigest(digest, feedback, 'flag');
+		expect(grounded.top_themes[0]).toMatchObject({
+			quotes: ['Nobody said this'],
+			quote_sources: [{ feedback_id: null, source: null, score: 0, grounded: false }],
+			confidence: 'Low',
+		});
+	});
+
+	it('records the report in metadata and reads the mode from QUOTE_GROUNDING_MODE', async () => {
+		const digest = sampleDigest({ top_themes: [theme({ quotes: ['Nobody said this'] })], metadata: { feedback_count: 3 } });
+		const grounded = await groundStage({ env: { QUOTE_GROUNDING_MODE: 'flag' }, feedback, digest });
+		expect(grounded.top_themes[0].quotes).toHaveLength(1);
+		expect(grounded.metadata).toEqual({ feedback_count: 3, grounding: { mode: 'flag', quotes: 1, grounded: 0, hallucinated: 1 } });
+	});
+});
+
+describe('rendered quotes', () => {
+	it('links grounded quotes to their feedback row and marks unverified ones', () => {
+		const html = String(
+			renderDigestHtml(
+				sampleDigest({
+					top_themes: [
+						theme({
+							quotes: ['Batch inserts over 500 rows time out', 'Nobody said this'],
+							quote_sources: [
+								{ feedback_id: 13, source: 'support', score: 1, grounded: true },
+								{ feedback_id: null, source: null, score: 0, grounded: false },
+							],
+						}),
+					],
+				})
+			)
+		);
+		expect(html).toContain('<a class="quote-source" href="/search?id=13">#13 · support</a>');
+		expect(html).toContain('unverified');
+	});
+
+	it('finds a single feedback row with ?id=', async () => {
+		const [id] = await seedFeedback(env, [{ content: 'grounding: a quoted row', created_at: '2044-01-01 00:00:00' }]);
+		const { feedback: rows } = await (await SELF.fetch(`http://example.com/api/feedback?id=${id}`, { headers: asViewer })).json();
+		expect(rows.map(f => f.id)).toEqual([id]);
+		expect((await SELF.fetch('http://example.com/api/feedback?id=abc', { headers: asViewer })).status).toBe(400);
+	});
+});
@@ -0,0 +1,114 @@
+import { hashToken } from '../src/auth.js';
+import { EMBEDDING_MODEL } from '../src/themes.js';
+
+// Shared fixtures for specs that exercise the digest pipeline
+
+export function sampleDigest(overrides = {}) {
+	return {
+		top_themes: [],
+		friction_points: [],
+		sentiment: { frustrated: 0, neutral: 100, positive: 0 },
+		feature_signals: [],
+		pm_actions: { docs_ux: [], validation: [], tracking: [] },
+		...overrides,
+	};
+}
+
+// Tokens seeded by the test setup; specs send these headers to reach protected routes
+export const VIEWER_TOKEN = 'test-viewer-token';
+export const ADMIN_TOKEN = 'test-admin-token';
+export const asViewer = { Authorization: `Bearer ${VIEWER_TOKEN}` };
+export const asAdmin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+// Idempotent: setup files may run more than once against the shared database
+export async function seedApiTokens(env) {
+	const tokens = [
+		['test viewer', VIEWER_TOKEN, 'viewer'],
+		['test admin', ADMIN_TOKEN, 'admin'],
+	];
+	await env.DB.batch(
+		await Promise.all(
+			tokens.map(async ([name, token, role]) =>
+				env.DB.prepare('INSERT OR IGNORE INTO api_tokens (name, token_hash, role) VALUES (?, ?, ?)').bind(name, await hashToken(token), role)
+			)
+		)
+	);
+}
+
+// Deterministic bag-of-words vector: texts sharing words point the same way
+export function fakeEmbedding(text) {
+	const vector = new Array(64).fill(0);
+	for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+		let hash = 0;
+		for (const char of word) {
+			hash = (hash * 31 + char.charCodeAt(0)) % 64;
+		}
+		vector[hash] += 1;
+	}
+	return vector;
+}
+
+/**
+ * Stands in for the Workers AI binding. `respond(messages, model, options)` returns the text the
+ * model would have produced (a string, or an object that is JSON-encoded); every call is recorded
+ * on `ai.calls`. Embedding calls go to `embed(text)` instead and are recorded on `ai.embeddings`.
+ */
+export function stubAI(respond, embed = fakeEmbedding) {
+	const ai = {
+		calls: [],
+		embeddings: [],
+		async run(model, options) {
+			if (model === EMBEDDING_MODEL) {
+				ai.embeddings.push(options.text);
+				const data = options.text.map(embed);
+				return { shape: [data.length, data[0].length], data };
+			}
+			ai.calls.push({ model, options });
+			const output = await respond(options.messages, model, options);
+			return { response: typeof output === 'string' ? output : JSON.stringify(output) };
+		},
+	};
+	return ai;
+}
+
+export function isClassificationPrompt(messages) {
+	return messages[0].content.startsWith('You are a PM labeling');
+}
+
+/**
+ * AI stub for full pipeline runs: classification prompts get `label(line, i)` for every numbered
+ * feedback line, analysis prompts get `digest`.
+ */
+export function pipelineAI(digest, label = () => ({ sentiment: 'neutral', theme: 'General', feature_request: false }), embed) {
+	return stubAI(messages => {
+		if (!isClassificationPrompt(messages)) {
+			return digest;
+		}
+		const lines = messages[0].content.match(/^\d+\. .*$/gm);
+		return { items: lines.map((line, i) => ({ index: i + 1, ...label(line, i) })) };
+	}, embed);
+}
+
+// Inserts feedback rows with explicit timestamps; returns their ids in order
+export async function seedFeedback(env, items) {
+	const results = await env.DB.batch(
+		items.map(({ content, source = 'github', created_at: createdAt }) =>
+			env.DB.prepare('INSERT INTO feedback (content, source, created_at) VALUES (?, ?, ?) RETURNING id').bind(content, source, createdAt)
+		)
+	);
+	return results.map(r => r.results[0].id);
+}
+
+// Test files share one D1 database (isolatedStorage is off for Workflows), so specs that
+// depend on digest history start from an empty table
+export async function clearDigests(env) {
+	await env.DB.batch([
+		env.DB.prepare('UPDATE spike_alerts SET run_id = NULL'),
+		env.DB.prepare('DELETE FROM digest_runs'),
+		env.DB.prepare('DELETE FROM notifications'),
+		env.DB.prepare('DELETE FROM theme_mentions'),
+		env.DB.prepare('DELETE FROM action_item_digests'),
+		env.DB.prepare('DELETE FROM daily_digests'),
+		env.DB.prepare('DELETE FROM spike_alerts'),
+	]);
+}
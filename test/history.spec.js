@@ -0,0 +1,109 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { DIGESTS_PER_PAGE } from '../src/history.js';
+import { asViewer, clearDigests, sampleDigest } from './helpers.js';
+
+async function insertDigest(createdAt, sentiment, date) {
+	const summary = sampleDigest({
+		top_themes: [{ theme: `Theme for ${date}`, mentions: 2, quotes: [], impact: 'Low', confidence: 'Low' }],
+		sentiment,
+		metadata: { date, sources: ['github'], feedback_count: 7 },
+	});
+	return env.DB.prepare(
+		"INSERT INTO daily_digests (summary, feedback_count, created_at, window_start, window_end) VALUES (?, 7, ?, '2035-01-01 00:00:00', ?) RETURNING id"
+	)
+		.bind(JSON.stringify(summary), createdAt, createdAt)
+		.first('id');
+}
+
+describe('digest history', () => {
+	let ids;
+
+	beforeAll(async () => {
+		await clearDigests(env);
+		ids = [];
+		for (let day = 1; day <= DIGESTS_PER_PAGE + 2; day++) {
+			const dd = String(day).padStart(2, '0');
+			ids.push(await insertDigest(`2035-01-${dd} 09:00:00`, { frustrated: day, neutral: 50, positive: 50 - day }, `Jan ${day}`));
+		}
+	});
+
+	// The database is shared with the other specs, where these 2035 windows would move resolveWindow
+	afterAll(async () => {
+		await env.DB.prepare('DELETE FROM daily_digests WHERE id IN (SELECT value FROM json_each(?))').bind(JSON.stringify(ids)).run();
+	});
+
+	it('lists digests newest first with pagination as JSON', async () => {
+		const first = await (await SELF.fetch('http://example.com/api/digests', { headers: asViewer })).json();
+		expect(first).toMatchObject({ page: 1, per_page: DIGESTS_PER_PAGE, total: DIGESTS_PER_PAGE + 2, next_page: 2, prev_page: null });
+		expect(first.digests).toHaveLength(DIGESTS_PER_PAGE);
+		expect(first.digests[0]).toEqual({
+			id: ids.at(-1),
+			product: 'd1',
+			date: `Jan ${DIGESTS_PER_PAGE + 2}`,
+			created_at: `2035-01-${DIGESTS_PER_PAGE + 2} 09:00:00`,
+			feedback_count: 7,
+			window: { from: '2035-01-01 00:00:00', to: `2035-01-${DIGESTS_PER_PAGE + 2} 09:00:00` },
+			sentiment: { frustrated: DIGESTS_PER_PAGE + 2, neutral: 50, positive: 50 - DIGESTS_PER_PAGE - 2 },
+			prompt_version: null,
+			model: null,
+			url: `/digests/${ids.at(-1)}`,
+		});
+
+		const second = await (await SELF.fetch('http://example.com/digests?page=2', { headers: { ...asViewer, Accept: 'application/json' } })).json();
+		expect(second.digests.map(d => d.id)).toEqual([ids[1], ids[0]]);
+		expect(second.next_page).toBeNull();
+	});
+
+	it('renders the history page with sentiment mini-bars', async () => {
+		const response = await SELF.fetch('http://example.com/digests', { headers: asViewer });
+		expect(response.headers.get('Content-Type')).toBe('text/html');
+		const html = await response.text();
+		expect(html).toContain(`<a href="/digests/${ids.at(-1)}">Jan ${DIGESTS_PER_PAGE + 2}</a>`);
+		expect(html).toContain('class="sentiment-bar mini"');
+		expect(html).toContain('<a href="/digests?page=2">Older →</a>');
+	});
+
+	it('renders any stored digest at its permalink', async () => {
+		const response = await SELF.fetch(`http://example.com/digests/${ids[1]}`, { headers: asViewer });
+		const html = await response.text();
+		expect(html).toContain(`<h1>Digest #${ids[1]}</h1>`);
+		expect(html).toContain('Theme for Jan 2');
+		expect(html).toContain(`<a href="/digests/${ids[0]}">← Previous digest</a>`);
+		expect(html).toContain(`<a href="/digests/${ids[2]}">Next digest →</a>`);
+	});
+
+	it("links only to the same product's neighbours", async () => {
+		const productId = await env.DB.prepare("INSERT INTO products (slug, name, schedule) VALUES ('history-other', 'Other', NULL) RETURNING id").first(
+			'id'
+		);
+		const other = await env.DB.prepare(
+			"INSERT INTO daily_digests (summary, feedback_count, created_at, product_id) VALUES (?, 1, '2035-01-01 12:00:00', ?) RETURNING id"
+		)
+			.bind(JSON.stringify(sampleDigest()), productId)
+			.first('id');
+
+		const html = await (await SELF.fetch(`http://example.com/digests/${ids[1]}`, { headers: asViewer })).text();
+		expect(html).toContain(`<a href="/digests/${ids[0]}">← Previous digest</a>`);
+		const otherHtml = await (await SELF.fetch(`http://example.com/digests/${other}`, { headers: asViewer })).text();
+		expect(otherHtml).not.toContain('Previous digest');
+		expect(otherHtml).not.toContain('Next digest');
+
+		await env.DB.batch([
+			env.DB.prepare('DELETE FROM daily_digests WHERE id = ?').bind(other),
+			env.DB.prepare('DELETE FROM products WHERE id = ?').bind(productId),
+		]);
+	});
+
+	it('serves the same digest as JSON', async () => {
+		const digest = await (await SELF.fetch(`http://example.com/api/digests/${ids[0]}`, { headers: asViewer })).json();
+		expect(digest).toMatchObject({ id: ids[0], feedback_count: 7, created_at: '2035-01-01 09:00:00', metadata: { date: 'Jan 1' } });
+	});
+
+	it('returns 404 for unknown digests', async () => {
+		expect((await SELF.fetch('http://example.com/digests/999999', { headers: asViewer })).status).toBe(404);
+		const response = await SELF.fetch('http://example.com/api/digests/999999', { headers: asViewer });
+		expect(response.status).toBe(404);
+		expect(await response.json()).toEqual({ error: 'Digest not found' });
+	});
+});
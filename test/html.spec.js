@@ -0,0 +1,107 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { RUN_DIGEST_SCRIPT } from '../src/client.js';
+import { html, htmlWrapper } from '../src/html.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { asAdmin, asViewer, pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+const XSS = '<img src=x onerror=alert(1)>';
+const BREAKOUT = '"><script>alert(1)</script>';
+
+describe('html``', () => {
+	it('escapes interpolated values but not nested html``', () => {
+		const name = '<b>"Tom" & \'Jerry\'</b>';
+		const link = html`<a href="/search?q=${name}">${name}</a>`;
+		expect(String(link)).toBe('<a href="/search?q=&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;">&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;</a>');
+		expect(String(html`<p>${link}</p>`)).toBe(`<p>${link}</p>`);
+	});
+
+	it('joins arrays and skips null, undefined and false', () => {
+		expect(String(html`<ul>${['<a>', html`<li>b</li>`]}</ul>${null}${undefined}${false}${0}`)).toBe('<ul>&lt;a&gt;<li>b</li></ul>0');
+	});
+
+	it('escapes plain-string page content and titles in htmlWrapper', () => {
+		const page = htmlWrapper(BREAKOUT, `<script>alert(1)</script>`);
+		expect(page).not.toContain('<script>');
+		expect(page).toContain('<title>&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;</title>');
+	});
+});
+
+describe('pages built from hostile feedback', () => {
+	let digestId;
+	let themeId;
+
+	beforeAll(async () => {
+		await seedFeedback(env, [
+			{ content: `xss: ${XSS} breaks the dashboard`, source: BREAKOUT, created_at: '2045-01-01 09:00:00' },
+			{ content: `xss: ${BREAKOUT} in the console`, source: 'github', created_at: '2045-01-01 10:00:00' },
+		]);
+		// The model repeats what customers wrote, so every field of its output carries the payloads
+		const ai = pipelineAI(
+			sampleDigest({
+				top_themes: [{ theme: BREAKOUT, mentions: 2, quotes: [`${XSS} breaks the dashboard`, XSS], impact: 'High', confidence: 'High' }],
+				sentiment: { frustrated: 2, neutral: 0, positive: 0 },
+				feature_signals: [XSS],
+				pm_actions: { docs_ux: [BREAKOUT], validation: [], tracking: [] },
+			}),
+			() => ({ sentiment: 'frustrated', theme: BREAKOUT, feature_request: true })
+		);
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const result = await runDigestPipeline(
+			{ ...env, AI: ai, QUOTE_GROUNDING_MODE: 'flag' },
+			{ from: '2045-01-01T00:00:00Z', to: '2045-01-02T00:00:00Z' }
+		);
+		log.mockRestore();
+		digestId = result.digestId;
+		themeId = result.digest.top_themes[0].theme_id;
+	});
+
+	it('escapes model and feedback text on every page', async () => {
+		const pages = [
+			`/digests/${digestId}`,
+			'/digests',
+			'/themes',
+			`/themes/${themeId}`,
+			'/search?q=xss',
+			`/search?theme=${encodeURIComponent(BREAKOUT)}`,
+		];
+		for (const path of pages) {
+			const response = await SELF.fetch(`http://example.com${path}`, { headers: asViewer });
+			expect(response.status, path).toBe(200);
+			const body = await response.text();
+			expect(body, path).not.toContain('<script>alert');
+			expect(body, path).not.toContain('<img src=x');
+		}
+
+		const digestPage = await (await SELF.fetch(`http://example.com/digests/${digestId}`, { headers: asViewer })).text();
+		expect(digestPage).toContain('&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;');
+		expect(digestPage).toContain('&lt;img src=x onerror=alert(1)&gt;');
+	});
+
+	it('sends a Content-Security-Policy that blocks inline scripts', async () => {
+		for (const path of ['/', `/digests/${digestId}`, '/run-digest']) {
+			const response = await SELF.fetch(`http://example.com${path}`, { headers: asAdmin });
+			const policy = response.headers.get('Content-Security-Policy');
+			expect(policy, path).toContain("default-src 'none'");
+			expect(policy.split('; '), path).toContain("script-src 'self'");
+		}
+	});
+});
+
+describe('/run-digest', () => {
+	it('loads its renderer from /run-digest.js instead of an inline script', async () => {
+		const page = await (await SELF.fetch('http://example.com/run-digest?product=d1&from=2045-01-01', { headers: asAdmin })).text();
+		expect(page).toContain('<script src="/run-digest.js"></script>');
+		expect(page).not.toMatch(/<script>/);
+		expect(page).toContain('data-src="/run-digest?execute=true&amp;product=d1&amp;from=2045-01-01"');
+
+		const script = await SELF.fetch('http://example.com/run-digest.js', { headers: asViewer });
+		expect(script.headers.get('Content-Type')).toContain('text/javascript');
+		expect(await script.text()).toBe(RUN_DIGEST_SCRIPT);
+	});
+
+	it('builds the digest with DOM APIs only', () => {
+		expect(RUN_DIGEST_SCRIPT).toMatch(/^\(function runDigestPage\(\) \{/);
+		expect(RUN_DIGEST_SCRIPT).not.toMatch(/innerHTML|outerHTML|insertAdjacentHTML|document\.write/);
+	});
+});
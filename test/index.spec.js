@@ -1,20 +1,47 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
+import { asViewer } from './helpers.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
+describe('Landing page', () => {
+	it('renders the sample digest (unit style)', async () => {
 		const request = new Request('http://example.com');
 		// Create an empty context to pass to `worker.fetch()`.
 		const ctx = createExecutionContext();
 		const response = await worker.fetch(request, env, ctx);
 		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(response.headers.get('Content-Type')).toBe('text/html');
+		expect(await response.text()).toContain('<title>Daily Feedback Digest</title>');
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
+	it('renders the sample digest (integration style)', async () => {
 		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(response.status).toBe(200);
+		expect(await response.text()).toContain('🗄️ Daily Feedback Digest');
+	});
+});
+
+describe('Routing', () => {
+	it('serves the login page without credentials and asks for them everywhere else', async () => {
+		expect((await SELF.fetch('http://example.com/login')).status).toBe(200);
+
+		const page = await SELF.fetch('http://example.com/digests');
+		expect(page.status).toBe(401);
+		expect(await page.text()).toContain('Log in to see this page.');
+
+		const api = await SELF.fetch('http://example.com/api/digests');
+		expect(api.status).toBe(401);
+		expect(await api.json()).toEqual({ error: 'Authentication required' });
+	});
+
+	it('lists the configured products', async () => {
+		const { products } = await (await SELF.fetch('http://example.com/api/products', { headers: asViewer })).json();
+		expect(products.map(p => p.slug)).toContain('d1');
+	});
+
+	it('answers 404 for an unknown product', async () => {
+		const response = await SELF.fetch('http://example.com/latest-digest?product=nope', { headers: asViewer });
+		expect(response.status).toBe(404);
 	});
 });
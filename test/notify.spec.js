@@ -0,0 +1,144 @@
+import { env, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import {
+	NOTIFY_STEP_CONFIG,
+	NotificationError,
+	buildDiscordPayload,
+	buildSlackPayload,
+	buildTeamsPayload,
+	configuredChannels,
+	deliverNotification,
+} from '../src/notify.js';
+import { notifyStage } from '../src/pipeline.js';
+import { sampleDigest } from './helpers.js';
+
+const digest = sampleDigest({
+	top_themes: [{ theme: 'Backups', mentions: 3, quotes: [], impact: 'High', confidence: 'High' }],
+	sentiment: { frustrated: 60, neutral: 30, positive: 10 },
+	feature_signals: ['Point-in-time recovery'],
+	pm_actions: { docs_ux: ['Document restore steps'], validation: [], tracking: [] },
+	metadata: { date: 'Mar 1', sources: ['github', 'support'], feedback_count: 12 },
+});
+
+// Local stand-in for the webhook receivers
+const HOOKS = 'https://hooks.test';
+
+async function notificationsFor(digestId) {
+	const { results } = await env.DB.prepare('SELECT channel, status, response_status, error FROM notifications WHERE digest_id = ? ORDER BY id')
+		.bind(digestId)
+		.all();
+	return results;
+}
+
+async function insertDigest() {
+	return env.DB.prepare("INSERT INTO daily_digests (summary, feedback_count) VALUES ('{}', 12) RETURNING id").first('id');
+}
+
+// Mimics step.do's retry behaviour for the inline pipeline
+function retryingRunStep(steps) {
+	return async (name, fn, config) => {
+		steps.push(name);
+		const attempts = (config?.retries?.limit ?? 0) + 1;
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await fn();
+			} catch (err) {
+				if (attempt >= attempts) throw err;
+			}
+		}
+	};
+}
+
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+describe('formatters', () => {
+	it('keeps the Slack Block Kit payload', () => {
+		const payload = buildSlackPayload(digest);
+		expect(payload.text).toBe('🗄️ D1 Feedback Digest — Mar 1');
+		expect(payload.blocks[3].text.text).toBe('*🔥 Top Themes*\n1. *Backups* (3 mentions) — Impact: High');
+	});
+
+	it('formats Teams and Discord messages', () => {
+		expect(buildTeamsPayload(digest)).toMatchObject({ '@type': 'MessageCard', title: '🗄️ D1 Feedback Digest — Mar 1' });
+		const embed = buildDiscordPayload(digest).embeds[0];
+		expect(embed.fields.map(f => f.name)).toEqual(['🔥 Top Themes', '😬 Sentiment', '💡 Feature Signals', '✅ PM Actions']);
+		expect(embed.fields[0].value).toBe('1. **Backups** (3 mentions) — Impact: High');
+	});
+});
+
+describe('configuredChannels', () => {
+	it('enables channels whose webhook URL is set', () => {
+		expect(configuredChannels({})).toEqual([]);
+		expect(configuredChannels({ DISCORD_WEBHOOK_URL: 'x', SLACK_WEBHOOK_URL: 'y' })).toEqual(['slack', 'discord']);
+	});
+});
+
+describe('deliverNotification', () => {
+	it('posts the payload and logs the delivery', async () => {
+		const digestId = await insertDigest();
+		let body;
+		fetchMock
+			.get(HOOKS)
+			.intercept({ path: '/generic', method: 'POST' })
+			.reply(200, opts => {
+				body = JSON.parse(opts.body);
+				return 'ok';
+			});
+
+		const result = await deliverNotification({ ...env, NOTIFY_WEBHOOK_URL: `${HOOKS}/generic` }, 'webhook', digest, digestId);
+
+		expect(result).toEqual({ channel: 'webhook', status: 'sent' });
+		expect(body).toMatchObject({ type: 'digest', digest_id: digestId, digest: { sentiment: digest.sentiment } });
+		expect(await notificationsFor(digestId)).toEqual([{ channel: 'webhook', status: 'sent', response_status: 200, error: null }]);
+	});
+
+	it('throws and logs on a non-2xx response', async () => {
+		const digestId = await insertDigest();
+		fetchMock.get(HOOKS).intercept({ path: '/slack', method: 'POST' }).reply(500, 'invalid_token');
+
+		await expect(deliverNotification({ ...env, SLACK_WEBHOOK_URL: `${HOOKS}/slack` }, 'slack', digest, digestId)).rejects.toThrow(
+			NotificationError
+		);
+		expect(await notificationsFor(digestId)).toEqual([{ channel: 'slack', status: 'failed', response_status: 500, error: 'invalid_token' }]);
+	});
+});
+
+describe('notifyStage', () => {
+	it('retries each channel in its own step and reports channels that never succeed', async () => {
+		const digestId = await insertDigest();
+		const hooks = fetchMock.get(HOOKS);
+		hooks.intercept({ path: '/slack', method: 'POST' }).reply(503, 'busy');
+		hooks.intercept({ path: '/slack', method: 'POST' }).reply(200, 'ok');
+		hooks
+			.intercept({ path: '/discord', method: 'POST' })
+			.reply(500, 'down')
+			.times(NOTIFY_STEP_CONFIG.retries.limit + 1);
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const steps = [];
+
+		const results = await notifyStage({
+			env: { ...env, SLACK_WEBHOOK_URL: `${HOOKS}/slack`, DISCORD_WEBHOOK_URL: `${HOOKS}/discord` },
+			digest,
+			digestId,
+			runStep: retryingRunStep(steps),
+		});
+
+		expect(steps).toEqual(['notify-slack', 'notify-discord']);
+		expect(results).toEqual([
+			{ channel: 'slack', status: 'sent' },
+			{ channel: 'discord', status: 'failed', error: 'discord responded with 500' },
+		]);
+		const log = await notificationsFor(digestId);
+		expect(log.map(n => `${n.channel}:${n.status}`)).toEqual([
+			'slack:failed',
+			'slack:sent',
+			...Array(NOTIFY_STEP_CONFIG.retries.limit + 1).fill('discord:failed'),
+		]);
+		error.mockRestore();
+	});
+});
@@ -0,0 +1,221 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { DigestWindowError, FETCH_PAGE_SIZE } from '../src/digest.js';
+import { buildSlackPayload } from '../src/notify.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { pipelineAI, sampleDigest, seedFeedback, stubAI } from './helpers.js';
+
+const window = { from: '2034-03-01T00:00:00Z', to: '2034-03-02T00:00:00Z' };
+
+const modelDigest = sampleDigest({
+	top_themes: [{ theme: 'Migrations', mentions: 2, quotes: ['migrations hang'], impact: 'High', confidence: 'Medium' }],
+	friction_points: [{ point: 'Migration locks', count: 2 }],
+	sentiment: { frustrated: 2, neutral: 1, positive: 1 },
+	feature_signals: ['Online schema changes'],
+	pm_actions: { docs_ux: ['Document migration locking'], validation: [], tracking: [] },
+});
+
+// Labels the seeded items by keyword, the way a well-behaved model would
+const labelByContent = line => ({
+	sentiment: line.includes('love') ? 'positive' : 'frustrated',
+	theme: line.includes('migrations') ? 'Migrations' : 'Console',
+	feature_request: line.includes('lock'),
+});
+
+describe('runDigestPipeline', () => {
+	let ids;
+
+	beforeAll(async () => {
+		ids = await seedFeedback(env, [
+			{ content: 'pipeline: migrations hang on large tables', source: 'github', created_at: '2034-03-01 09:00:00' },
+			{ content: 'pipeline: love the new console', source: 'twitter', created_at: '2034-03-01 10:00:00' },
+			{ content: 'pipeline: migrations lock writes', source: 'discord', created_at: '2034-03-01 11:00:00' },
+		]);
+	});
+
+	it('runs fetch and redact, classify, cluster, analyze, ground, persist and notify against D1 with a stubbed model', async () => {
+		const ai = pipelineAI(`Sure! Here is the JSON:\n${JSON.stringify(modelDigest)}`, labelByContent);
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const steps = [];
+
+		const result = await runDigestPipeline({ ...env, AI: ai }, window, {
+			runStep: (name, fn) => {
+				steps.push(name);
+				return fn();
+			},
+		});
+
+		expect(steps).toEqual([
+			'resolve-product',
+			'resolve-window',
+			'fetch-feedback-1',
+			'classify-chunk-1',
+			'store-labels',
+			'cluster-chunk-1',
+			'analyze-chunk-1',
+			'compute-trend',
+			'store-digest',
+			'store-theme-mentions',
+			'store-action-items',
+			'notify-slack',
+		]);
+		expect(ai.calls).toHaveLength(2);
+		expect(ai.calls[0].model).toBe('@cf/meta/llama-3-8b-instruct');
+		expect(ai.calls[0].options.messages[0].content).toContain('1. [github] pipeline: migrations hang on large tables');
+		expect(ai.calls[1].options.messages[0].content).toContain(
+			'1. [github] (frustrated; theme: Migrations) pipeline: migrations hang on large tables'
+		);
+
+		expect(ai.embeddings).toEqual([
+			['pipeline: migrations hang on large tables', 'pipeline: love the new console', 'pipeline: migrations lock writes'],
+		]);
+
+		expect(result.status).toBe('completed');
+		const { results: themes } = await env.DB.prepare(
+			`SELECT DISTINCT t.id, t.name FROM feedback f JOIN themes t ON t.id = f.theme_id WHERE f.id IN (${ids.join(',')}) ORDER BY t.name DESC`
+		).all();
+		const [migrations, consoleTheme] = themes;
+		expect(themes.map(t => t.name)).toEqual(['Migrations', 'Console']);
+		// Counted from the labels (2 frustrated, 1 positive), not the model's 2/1/1
+		expect(result.digest.sentiment).toMatchObject({ frustrated: 67, neutral: 0, positive: 33 });
+		expect(result.digest.top_themes).toEqual([
+			{
+				theme_id: migrations.id,
+				theme: 'Migrations',
+				mentions: 2,
+				quotes: ['migrations hang'],
+				quote_sources: [{ feedback_id: ids[0], source: 'github', score: 1, grounded: true }],
+				impact: 'High',
+				confidence: 'Medium',
+				feedback_ids: [ids[0], ids[2]],
+			},
+			{
+				theme_id: consoleTheme.id,
+				theme: 'Console',
+				mentions: 1,
+				quotes: ['pipeline: love the new console'],
+				quote_sources: [{ feedback_id: ids[1], source: 'twitter', score: 1, grounded: true }],
+				impact: 'High',
+				confidence: 'Medium',
+				feedback_ids: [ids[1]],
+			},
+		]);
+		expect(result.digest.metadata).toMatchObject({
+			date: 'Mar 2',
+			product: { slug: 'd1', name: 'D1', emoji: '🗄️' },
+			sources: ['github', 'twitter', 'discord'],
+			feedback_count: 3,
+			window: { from: '2034-03-01 00:00:00', to: '2034-03-02 00:00:00' },
+			chunks: 1,
+			failed_chunks: 0,
+			classification: { labeled: 3, newly_labeled: 3, failed_chunks: 0, feature_requests: 1 },
+			clustering: { assigned: 3, failed_chunks: 0 },
+		});
+
+		const { results: labels } = await env.DB.prepare(
+			`SELECT sentiment, theme, is_feature_request FROM feedback WHERE id IN (${ids.join(',')}) ORDER BY id`
+		).all();
+		expect(labels).toEqual([
+			{ sentiment: 'frustrated', theme: 'Migrations', is_feature_request: 0 },
+			{ sentiment: 'positive', theme: 'Console', is_feature_request: 0 },
+			{ sentiment: 'frustrated', theme: 'Migrations', is_feature_request: 1 },
+		]);
+
+		const row = await env.DB.prepare('SELECT * FROM daily_digests WHERE id = ?').bind(result.digestId).first();
+		expect(JSON.parse(row.summary)).toEqual(result.digest);
+		expect(row.feedback_count).toBe(3);
+		expect(JSON.parse(row.feedback_ids)).toEqual(ids);
+
+		const { results: mentions } = await env.DB.prepare('SELECT theme_id, mentions FROM theme_mentions WHERE digest_id = ? ORDER BY mentions DESC')
+			.bind(result.digestId)
+			.all();
+		expect(mentions).toEqual([
+			{ theme_id: migrations.id, mentions: 2 },
+			{ theme_id: consoleTheme.id, mentions: 1 },
+		]);
+
+		expect(log).toHaveBeenCalledWith('[SLACK] Would send:', JSON.stringify(buildSlackPayload(result.digest), null, 2));
+		log.mockRestore();
+	});
+
+	it('does not re-classify feedback that already has labels', async () => {
+		const ai = pipelineAI(modelDigest, labelByContent);
+		const result = await runDigestPipeline({ ...env, AI: ai }, window, { stages: { notify: async () => {} } });
+
+		expect(ai.calls).toHaveLength(1);
+		expect(ai.embeddings).toHaveLength(0);
+		expect(result.digest.metadata.classification).toMatchObject({ labeled: 3, newly_labeled: 0 });
+		expect(result.digest.metadata.clustering).toMatchObject({ assigned: 3, new_themes: 0 });
+		expect(result.digest.top_themes.map(t => t.mentions)).toEqual([2, 1]);
+	});
+
+	it('stores the fallback digest with the raw response when the model output is unusable', async () => {
+		const fallbackWindow = { from: '2034-03-05T00:00:00Z', to: '2034-03-06T00:00:00Z' };
+		await seedFeedback(env, [{ content: 'pipeline: unparseable day', created_at: '2034-03-05 09:00:00' }]);
+		const ai = stubAI(() => 'I cannot help with that');
+		const result = await runDigestPipeline({ ...env, AI: ai }, fallbackWindow, { stages: { notify: async () => {} } });
+
+		expect(result.digest.top_themes[0].theme).toBe('Unable to parse');
+		expect(result.digest.raw_response).toBe('I cannot help with that');
+		expect(result.digest.metadata).toMatchObject({ feedback_count: 1, failed_chunks: 1, classification: { labeled: 0, failed_chunks: 1 } });
+		expect(result.digest).not.toHaveProperty('sentiment_trend');
+	});
+
+	it('lets callers replace individual stages', async () => {
+		const notify = vi.fn();
+		const result = await runDigestPipeline(env, window, {
+			stages: {
+				classify: async ({ feedback }) => ({ feedback }),
+				cluster: async ({ feedback }) => ({ feedback }),
+				analyze: async ({ feedback }) => sampleDigest({ metadata: { feedback_count: feedback.length } }),
+				persist: async () => 'digest-1',
+				notify,
+			},
+		});
+
+		expect(result).toMatchObject({ status: 'completed', digestId: 'digest-1' });
+		expect(notify).toHaveBeenCalledWith(expect.objectContaining({ digestId: 'digest-1', digest: result.digest }));
+	});
+
+	it('fetches large windows a page per step, keeping each step output small', async () => {
+		const count = FETCH_PAGE_SIZE * 2 + 1;
+		await seedFeedback(
+			env,
+			Array.from({ length: count }, (_, i) => ({
+				content: `pipeline: long report ${i} ${'x'.repeat(3970)}`,
+				created_at: `2034-05-01 ${String(1 + Math.floor(i / 10)).padStart(2, '0')}:00:00`,
+			}))
+		);
+		const outputs = new Map();
+		const result = await runDigestPipeline(
+			{ ...env, AI: pipelineAI(modelDigest) },
+			{ from: '2034-05-01T00:00:00Z', to: '2034-05-02T00:00:00Z' },
+			{
+				stages: { notify: async () => {} },
+				runStep: async (name, fn) => {
+					const output = await fn();
+					outputs.set(name, JSON.stringify(output ?? null).length);
+					return output;
+				},
+			}
+		);
+
+		const pages = [...outputs.keys()].filter(name => name.startsWith('fetch-'));
+		expect(pages).toEqual(['fetch-feedback-1', 'fetch-feedback-2', 'fetch-feedback-3']);
+		expect(Math.max(...outputs.values())).toBeLessThan(1024 * 1024);
+		expect(result.digest.metadata.feedback_count).toBe(count);
+		const stored = await env.DB.prepare('SELECT feedback_ids FROM daily_digests WHERE id = ?').bind(result.digestId).first('feedback_ids');
+		expect(new Set(JSON.parse(stored)).size).toBe(count);
+	});
+
+	it('skips empty windows without calling the model', async () => {
+		const ai = stubAI(() => modelDigest);
+		const result = await runDigestPipeline({ ...env, AI: ai }, { from: '2034-04-01T00:00:00Z', to: '2034-04-02T00:00:00Z' });
+		expect(result).toMatchObject({ status: 'skipped', reason: 'No feedback to analyze' });
+		expect(ai.calls).toHaveLength(0);
+	});
+
+	it('rejects invalid windows', async () => {
+		await expect(runDigestPipeline(env, { from: 'soon' })).rejects.toThrow(DigestWindowError);
+	});
+});
@@ -0,0 +1,142 @@
+import { env, fetchMock, SELF, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import worker from '../src';
+import { buildSlackPayload, channelTargets } from '../src/notify.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { ProductNotFoundError, getProduct } from '../src/products.js';
+import { asAdmin, asViewer, pipelineAI, sampleDigest } from './helpers.js';
+
+const HOOKS = 'https://hooks.test';
+
+function post(path, body) {
+	return SELF.fetch(`http://example.com${path}`, {
+		method: 'POST',
+		headers: { ...asAdmin, 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	});
+}
+
+beforeAll(async () => {
+	await env.DB.batch([
+		env.DB.prepare(
+			`INSERT INTO products (slug, name, emoji, prompt_context, notification_targets, schedule)
+			 VALUES ('r2', 'R2', '🪣', 'Cloudflare R2 object storage', ?, '0 9 * * *')`
+		).bind(JSON.stringify({ slack: `${HOOKS}/r2-slack` })),
+		env.DB.prepare("INSERT INTO products (slug, name, emoji, schedule) VALUES ('kv', 'KV', '🔑', '0 * * * *')"),
+		env.DB.prepare("INSERT INTO products (slug, name, schedule) VALUES ('manual', 'Manual', NULL)"),
+	]);
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+
+afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+describe('getProduct', () => {
+	it('finds products by slug and defaults to D1', async () => {
+		expect(await getProduct(env, 'r2')).toMatchObject({ name: 'R2', emoji: '🪣', notification_targets: { slack: `${HOOKS}/r2-slack` } });
+		expect(await getProduct(env, null)).toMatchObject({ id: 1, slug: 'd1', prompt_context: 'Cloudflare D1 database' });
+		await expect(getProduct(env, 'nope')).rejects.toThrow(ProductNotFoundError);
+	});
+});
+
+describe('scheduled', () => {
+	it('starts one workflow per product on the cron that fired', async () => {
+		const create = vi.fn(async ({ params }) => ({ id: `instance-${params.product}` }));
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const ctx = createExecutionContext();
+
+		await worker.scheduled({ cron: '0 9 * * *' }, { ...env, DIGEST_WORKFLOW: { create } }, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(create.mock.calls.map(([options]) => options.params.product)).toEqual(['d1', 'r2']);
+		log.mockRestore();
+	});
+});
+
+describe('product-tagged feedback', () => {
+	it('tags feedback with a product and dedupes within a product only', async () => {
+		const d1 = await (await post('/feedback', { content: 'products: lifecycle rules please', source: 'github' })).json();
+		const r2 = await post('/feedback', { content: 'products: lifecycle rules please', source: 'github', product: 'r2' });
+		expect(r2.status).toBe(201);
+		const { id } = await r2.json();
+		expect(id).not.toBe(d1.id);
+
+		const row = await env.DB.prepare('SELECT p.slug FROM feedback f JOIN products p ON p.id = f.product_id WHERE f.id = ?').bind(id).first();
+		expect(row.slug).toBe('r2');
+
+		// A batch of repeats resolves each to its own product's row
+		const batch = await post('/feedback/batch', [
+			{ content: 'products: lifecycle rules please', source: 'discord', product: 'r2' },
+			{ content: 'products: lifecycle rules please', source: 'discord' },
+		]);
+		expect((await batch.json()).results.map(r => [r.status, r.id])).toEqual([
+			['duplicate', id],
+			['duplicate', d1.id],
+		]);
+
+		const unknown = await post('/feedback', { content: 'products: anything', source: 'github', product: 'nope' });
+		expect(unknown.status).toBe(400);
+		expect((await unknown.json()).details).toEqual(['product "nope" does not exist']);
+	});
+});
+
+describe('product digests', () => {
+	it('analyzes only the product feedback, with its prompt, title and notification targets', async () => {
+		await post('/feedback/batch', [
+			{ content: 'products: r2 multipart uploads stall', source: 'discord', product: 'r2', created_at: '2041-01-01T10:00:00Z' },
+			{ content: 'products: d1 item in the same window', source: 'discord', created_at: '2041-01-01T11:00:00Z' },
+		]);
+		fetchMock.get(HOOKS).intercept({ path: '/r2-slack', method: 'POST' }).reply(200, 'ok');
+		const ai = pipelineAI(sampleDigest({ sentiment: { frustrated: 1, neutral: 0, positive: 0 } }), () => ({
+			sentiment: 'frustrated',
+			theme: 'Multipart uploads',
+			feature_request: false,
+		}));
+
+		const result = await runDigestPipeline(
+			{ ...env, AI: ai, SLACK_WEBHOOK_URL: `${HOOKS}/d1-slack` },
+			{ product: 'r2', from: '2041-01-01T00:00:00Z', to: '2041-01-02T00:00:00Z' }
+		);
+
+		expect(result.product).toEqual({ slug: 'r2', name: 'R2', emoji: '🪣' });
+		expect(ai.calls[0].options.messages[0].content).toContain('labeling product feedback for Cloudflare R2 object storage');
+		expect(ai.calls[1].options.messages[0].content).toContain('analyzing product feedback for Cloudflare R2 object storage');
+		expect(result.digest.metadata).toMatchObject({ product: { slug: 'r2' }, feedback_count: 1 });
+		expect(buildSlackPayload(result.digest).text).toBe(`🪣 R2 Feedback Digest — ${result.digest.metadata.date}`);
+		expect(result.notifications).toEqual([{ channel: 'slack', status: 'sent' }]);
+
+		const latest = await SELF.fetch('http://example.com/latest-digest?product=r2', { headers: asViewer });
+		expect(await latest.text()).toContain('Latest R2 Digest');
+		const list = await (await SELF.fetch('http://example.com/api/digests?product=r2', { headers: asViewer })).json();
+		expect(list.digests.map(d => d.id)).toEqual([result.digestId]);
+	});
+
+	it('uses env webhook URLs only for products without their own targets', async () => {
+		const envWithSlack = { SLACK_WEBHOOK_URL: `${HOOKS}/default` };
+		expect(channelTargets(envWithSlack, await getProduct(env, 'd1'))).toEqual({ slack: `${HOOKS}/default` });
+		expect(channelTargets(envWithSlack, await getProduct(env, 'r2'))).toEqual({ slack: `${HOOKS}/r2-slack` });
+	});
+});
+
+describe('product selector', () => {
+	it('answers 404 for unknown products', async () => {
+		for (const path of ['/latest-digest', '/api/digests', '/api/trends', '/api/themes', '/run-digest?execute=true&', '/trigger-workflow']) {
+			const response = await SELF.fetch(`http://example.com${path}${path.endsWith('&') ? '' : '?'}product=nope`, { headers: asAdmin });
+			expect(response.status, path).toBe(404);
+			expect(await response.json()).toEqual({ error: 'Unknown product: nope' });
+		}
+	});
+
+	it('lists products without their webhook URLs', async () => {
+		const { products } = await (await SELF.fetch('http://example.com/api/products', { headers: asViewer })).json();
+		expect(products.find(p => p.slug === 'r2')).toEqual({
+			id: expect.any(Number),
+			slug: 'r2',
+			name: 'R2',
+			emoji: '🪣',
+			prompt_context: 'Cloudflare R2 object storage',
+			schedule: '0 9 * * *',
+			notification_channels: ['slack'],
+		});
+	});
+});
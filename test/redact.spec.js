@@ -0,0 +1,154 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import worker from '../src';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { DEFAULT_RULES, parseCustomRules, redactDigest, redactFeedback, redactText } from '../src/redact.js';
+import { asAdmin, pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+const redact = text => redactText(text, DEFAULT_RULES);
+
+describe('redactText', () => {
+	it('replaces each kind of PII and counts it', () => {
+		const { text, counts } = redact(
+			'Mail ops@example.com or jane.doe+d1@corp.example.co.uk, from 203.0.113.7 and 2001:db8:0:0:0:0:0:1 / fe80::1, ' +
+				'account 0123456789abcdef0123456789ABCDEF, header Authorization: Bearer abcDEF123456.xyz, api_key=sk_live_12345678, ' +
+				'call +1 415 555 0100 or (415) 555-0100 or +442079460958'
+		);
+		expect(text).toBe(
+			'Mail [EMAIL] or [EMAIL], from [IP] and [IP] / [IP], account [CF_ID], header Authorization: Bearer [TOKEN], api_key=[TOKEN], ' +
+				'call [PHONE] or [PHONE] or [PHONE]'
+		);
+		expect(counts).toEqual({ email: 2, ip: 3, cloudflare_id: 1, token: 2, phone: 3 });
+	});
+
+	it('leaves ordinary feedback alone', () => {
+		const text = 'Since 2025-01-21 at 10:30:45, inserts over 500 rows take 800ms on v1.2.3; std::vector docs at docs.example.com';
+		expect(redact(text)).toEqual({ text, counts: {} });
+	});
+
+	it('keeps code and numbers that only look like addresses or phone numbers', () => {
+		for (const text of [
+			'std::vector and dead::beef',
+			'from 100 000 000 rows to 200 000 000',
+			'batch of 1000 2000 3000 rows',
+			'issue #1234 5678 9012',
+			'ratio 1::2',
+		]) {
+			expect(redact(text), text).toEqual({ text, counts: {} });
+		}
+	});
+
+	it('still catches compressed IPv6 and separated phone numbers', () => {
+		expect(redact('egress 2606:4700::1111 and 2001:db8::1, call 415-555-0100 or 415.555.0100').text).toBe(
+			'egress [IP] and [IP], call [PHONE] or [PHONE]'
+		);
+	});
+});
+
+describe('parseCustomRules', () => {
+	it('compiles rules and skips invalid ones', () => {
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const rules = parseCustomRules(
+			JSON.stringify([
+				{ name: 'ticket', pattern: 'TICKET-\\d+', flags: 'i' },
+				{ name: 'customer', pattern: 'Acme Corp', replacement: '[CUSTOMER]' },
+				{ name: 'broken', pattern: '(' },
+			])
+		);
+		expect(rules.map(r => r.name)).toEqual(['ticket', 'customer']);
+		expect(redactText('ticket-42 from Acme Corp', rules)).toEqual({ text: '[TICKET] from [CUSTOMER]', counts: { ticket: 1, customer: 1 } });
+
+		expect(parseCustomRules('not json')).toEqual([]);
+		expect(parseCustomRules('{}')).toEqual([]);
+		error.mockRestore();
+	});
+});
+
+describe('redactFeedback and redactDigest', () => {
+	it('reports how many items changed', () => {
+		const { feedback, report } = redactFeedback(
+			[
+				{ id: 1, content: 'email me at a@b.io' },
+				{ id: 2, content: 'nothing here' },
+			],
+			DEFAULT_RULES
+		);
+		expect(feedback[0].content).toBe('email me at [EMAIL]');
+		expect(report).toEqual({ items: 1, counts: { email: 1 } });
+	});
+
+	it('redacts model output but not metadata', () => {
+		const { digest, counts } = redactDigest(
+			sampleDigest({
+				top_themes: [{ theme: 'Login', mentions: 2, quotes: ['from 10.0.0.1 it fails'], feedback_ids: [1, 2] }],
+				metadata: { window: { from: '2025-01-01 00:00:00' }, sources: ['a@b.io'] },
+			}),
+			DEFAULT_RULES
+		);
+		expect(digest.top_themes[0]).toEqual({ theme: 'Login', mentions: 2, quotes: ['from [IP] it fails'], feedback_ids: [1, 2] });
+		expect(digest.metadata.sources).toEqual(['a@b.io']);
+		expect(counts).toEqual({ ip: 1 });
+	});
+});
+
+describe('redaction in the pipeline', () => {
+	const window = { from: '2043-01-01T00:00:00Z', to: '2043-01-02T00:00:00Z' };
+
+	beforeAll(async () => {
+		await seedFeedback(env, [
+			{ content: 'redact: I am ops@acme.example and my zone 0123456789abcdef0123456789abcdef is down', created_at: '2043-01-01 09:00:00' },
+			{ content: 'redact: requests from 198.51.100.4 get 403 with TICKET-991', created_at: '2043-01-01 10:00:00' },
+		]);
+	});
+
+	it('keeps PII out of prompts, embeddings, workflow step outputs and the stored digest', async () => {
+		// The model "echoes" an address it could not have seen, to exercise the output pass
+		const ai = pipelineAI(sampleDigest({ top_themes: [{ theme: 'Access', mentions: 2, quotes: ['contact ceo@acme.example'] }] }), () => ({
+			sentiment: 'frustrated',
+			theme: 'Access',
+			feature_request: false,
+		}));
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const rules = JSON.stringify([{ name: 'ticket', pattern: 'TICKET-\\d+' }]);
+		// Step outputs are what Workflows keeps as instance state
+		const outputs = [];
+		const runStep = async (name, fn) => {
+			const output = await fn();
+			outputs.push(output);
+			return output;
+		};
+		const { digest, digestId } = await runDigestPipeline({ ...env, AI: ai, REDACTION_RULES: rules }, window, { runStep });
+		log.mockRestore();
+
+		const seen = JSON.stringify([ai.calls, ai.embeddings, outputs]);
+		for (const secret of ['ops@acme.example', '0123456789abcdef0123456789abcdef', '198.51.100.4', 'TICKET-991']) {
+			expect(seen).not.toContain(secret);
+		}
+		expect(seen).toContain('[EMAIL]');
+
+		expect(digest.metadata.redaction).toEqual({
+			items: 2,
+			counts: { ticket: 1, email: 1, cloudflare_id: 1, ip: 1 },
+			output_counts: { email: 1 },
+		});
+		const row = await env.DB.prepare('SELECT summary FROM daily_digests WHERE id = ?').bind(digestId).first();
+		expect(row.summary).not.toContain('@acme.example');
+	});
+});
+
+describe('REDACT_ON_INGEST', () => {
+	it('stores redacted content when enabled', async () => {
+		const ctx = createExecutionContext();
+		const request = new Request('http://example.com/feedback', {
+			method: 'POST',
+			headers: { ...asAdmin, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ content: 'ingest redaction: reach me on +1 415 555 0199', source: 'support' }),
+		});
+		const response = await worker.fetch(request, { ...env, REDACT_ON_INGEST: 'true' }, ctx);
+		await waitOnExecutionContext(ctx);
+		const { id } = await response.json();
+
+		const row = await env.DB.prepare('SELECT content FROM feedback WHERE id = ?').bind(id).first();
+		expect(row.content).toBe('ingest redaction: reach me on [PHONE]');
+	});
+});
@@ -0,0 +1,162 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import worker from '../src';
+import { getProduct } from '../src/products.js';
+import { createRun, getRun, listRuns, startWorkflowRun, trackRun } from '../src/runs.js';
+import { asAdmin, asViewer, clearDigests, pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+const runInline = (name, fn) => fn();
+
+// A DIGEST_WORKFLOW stand-in: create() hands out unique ids, get(id).status() answers from `statuses`
+let instances = 0;
+function fakeWorkflow(statuses = {}) {
+	return {
+		create: vi.fn(async () => ({ id: `runs-spec-${++instances}` })),
+		get: vi.fn(async id => ({ status: async () => statuses[id] })),
+	};
+}
+
+async function fetchWith(path, bindings = {}, headers = asViewer) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(new Request(`http://example.com${path}`, { headers }), { ...env, ...bindings }, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+beforeAll(async () => {
+	await clearDigests(env);
+});
+
+describe('startWorkflowRun', () => {
+	it('records the instance and passes the run id to the workflow', async () => {
+		const workflow = fakeWorkflow();
+		const { runId, instance } = await startWorkflowRun({ ...env, DIGEST_WORKFLOW: workflow }, await getProduct(env, 'd1'), 'manual');
+
+		expect(workflow.create).toHaveBeenCalledWith({ params: { product: 'd1', run_id: runId } });
+		const row = await env.DB.prepare('SELECT * FROM digest_runs WHERE id = ?').bind(runId).first();
+		expect(row).toMatchObject({ instance_id: instance.id, trigger: 'manual', status: 'queued', finished_at: null });
+	});
+
+	it('records an errored cron run when the workflow cannot start', async () => {
+		const create = vi.fn(async () => {
+			throw new Error('workflow quota exceeded');
+		});
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const ctx = createExecutionContext();
+		await worker.scheduled({ cron: '0 9 * * *' }, { ...env, DIGEST_WORKFLOW: { create } }, ctx);
+		await waitOnExecutionContext(ctx);
+		error.mockRestore();
+
+		const { runs } = await listRuns(env, { trigger: 'cron', status: 'errored' });
+		expect(runs.length).toBeGreaterThan(0);
+		expect(runs[0]).toMatchObject({ instance_id: null, error: 'workflow quota exceeded' });
+		expect(runs[0].finished_at).not.toBeNull();
+	});
+});
+
+describe('trackRun', () => {
+	it('records start, feedback count and digest of a completed run', async () => {
+		const product = await getProduct(env, 'd1');
+		const runId = await createRun(env, { trigger: 'http', product });
+		const steps = [];
+		const runStep = (name, fn) => {
+			steps.push(name);
+			return fn();
+		};
+
+		await trackRun(env, runId, runStep, async () => ({ status: 'completed', digest: { metadata: { feedback_count: 7 } }, digestId: null }));
+		expect(steps).toEqual(['run-started', 'run-finished']);
+		expect(await getRun(env, runId)).toMatchObject({ status: 'complete', feedback_count: 7, error: null });
+	});
+
+	it('records skipped windows and errors', async () => {
+		const product = await getProduct(env, 'd1');
+		const skipped = await createRun(env, { trigger: 'http', product });
+		await trackRun(env, skipped, runInline, async () => ({ status: 'skipped', reason: 'No feedback to analyze' }));
+		expect(await getRun(env, skipped)).toMatchObject({ status: 'skipped', feedback_count: 0 });
+
+		const failed = await createRun(env, { trigger: 'http', product });
+		const run = trackRun(env, failed, runInline, async () => {
+			throw new Error('AI unavailable');
+		});
+		await expect(run).rejects.toThrow('AI unavailable');
+		const row = await getRun(env, failed);
+		expect(row).toMatchObject({ status: 'errored', error: 'AI unavailable' });
+		expect(row.started_at).not.toBeNull();
+	});
+
+	it('runs untracked without a run id', async () => {
+		expect(await trackRun(env, undefined, runInline, async () => 'done')).toBe('done');
+	});
+});
+
+describe('live workflow status', () => {
+	it('stores the status the binding reports for unfinished runs', async () => {
+		const statuses = {};
+		const workflow = fakeWorkflow(statuses);
+		const bindings = { DIGEST_WORKFLOW: workflow };
+		const product = await getProduct(env, 'd1');
+		const { runId, instance } = await startWorkflowRun({ ...env, ...bindings }, product, 'manual');
+
+		statuses[instance.id] = { status: 'running' };
+		expect((await (await fetchWith(`/api/runs/${runId}`, bindings)).json()).status).toBe('running');
+
+		statuses[instance.id] = { status: 'terminated', error: { name: 'Error', message: 'terminated by <admin>' } };
+		const page = await fetchWith(`/runs/${runId}`, bindings);
+		const html = await page.text();
+		expect(html).toContain('terminated by &lt;admin&gt;');
+		expect(html).not.toContain('http-equiv="refresh"');
+
+		// Finished runs are read from D1 without asking the binding again
+		workflow.get.mockClear();
+		expect(await getRun({ ...env, ...bindings }, runId)).toMatchObject({ status: 'terminated', error: 'terminated by <admin>' });
+		expect(workflow.get).not.toHaveBeenCalled();
+	});
+
+	it('keeps refreshing the page while a run is in progress', async () => {
+		const statuses = {};
+		const bindings = { DIGEST_WORKFLOW: fakeWorkflow(statuses) };
+		const { runId, instance } = await startWorkflowRun({ ...env, ...bindings }, await getProduct(env, 'd1'), 'manual');
+		statuses[instance.id] = { status: 'queued' };
+
+		expect(await (await fetchWith(`/runs/${runId}`, bindings)).text()).toContain('<meta http-equiv="refresh" content="5">');
+	});
+
+	it('keeps the stored status when the binding reports none', async () => {
+		const bindings = { DIGEST_WORKFLOW: fakeWorkflow() };
+		const { runId } = await startWorkflowRun({ ...env, ...bindings }, await getProduct(env, 'd1'), 'manual');
+
+		expect((await fetchWith('/runs', bindings)).status).toBe(200);
+		const response = await fetchWith(`/api/runs/${runId}`, bindings);
+		expect(response.status).toBe(200);
+		expect((await response.json()).status).toBe('queued');
+	});
+});
+
+describe('/run-digest run log', () => {
+	beforeAll(async () => {
+		await seedFeedback(env, [
+			{ content: 'run log feedback one', created_at: '2042-01-01 10:00:00' },
+			{ content: 'run log feedback two', created_at: '2042-01-01 11:00:00' },
+		]);
+	});
+
+	it('records inline runs with the http trigger', async () => {
+		const ai = pipelineAI(sampleDigest());
+		const response = await fetchWith('/run-digest?execute=true&from=2042-01-01T00:00:00Z&to=2042-01-02T00:00:00Z', { AI: ai }, asAdmin);
+		expect(response.status).toBe(200);
+
+		const { runs } = await (await fetchWith('/api/runs?trigger=http')).json();
+		const digest = await env.DB.prepare("SELECT id FROM daily_digests WHERE window_start = '2042-01-01 00:00:00'").first();
+		expect(runs[0]).toMatchObject({ trigger: 'http', product: 'd1', status: 'complete', feedback_count: 2, digest_id: digest.id, instance_id: null });
+	});
+
+	it('lists runs and rejects unknown filters', async () => {
+		const page = await fetchWith('/runs');
+		expect(page.status).toBe(200);
+		expect(await page.text()).toContain('Digest Runs');
+		expect((await fetchWith('/api/runs?trigger=webhook')).status).toBe(400);
+		expect((await fetchWith('/api/runs/999999')).status).toBe(404);
+		expect((await fetchWith('/runs/999999')).status).toBe(404);
+	});
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_REPAIR_ATTEMPTS } from '../src/ai.js';
+import { analyzeChunk } from '../src/digest.js';
+import { extractJson, validateDigest } from '../src/schema.js';
+import { sampleDigest, stubAI } from './helpers.js';
+
+const validDigest = sampleDigest({
+	top_themes: [{ theme: 'Backups', mentions: 3, quotes: ['need PITR'], impact: 'high', confidence: 'Medium' }],
+	friction_points: [{ point: 'Restore is manual', count: 2 }],
+	sentiment: { frustrated: 3, neutral: 1, positive: 0 },
+	feature_signals: ['Point-in-time recovery'],
+});
+
+describe('validateDigest', () => {
+	it('accepts a valid digest, canonicalizing enums, normalizing sentiment and dropping model trends', () => {
+		const { value, errors } = validateDigest({ ...validDigest, sentiment: { ...validDigest.sentiment, trend: 'up' }, extra: 'ignored' });
+		expect(errors).toEqual([]);
+		expect(value.top_themes[0]).toMatchObject({ impact: 'High', confidence: 'Medium' });
+		expect(value.sentiment).toEqual({ frustrated: 75, neutral: 25, positive: 0 });
+		expect(value).not.toHaveProperty('extra');
+	});
+
+	it('reports every type and range problem with its path', () => {
+		const { value, errors } = validateDigest({
+			top_themes: [{ theme: '', mentions: -1, quotes: 'one quote', impact: 'Huge', confidence: 'Low' }],
+			friction_points: [{ point: 'Timeouts', count: 1.5 }],
+			sentiment: { frustrated: 0, neutral: 0, positive: 0 },
+			feature_signals: [42],
+			pm_actions: { docs_ux: [], validation: [] },
+		});
+		expect(value).toBeNull();
+		expect(errors).toEqual([
+			'top_themes[0].theme must be a non-empty string',
+			'top_themes[0].mentions must be a non-negative integer',
+			'top_themes[0].quotes must be an array',
+			'top_themes[0].impact must be one of High, Medium, Low',
+			'friction_points[0].count must be a non-negative integer',
+			'sentiment values must not all be zero',
+			'feature_signals[0] must be a non-empty string',
+			'pm_actions.tracking must be an array',
+		]);
+	});
+
+	it('rejects non-objects', () => {
+		expect(validateDigest([]).errors).toEqual(['response must be a JSON object']);
+	});
+});
+
+describe('extractJson', () => {
+	it('finds JSON inside chatty output and explains failures', () => {
+		expect(extractJson('Here you go: {"a": 1} Hope that helps').value).toEqual({ a: 1 });
+		expect(extractJson('no json here').error).toBe('response did not contain a JSON object');
+		expect(extractJson('{"a": }').error).toMatch(/^response was not valid JSON/);
+	});
+});
+
+describe('analyzeChunk repair retries', () => {
+	const chunk = [{ id: 1, content: 'Backups are manual', source: 'support' }];
+
+	it('sends the validation errors back and records the successful attempt', async () => {
+		const responses = ['{"top_themes": "none"}', JSON.stringify(validDigest)];
+		const ai = stubAI(() => responses.shift());
+		const result = await analyzeChunk({ AI: ai }, chunk);
+
+		expect(result.attempts).toBe(2);
+		expect(result.digest.sentiment.frustrated).toBe(75);
+		const repair = ai.calls[1].options.messages;
+		expect(repair).toHaveLength(3);
+		expect(repair[1]).toEqual({ role: 'assistant', content: '{"top_themes": "none"}' });
+		expect(repair[2].content).toContain('- top_themes must be an array');
+	});
+
+	it('gives up after the bounded number of retries', async () => {
+		const ai = stubAI(() => 'no idea');
+		const result = await analyzeChunk({ AI: ai }, chunk);
+
+		expect(ai.calls).toHaveLength(MAX_REPAIR_ATTEMPTS + 1);
+		expect(result).toMatchObject({ digest: null, attempts: MAX_REPAIR_ATTEMPTS + 1, errors: ['response did not contain a JSON object'] });
+	});
+});
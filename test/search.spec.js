@@ -0,0 +1,116 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { decodeCursor, encodeCursor, toFtsQuery } from '../src/search.js';
+import { asViewer, seedFeedback } from './helpers.js';
+
+async function search(params) {
+	const response = await SELF.fetch(`http://example.com/api/feedback?${new URLSearchParams(params)}`, { headers: asViewer });
+	return { status: response.status, body: await response.json() };
+}
+
+describe('toFtsQuery', () => {
+	it('quotes each word so FTS5 operators are treated as text', () => {
+		expect(toFtsQuery('slow "joins" OR NEAR(x)')).toBe('"slow" "joins" "OR" "NEAR" "x"');
+		expect(toFtsQuery('-- *')).toBe('');
+	});
+});
+
+describe('cursors', () => {
+	it('round-trip and reject garbage', () => {
+		expect(decodeCursor(encodeCursor({ created_at: '2039-01-01 00:00:00', id: 7 }))).toEqual({ created_at: '2039-01-01 00:00:00', id: 7 });
+		expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+	});
+});
+
+describe('GET /api/feedback', () => {
+	let ids;
+
+	beforeAll(async () => {
+		ids = await seedFeedback(env, [
+			{ content: 'searchable: quokka backups are slow', source: 'github', created_at: '2039-01-01 09:00:00' },
+			{ content: 'searchable: quokka console is lovely', source: 'twitter', created_at: '2039-01-02 09:00:00' },
+			{ content: 'searchable: quokka backups failed twice', source: 'discord', created_at: '2039-01-03 09:00:00' },
+		]);
+		await env.DB.batch([
+			env.DB.prepare("UPDATE feedback SET sentiment = 'frustrated', theme = 'Backups' WHERE id IN (?, ?)").bind(ids[0], ids[2]),
+			env.DB.prepare("UPDATE feedback SET sentiment = 'positive', theme = 'Console' WHERE id = ?").bind(ids[1]),
+		]);
+	});
+
+	it('finds feedback by full-text search, newest first', async () => {
+		const { status, body } = await search({ q: 'quokka backups' });
+		expect(status).toBe(200);
+		expect(body.feedback.map(f => f.id)).toEqual([ids[2], ids[0]]);
+		expect(body.next_cursor).toBeNull();
+	});
+
+	it('filters by source, date range, sentiment and theme', async () => {
+		expect((await search({ q: 'quokka', source: 'twitter' })).body.feedback.map(f => f.id)).toEqual([ids[1]]);
+		expect((await search({ q: 'quokka', from: '2039-01-01T12:00:00Z', to: '2039-01-03T00:00:00Z' })).body.feedback.map(f => f.id)).toEqual([
+			ids[1],
+		]);
+		expect((await search({ q: 'quokka', sentiment: 'Positive' })).body.feedback.map(f => f.id)).toEqual([ids[1]]);
+		expect((await search({ q: 'quokka', theme: 'backups' })).body.feedback.map(f => f.id)).toEqual([ids[2], ids[0]]);
+		expect((await search({ q: 'quokka', product: 'd1', source: 'twitter' })).body.feedback.map(f => f.id)).toEqual([ids[1]]);
+	});
+
+	it('scopes to the feedback behind a digest', async () => {
+		const digestId = await env.DB.prepare("INSERT INTO daily_digests (summary, feedback_count, feedback_ids) VALUES ('{}', 2, ?) RETURNING id")
+			.bind(JSON.stringify([ids[0], ids[1]]))
+			.first('id');
+		expect((await search({ digest_id: digestId, theme: 'Backups' })).body.feedback.map(f => f.id)).toEqual([ids[0]]);
+	});
+
+	it('pages with a cursor', async () => {
+		const first = await search({ q: 'quokka', limit: 2 });
+		expect(first.body.feedback.map(f => f.id)).toEqual([ids[2], ids[1]]);
+		expect(first.body.next_cursor).toEqual(expect.any(String));
+
+		const second = await search({ q: 'quokka', limit: 2, cursor: first.body.next_cursor });
+		expect(second.body.feedback.map(f => f.id)).toEqual([ids[0]]);
+		expect(second.body.next_cursor).toBeNull();
+	});
+
+	it('rejects malformed filters', async () => {
+		expect((await search({ from: 'yesterday' })).status).toBe(400);
+		expect((await search({ sentiment: 'angry' })).status).toBe(400);
+		expect((await search({ limit: 500 })).status).toBe(400);
+		expect((await search({ cursor: '!!' })).body).toEqual({ error: 'Invalid cursor' });
+	});
+
+	it('redacts PII in returned content even though the stored row keeps it', async () => {
+		const [id] = await seedFeedback(env, [{ content: 'searchable: numbat mail ops@example.com', created_at: '2039-01-04 09:00:00' }]);
+		const { body } = await search({ q: 'numbat' });
+		expect(body.feedback.map(f => f.content)).toEqual(['searchable: numbat mail [EMAIL]']);
+		expect(await env.DB.prepare('SELECT content FROM feedback WHERE id = ?').bind(id).first('content')).toContain('ops@example.com');
+
+		const html = await (await SELF.fetch('http://example.com/search?q=numbat', { headers: asViewer })).text();
+		expect(html).toContain('searchable: numbat mail [EMAIL]');
+		expect(html).not.toContain('ops@example.com');
+	});
+
+	it('answers 404 for an unknown product', async () => {
+		const { status, body } = await search({ q: 'quokka', product: 'nope' });
+		expect(status).toBe(404);
+		expect(body).toEqual({ error: 'Unknown product: nope' });
+	});
+});
+
+describe('GET /search', () => {
+	it('renders results with escaped content and a next-page link', async () => {
+		await seedFeedback(env, [
+			{ content: 'searchable: wombat <script>alert(1)</script>', created_at: '2039-02-01 09:00:00' },
+			{ content: 'searchable: wombat second', created_at: '2039-02-02 09:00:00' },
+		]);
+		const response = await SELF.fetch('http://example.com/search?q=wombat&limit=1&source=%22%3E', { headers: asViewer });
+		expect(response.headers.get('Content-Type')).toBe('text/html');
+		const html = await response.text();
+		expect(html).toContain('<form class="section search-form"');
+		expect(html).toContain('value="&quot;&gt;"');
+		expect(html).not.toContain('<script>alert(1)</script>');
+
+		const page = await (await SELF.fetch('http://example.com/search?q=wombat&limit=1', { headers: asViewer })).text();
+		expect(page).toContain('searchable: wombat second');
+		expect(page).toMatch(/href="\/search\?q=wombat&amp;limit=1&amp;cursor=[^"]+">Older →/);
+	});
+});
@@ -0,0 +1,164 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { resolveWindow } from '../src/digest.js';
+import { buildSlackPayload, buildWebhookPayload } from '../src/notify.js';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { getProduct } from '../src/products.js';
+import { SPIKE_DEFAULTS, detectProductSpikes, findSpikes, loadSpikeConfig, tally } from '../src/spikes.js';
+import { pipelineAI, sampleDigest, seedFeedback } from './helpers.js';
+
+const NOW = Date.parse('2049-01-08T11:00:00Z');
+
+function row(source, theme, sentiment) {
+	return { source, theme, total: 1, labeled: sentiment ? 1 : 0, frustrated: sentiment === 'frustrated' ? 1 : 0 };
+}
+
+describe('loadSpikeConfig', () => {
+	it('reads overrides and ignores invalid ones', () => {
+		expect(loadSpikeConfig({})).toEqual(SPIKE_DEFAULTS);
+		expect(loadSpikeConfig({ SPIKE_WINDOW_MINUTES: '30', SPIKE_MIN_COUNT: 'many', SPIKE_VOLUME_FACTOR: '-2' })).toEqual({
+			...SPIKE_DEFAULTS,
+			window_minutes: 30,
+		});
+	});
+});
+
+describe('findSpikes', () => {
+	// A week of steady feedback: 168 github items (one an hour), a tenth of them frustrated
+	const baseline = tally(
+		Array.from({ length: 168 }, (_, i) => row('github', 'docs', i % 10 === 0 ? 'frustrated' : 'neutral')),
+		'd1'
+	);
+
+	it('ignores volume and frustration in line with the baseline', () => {
+		const recent = tally([row('github', 'docs', 'neutral'), row('github', 'docs', 'frustrated')], 'd1');
+		expect(findSpikes(recent, baseline, SPIKE_DEFAULTS)).toEqual([]);
+	});
+
+	it('flags bursts of volume and of frustration per source, theme and product', () => {
+		const recent = tally(
+			[
+				...Array.from({ length: 6 }, () => row('status-page', 'Outage', 'frustrated')),
+				...Array.from({ length: 5 }, () => row('github', 'docs', 'frustrated')),
+			],
+			'd1'
+		);
+		const signals = findSpikes(recent, baseline, SPIKE_DEFAULTS);
+		// status-page and outage have no baseline to compare with; the product total still catches them
+		expect(signals).toEqual([
+			{ dimension: 'product', key: 'd1', reasons: ['volume', 'negative_share'], count: 11, expected: 1, negative_share: 100, baseline_negative_share: 10 },
+			// Five github items is five times its hourly rate, and all of them frustrated
+			{ dimension: 'source', key: 'github', reasons: ['volume', 'negative_share'], count: 5, expected: 1, negative_share: 100, baseline_negative_share: 10 },
+			{ dimension: 'theme', key: 'docs', reasons: ['volume', 'negative_share'], count: 5, expected: 1, negative_share: 100, baseline_negative_share: 10 },
+		]);
+	});
+
+	it('waits for min_baseline items of history before a group can spike', () => {
+		const recent = tally(Array.from({ length: 6 }, () => row('github', 'docs', 'frustrated')), 'new');
+		expect(findSpikes(recent, new Map(), SPIKE_DEFAULTS)).toEqual([]);
+
+		const thin = tally(Array.from({ length: 6 }, () => row('github', 'docs', 'neutral')), 'new');
+		expect(findSpikes(recent, thin, SPIKE_DEFAULTS)).toEqual([]);
+		expect(findSpikes(recent, thin, { ...SPIKE_DEFAULTS, min_baseline: 6 }).map(s => s.key)).toEqual(['new', 'github', 'docs']);
+	});
+});
+
+describe('detectProductSpikes', () => {
+	let product;
+	let create;
+	let ai;
+
+	const labeledCount = pattern =>
+		env.DB.prepare('SELECT COUNT(*) AS n FROM feedback WHERE content LIKE ? AND classified_at IS NOT NULL').bind(pattern).first('n');
+
+	beforeAll(async () => {
+		product = await getProduct(env, 'd1');
+		// Baseline: two labeled query reports a day for the week before, none of them frustrated
+		const ids = await seedFeedback(
+			env,
+			Array.from({ length: 14 }, (_, i) => ({
+				content: `spikes: baseline note ${i}`,
+				created_at: `2049-01-0${1 + Math.floor(i / 2)} 0${i % 2 ? 9 : 3}:00:00`,
+			}))
+		);
+		await env.DB.prepare(
+			"UPDATE feedback SET sentiment = 'neutral', theme = 'Queries', classified_at = datetime('now') WHERE id IN (SELECT value FROM json_each(?))"
+		)
+			.bind(JSON.stringify(ids))
+			.run();
+		// Then an outage: six reports in the last hour that no digest has labeled yet
+		await seedFeedback(
+			env,
+			Array.from({ length: 6 }, (_, i) => ({ content: `spikes: queries fail with D1_ERROR number ${i}`, created_at: `2049-01-08 10:${10 + i}:00` }))
+		);
+		create = vi.fn(async () => ({ id: `spikes-spec-${create.mock.calls.length}` }));
+		ai = pipelineAI(sampleDigest(), () => ({ sentiment: 'frustrated', theme: 'Queries', feature_request: false }));
+	});
+
+	it('labels the unlabeled window, records an alert and starts a spike run over it', async () => {
+		const incident = await detectProductSpikes({ ...env, AI: ai, DIGEST_WORKFLOW: { create } }, product, NOW);
+
+		const spike = { reasons: ['volume', 'negative_share'], count: 6, expected: 0.1, negative_share: 100, baseline_negative_share: 0 };
+		expect(incident.signals).toEqual([
+			{ dimension: 'product', key: 'd1', ...spike },
+			{ dimension: 'source', key: 'github', ...spike },
+			{ dimension: 'theme', key: 'queries', ...spike },
+		]);
+		expect(ai.calls).toHaveLength(1);
+		expect(await labeledCount('spikes: queries fail%')).toBe(6);
+		expect(create).toHaveBeenCalledWith({
+			params: {
+				from: '2049-01-08T10:00:00.000Z',
+				to: '2049-01-08T11:00:00.000Z',
+				incident: { alert_id: incident.alert_id, window: { from: '2049-01-08 10:00:00', to: '2049-01-08 11:00:00' }, signals: incident.signals },
+				product: 'd1',
+				run_id: incident.run_id,
+			},
+		});
+
+		const alert = await env.DB.prepare('SELECT * FROM spike_alerts WHERE id = ?').bind(incident.alert_id).first();
+		expect(alert).toMatchObject({ run_id: incident.run_id, window_start: '2049-01-08 10:00:00', error: null });
+		const run = await env.DB.prepare('SELECT trigger, instance_id FROM digest_runs WHERE id = ?').bind(incident.run_id).first();
+		expect(run).toEqual({ trigger: 'spike', instance_id: 'spikes-spec-1' });
+	});
+
+	it('stays quiet during the cooldown without relabeling', async () => {
+		expect(await detectProductSpikes({ ...env, AI: ai, DIGEST_WORKFLOW: { create } }, product, NOW + 15 * 60 * 1000)).toBeNull();
+		expect(ai.calls).toHaveLength(1);
+		expect(create).toHaveBeenCalledTimes(1);
+	});
+
+	it('sends the spike digest as an incident that leaves the scheduled window alone', async () => {
+		const { params } = create.mock.calls[0][0];
+		const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+		const result = await runDigestPipeline({ ...env, AI: ai }, params);
+		log.mockRestore();
+
+		expect(result.digest.metadata.incident.alert_id).toBe(params.incident.alert_id);
+		const stored = await env.DB.prepare('SELECT spike_alert_id, window_end FROM daily_digests WHERE id = ?').bind(result.digestId).first();
+		expect(stored).toEqual({ spike_alert_id: params.incident.alert_id, window_end: '2049-01-08 11:00:00' });
+		expect((await resolveWindow(env, { to: '2050-01-01T00:00:00Z' }, product)).from).not.toBe('2049-01-08 11:00:00');
+
+		const slack = buildSlackPayload(result.digest);
+		expect(slack.text).toMatch(/^🚨 🗄️ D1 Feedback Spike/);
+		expect(slack.blocks[1].text.text).toContain('Theme "queries": 6 items (0.1 expected), 100% frustrated (baseline 0%)');
+		expect(buildWebhookPayload(result.digest, result.digestId).type).toBe('incident');
+		// The run reuses the detector's labels and only asks for the analysis
+		expect(ai.calls).toHaveLength(2);
+	});
+
+	it('labels at most max_classify items and leaves a product with no baseline alone', async () => {
+		await env.DB.prepare("INSERT OR IGNORE INTO products (slug, name, schedule) VALUES ('spikes-new', 'Spikes New', NULL)").run();
+		const fresh = await getProduct(env, 'spikes-new');
+		const ids = await seedFeedback(
+			env,
+			Array.from({ length: 6 }, (_, i) => ({ content: `spikes: first ever report ${i}`, created_at: `2049-01-08 10:${20 + i}:00` }))
+		);
+		await env.DB.prepare('UPDATE feedback SET product_id = ? WHERE id IN (SELECT value FROM json_each(?))').bind(fresh.id, JSON.stringify(ids)).run();
+
+		const config = { ...loadSpikeConfig(env), max_classify: 2 };
+		expect(await detectProductSpikes({ ...env, AI: ai, DIGEST_WORKFLOW: { create } }, fresh, NOW, config)).toBeNull();
+		expect(await labeledCount('spikes: first ever report%')).toBe(2);
+		expect(create).toHaveBeenCalledTimes(1);
+	});
+});
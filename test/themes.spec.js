@@ -0,0 +1,164 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, vi } from 'vitest';
+import { runDigestPipeline } from '../src/pipeline.js';
+import { clusterStage, cosineSimilarity, matchThemes } from '../src/themes.js';
+import { asViewer, pipelineAI, sampleDigest, seedFeedback, stubAI } from './helpers.js';
+
+const runInline = (name, fn) => fn();
+
+describe('cosineSimilarity', () => {
+	it('compares direction, not length', () => {
+		expect(cosineSimilarity([1, 0], [3, 0])).toBeCloseTo(1);
+		expect(cosineSimilarity([1, 0], [0, 2])).toBe(0);
+		expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+	});
+});
+
+describe('matchThemes', () => {
+	const registry = () => [{ id: 1, name: 'Migrations', embedding: [1, 0, 0], feedback_count: 3 }];
+
+	it('joins the most similar theme above the threshold and moves its centroid', () => {
+		const themes = registry();
+		const [assignment] = matchThemes(themes, [{ id: 10, theme: 'Schema migration issues' }], [[0.9, 0.1, 0]]);
+		expect(assignment.theme.id).toBe(1);
+		expect(themes).toHaveLength(1);
+		expect(themes[0].feedback_count).toBe(4);
+		expect(themes[0].embedding[0]).toBeCloseTo(0.975);
+	});
+
+	it('reuses a theme with the same name, else creates one from the label', () => {
+		const themes = registry();
+		const assignments = matchThemes(
+			themes,
+			[
+				{ id: 10, theme: 'migrations' },
+				{ id: 11, theme: 'Billing' },
+				{ id: 12, theme: 'billing' },
+				{ id: 13, theme: null },
+			],
+			[
+				[0, 1, 0],
+				[0, 0, 1],
+				[0, 1, 1],
+				[0, 1, -1],
+			]
+		);
+		expect(assignments.map(a => [a.item.id, a.theme.name])).toEqual([
+			[10, 'Migrations'],
+			[11, 'Billing'],
+			[12, 'Billing'],
+		]);
+		expect(themes.map(t => [t.id, t.name, t.feedback_count])).toEqual([
+			[1, 'Migrations', 4],
+			[null, 'Billing', 2],
+		]);
+	});
+});
+
+describe('clusterStage', () => {
+	it('keeps theme ids stable across windows', async () => {
+		const [first] = await seedFeedback(env, [{ content: 'registry: replication lag on reads', created_at: '2038-01-01 00:00:00' }]);
+		const [second] = await seedFeedback(env, [{ content: 'registry: replication lag on writes', created_at: '2038-01-02 00:00:00' }]);
+		const ai = stubAI(() => '');
+
+		const day1 = await clusterStage({
+			env: { ...env, AI: ai },
+			feedback: [{ id: first, content: 'registry: replication lag on reads', theme: 'Replication lag' }],
+			runStep: runInline,
+		});
+		const day2 = await clusterStage({
+			env: { ...env, AI: ai },
+			// A differently worded label for the same topic still lands on the registry theme
+			feedback: [{ id: second, content: 'registry: replication lag on writes', theme: 'Read replica delays' }],
+			runStep: runInline,
+		});
+
+		expect(day1.clustering).toEqual({ assigned: 1, new_themes: 1, failed_chunks: 0 });
+		expect(day2.clustering).toEqual({ assigned: 1, new_themes: 0, failed_chunks: 0 });
+		expect(day2.feedback[0].theme_id).toBe(day1.feedback[0].theme_id);
+		expect(day2.feedback[0].theme_name).toBe('Replication lag');
+
+		const theme = await env.DB.prepare('SELECT name, feedback_count FROM themes WHERE id = ?').bind(day1.feedback[0].theme_id).first();
+		expect(theme).toEqual({ name: 'Replication lag', feedback_count: 2 });
+	});
+
+	it('does not count a chunk twice when its step is retried', async () => {
+		const items = [
+			{ content: 'retried: webhook delivery duplicated', theme: 'Webhook duplicates', created_at: '2038-03-01 00:00:00' },
+			{ content: 'retried: webhook delivered twice', theme: 'Webhook duplicates', created_at: '2038-03-01 01:00:00' },
+		];
+		const ids = await seedFeedback(env, items);
+		const ai = stubAI(() => '');
+		// The first attempt commits its writes, then the step fails and runs again
+		const retryOnce = async (name, fn) => {
+			await fn();
+			return fn();
+		};
+
+		const result = await clusterStage({
+			env: { ...env, AI: ai },
+			feedback: items.map(({ content, theme }, i) => ({ id: ids[i], content, theme })),
+			runStep: retryOnce,
+		});
+
+		expect(ai.embeddings).toHaveLength(1);
+		expect(result.clustering.assigned).toBe(2);
+		const themeId = result.feedback[0].theme_id;
+		expect(result.feedback.map(f => [f.theme_id, f.theme_name])).toEqual([
+			[themeId, 'Webhook duplicates'],
+			[themeId, 'Webhook duplicates'],
+		]);
+		const theme = await env.DB.prepare('SELECT feedback_count FROM themes WHERE id = ?').bind(themeId).first();
+		expect(theme.feedback_count).toBe(2);
+	});
+
+	it('skips chunks whose embedding call fails', async () => {
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const ai = stubAI(
+			() => '',
+			() => {
+				throw new Error('model unavailable');
+			}
+		);
+		const result = await clusterStage({ env: { ...env, AI: ai }, feedback: [{ id: 0, content: 'x', theme: 'X' }], runStep: runInline });
+		expect(result.clustering).toEqual({ assigned: 0, new_themes: 0, failed_chunks: 1 });
+		expect(result.feedback).toEqual([{ id: 0, content: 'x', theme: 'X' }]);
+		error.mockRestore();
+	});
+});
+
+describe('GET /themes', () => {
+	it('follows a theme across digests', async () => {
+		const window = day => ({ from: `2038-02-0${day}T00:00:00Z`, to: `2038-02-0${day + 1}T00:00:00Z` });
+		await seedFeedback(env, [
+			{ content: 'history: export to parquet please', created_at: '2038-02-01 10:00:00' },
+			{ content: 'history: parquet export would help', created_at: '2038-02-02 10:00:00' },
+			{ content: 'history: export to parquet is missing', created_at: '2038-02-02 11:00:00' },
+		]);
+		const ai = pipelineAI(sampleDigest({ sentiment: { frustrated: 0, neutral: 1, positive: 0 } }), () => ({
+			sentiment: 'neutral',
+			theme: 'Parquet export',
+			feature_request: true,
+		}));
+		const stages = { notify: async () => [] };
+		const day1 = await runDigestPipeline({ ...env, AI: ai }, window(1), { stages });
+		const day2 = await runDigestPipeline({ ...env, AI: ai }, window(2), { stages });
+
+		const themeId = day1.digest.top_themes[0].theme_id;
+		expect(day2.digest.top_themes[0].theme_id).toBe(themeId);
+
+		const detail = await (await SELF.fetch(`http://example.com/api/themes/${themeId}`, { headers: asViewer })).json();
+		expect(detail).toMatchObject({ name: 'Parquet export', feedback_count: 3 });
+		expect(detail.history.map(h => [h.digest_id, h.mentions])).toEqual([
+			[day1.digestId, 1],
+			[day2.digestId, 2],
+		]);
+
+		const list = await (await SELF.fetch('http://example.com/api/themes', { headers: asViewer })).json();
+		expect(list.themes.find(t => t.id === themeId)).toMatchObject({ digests: 2, url: `/themes/${themeId}` });
+
+		const page = await SELF.fetch(`http://example.com/themes/${themeId}`, { headers: asViewer });
+		expect(await page.text()).toContain(`<a href="/digests/${day2.digestId}">`);
+		expect((await SELF.fetch('http://example.com/api/themes/999999', { headers: asViewer })).status).toBe(404);
+	});
+});
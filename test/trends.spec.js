@@ -0,0 +1,139 @@
+import { env, SELF } from 'cloudflare:test';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { renderDigestHtml } from '../src/html.js';
+import { buildSlackPayload } from '../src/notify.js';
+import { getProduct } from '../src/products.js';
+import { computeSentimentTrend, computeTrendForNewDigest, describeTrend, withRollingAverages } from '../src/trends.js';
+import { asViewer, clearDigests, sampleDigest } from './helpers.js';
+
+const point = (id, createdAt, frustrated, neutral, positive) => ({ id, created_at: createdAt, sentiment: { frustrated, neutral, positive } });
+const at = date => new Date(`${date}Z`).getTime();
+
+describe('computeSentimentTrend', () => {
+	it('diffs against the previous digest and averages the last 7 days', () => {
+		const earlier = [point(1, '2036-01-01 09:00:00', 10, 10, 80), point(2, '2036-01-08 09:00:00', 20, 40, 40), point(3, '2036-01-09 09:00:00', 40, 30, 30)];
+		const trend = computeSentimentTrend({ frustrated: 30, neutral: 30, positive: 40 }, earlier, at('2036-01-10 09:00:00'));
+
+		expect(trend).toEqual({
+			direction: 'up',
+			previous_digest_id: 3,
+			delta: { frustrated: -10, neutral: 0, positive: 10 },
+			rolling_7d: { frustrated: 30, neutral: 33, positive: 37, digests: 3 },
+		});
+	});
+
+	it('is stable within the threshold and without history', () => {
+		const earlier = [point(1, '2036-01-09 09:00:00', 30, 30, 40)];
+		expect(computeSentimentTrend({ frustrated: 32, neutral: 30, positive: 38 }, earlier, at('2036-01-10 09:00:00')).direction).toBe('stable');
+		expect(computeSentimentTrend({ frustrated: 50, neutral: 30, positive: 20 }, earlier, at('2036-01-10 09:00:00')).direction).toBe('down');
+
+		const first = computeSentimentTrend({ frustrated: 50, neutral: 30, positive: 20 }, [], at('2036-01-10 09:00:00'));
+		expect(first).toMatchObject({ direction: 'stable', previous_digest_id: null, delta: null, rolling_7d: { frustrated: 50, digests: 1 } });
+	});
+});
+
+describe('withRollingAverages', () => {
+	it('averages each point with the digests in the 7 days before it', () => {
+		const points = withRollingAverages([
+			point(1, '2036-01-01 09:00:00', 0, 0, 100),
+			point(2, '2036-01-05 09:00:00', 100, 0, 0),
+			point(3, '2036-01-12 09:00:00', 50, 50, 0),
+		]);
+		expect(points.map(p => p.rolling_7d)).toEqual([
+			{ frustrated: 0, neutral: 0, positive: 100 },
+			{ frustrated: 50, neutral: 0, positive: 50 },
+			{ frustrated: 75, neutral: 25, positive: 0 },
+		]);
+	});
+});
+
+describe('stored trend history', () => {
+	let product;
+
+	beforeAll(async () => {
+		product = await getProduct(env, 'd1');
+		await clearDigests(env);
+		const rows = [
+			['2036-02-01 09:00:00', sampleDigest({ sentiment: { frustrated: 60, neutral: 20, positive: 20 }, metadata: { date: 'Feb 1' } })],
+			['2036-02-02 09:00:00', sampleDigest({ top_themes: [{ theme: 'Unable to parse' }], metadata: { date: 'Feb 2' } })],
+			['2036-02-03 09:00:00', sampleDigest({ sentiment: { frustrated: 40, neutral: 20, positive: 40 }, metadata: { date: 'Feb 3' } })],
+		];
+		await env.DB.batch(
+			rows.map(([createdAt, summary]) =>
+				env.DB.prepare("INSERT INTO daily_digests (summary, feedback_count, created_at) VALUES (?, 5, ?)").bind(JSON.stringify(summary), createdAt)
+			)
+		);
+		// Another product's digest between Feb 1 and Feb 3 belongs to its own series
+		const productId = await env.DB.prepare('INSERT INTO products (slug, name, schedule) VALUES (?, ?, NULL) RETURNING id')
+			.bind('trends-other', 'Other')
+			.first('id');
+		const other = sampleDigest({ sentiment: { frustrated: 0, neutral: 0, positive: 100 }, metadata: { date: 'Feb 2 (other)' } });
+		await env.DB.prepare('INSERT INTO daily_digests (summary, feedback_count, created_at, product_id) VALUES (?, 5, ?, ?)')
+			.bind(JSON.stringify(other), '2036-02-02 12:00:00', productId)
+			.run();
+	});
+
+	it('computes the trend for a new digest from D1, ignoring placeholder digests', async () => {
+		const trend = await computeTrendForNewDigest(env, { frustrated: 20, neutral: 20, positive: 60 }, at('2036-02-04 09:00:00'), product);
+		expect(trend).toMatchObject({
+			direction: 'up',
+			delta: { frustrated: -20, neutral: 0, positive: 20 },
+			rolling_7d: { frustrated: 40, neutral: 20, positive: 40, digests: 3 },
+		});
+	});
+
+	it('falls back to the latest digest when none are within 7 days', async () => {
+		const trend = await computeTrendForNewDigest(env, { frustrated: 40, neutral: 20, positive: 40 }, at('2036-03-01 09:00:00'), product);
+		expect(trend).toMatchObject({ direction: 'stable', delta: { frustrated: 0, neutral: 0, positive: 0 }, rolling_7d: { digests: 1 } });
+	});
+
+	it('serves the default product\'s trend series as JSON', async () => {
+		const { product, points } = await (await SELF.fetch('http://example.com/api/trends?days=365', { headers: asViewer })).json();
+		expect(product.slug).toBe('d1');
+		const feb = points.filter(p => p.created_at.startsWith('2036-02'));
+		expect(feb.map(p => p.date)).toEqual(['Feb 1', 'Feb 3']);
+		expect(feb[1].rolling_7d).toEqual({ frustrated: 50, neutral: 20, positive: 30 });
+	});
+
+	it('serves another product\'s series with ?product=', async () => {
+		const response = await SELF.fetch('http://example.com/api/trends?days=365&product=trends-other', { headers: asViewer });
+		const { product, points } = await response.json();
+		expect(product.slug).toBe('trends-other');
+		expect(points.map(p => p.date)).toEqual(['Feb 2 (other)']);
+	});
+
+	it('charts frustrated/neutral/positive as inline SVG', async () => {
+		const html = await (await SELF.fetch('http://example.com/trends?days=365', { headers: asViewer })).text();
+		expect(html).toContain('<svg viewBox="0 0 760 260"');
+		for (const key of ['frustrated', 'neutral', 'positive']) {
+			expect(html).toContain(`class="trend-${key}"`);
+		}
+		expect(html).toContain('<title>Feb 3: positive 40%</title>');
+	});
+});
+
+describe('trend display', () => {
+	const digest = sampleDigest({
+		sentiment: { frustrated: 20, neutral: 20, positive: 60, trend: 'up' },
+		sentiment_trend: {
+			direction: 'up',
+			previous_digest_id: 3,
+			delta: { frustrated: -20, neutral: 0, positive: 20 },
+			rolling_7d: { frustrated: 40, neutral: 20, positive: 40, digests: 3 },
+		},
+		metadata: { date: 'Feb 4', sources: [], feedback_count: 5 },
+	});
+
+	it('describes deltas and the rolling average', () => {
+		expect(describeTrend(digest.sentiment_trend)).toEqual([
+			'↑ Improving vs previous digest: 😠 -20 · 😐 0 · 😊 +20 pts',
+			'7-day average (3 digests): 😠 40% · 😐 20% · 😊 40%',
+		]);
+	});
+
+	it('shows the trend in the digest page and Slack payload', () => {
+		const [delta, average] = describeTrend(digest.sentiment_trend);
+		expect(String(renderDigestHtml(digest))).toContain(`<p class="theme-meta">${delta}</p>`);
+		expect(buildSlackPayload(digest).blocks[4].text.text).toContain(`_${average}_`);
+	});
+});
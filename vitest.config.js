@@ -1,11 +1,31 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Apply the same migrations as `wrangler d1 migrations apply` to the local test database
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					// Workflows cannot run with isolated per-test storage
+					isolatedStorage: false,
+					singleWorker: true,
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: {
+						bindings: {
+							TEST_MIGRATIONS: migrations,
+							SESSION_SECRET: 'test-session-secret',
+							// `npm run eval:record` calls the real model and rewrites the eval recordings
+							EVAL_RECORD: process.env.EVAL_RECORD || '',
+							// Print the eval scores per case, as `npm run eval` does
+							EVAL_VERBOSE: process.env.EVAL_VERBOSE || '',
+						},
+					},
+				},
 			},
 		},
-	},
+	};
 });